@@ -0,0 +1,362 @@
+import fs from 'fs';
+import path from 'path';
+import { BigQuery } from '@google-cloud/bigquery';
+
+import { getRequestContext, runWithRequestContext } from './request-context.js';
+import { getProjectId } from './gcp-project.js';
+import { matchesPattern } from './glob-pattern.js';
+
+// Append-only audit log of tool calls.
+//
+// Every tools/call produces one record: who called (token name and OAuth
+// client), the tool, its arguments with secrets and row data redacted, the
+// resolved project, the BigQuery jobs it ran with the bytes they processed,
+// the duration, the outcome and the error class.
+//
+// Records are appended to JSONL files in AUDIT_LOG_DIR, one file per day,
+// rolled over when a file passes AUDIT_LOG_MAX_BYTES and deleted after
+// AUDIT_LOG_RETENTION_DAYS. When AUDIT_BQ_TABLE (project.dataset.table) is
+// set, records are also streamed to that BigQuery table in batches.
+
+const DEBUG = process.env.DEBUG_GCP_MCP === 'true';
+const log = (message, ...args) => {
+  if (DEBUG) {
+    console.log(`[Audit] ${message}`, ...args);
+  }
+};
+
+const AUDIT_ENABLED = process.env.AUDIT_LOG !== 'false';
+const AUDIT_LOG_DIR = path.resolve(process.env.AUDIT_LOG_DIR || 'logs/audit');
+const AUDIT_LOG_MAX_BYTES = parseInt(process.env.AUDIT_LOG_MAX_BYTES) || 50 * 1024 * 1024;
+const AUDIT_LOG_RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 30;
+const AUDIT_BQ_TABLE = process.env.AUDIT_BQ_TABLE;
+
+const BQ_FLUSH_INTERVAL_MS = 5000;
+const BQ_MAX_BATCH = 500;
+const MAX_STRING_LENGTH = 4000;
+
+// Argument names whose values are never written to the log
+const SECRET_KEY_PATTERN = /(secret|password|passwd|token|credential|api_?key|private_?key|authorization)/i;
+// Argument names that carry user data rather than instructions
+const DATA_KEYS = new Set(['rows', 'params', 'value', 'insertIds']);
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+// Copy of tool arguments that is safe to keep
+export function redactArguments(value, key) {
+  if (key !== undefined && SECRET_KEY_PATTERN.test(key)) {
+    return '[REDACTED]';
+  }
+  if (key !== undefined && DATA_KEYS.has(key) && value !== undefined) {
+    return Array.isArray(value) ? `[REDACTED: ${value.length} items]` : '[REDACTED]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactArguments(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactArguments(item, name)]));
+  }
+  if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+    return `${value.slice(0, MAX_STRING_LENGTH)}... [${value.length - MAX_STRING_LENGTH} more characters]`;
+  }
+  return value;
+}
+
+// Attach a BigQuery job to the audit record of the current tool call. Child
+// jobs of a script are listed but their bytes are already in the parent's.
+export function recordJob(job, bytesProcessed) {
+  const audit = getRequestContext().audit;
+  if (!audit || !job?.id) {
+    return;
+  }
+
+  const entry = audit.jobs.get(job.id) || {
+    jobId: job.id,
+    location: job.location || job.metadata?.jobReference?.location,
+    child: Boolean(job.metadata?.statistics?.parentJobId),
+    bytesProcessed: 0
+  };
+  entry.bytesProcessed = Math.max(entry.bytesProcessed, parseInt(bytesProcessed || 0));
+  audit.jobs.set(job.id, entry);
+}
+
+// Note the error class behind an error response that was returned rather than thrown
+export function recordErrorClass(errorClass) {
+  const audit = getRequestContext().audit;
+  if (audit && !audit.errorClass) {
+    audit.errorClass = errorClass;
+  }
+}
+
+// Files of the JSONL log, newest first
+function listLogFiles() {
+  let names;
+  try {
+    names = fs.readdirSync(AUDIT_LOG_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return names
+    .map(name => ({ name, match: name.match(FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match[1].localeCompare(a.match[1]) || parseInt(b.match[2] || 0) - parseInt(a.match[2] || 0))
+    .map(({ name, match }) => ({ file: path.join(AUDIT_LOG_DIR, name), date: match[1] }));
+}
+
+// Current file for today, moving to the next part when it is full
+function currentLogFile() {
+  const date = new Date().toISOString().slice(0, 10);
+  let part = 0;
+  for (;;) {
+    const file = path.join(AUDIT_LOG_DIR, part === 0 ? `audit-${date}.jsonl` : `audit-${date}.${part}.jsonl`);
+    try {
+      if (fs.statSync(file).size < AUDIT_LOG_MAX_BYTES) {
+        return file;
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return file;
+      }
+      throw error;
+    }
+    part++;
+  }
+}
+
+let lastRetentionDate = null;
+
+// Delete files older than the retention period, once per day
+function applyRetention() {
+  const today = new Date().toISOString().slice(0, 10);
+  if (lastRetentionDate === today) {
+    return;
+  }
+  lastRetentionDate = today;
+
+  const cutoff = new Date(Date.now() - AUDIT_LOG_RETENTION_DAYS * 24 * 3600 * 1000).toISOString().slice(0, 10);
+  for (const { file, date } of listLogFiles()) {
+    if (date < cutoff) {
+      fs.unlinkSync(file);
+      log(`Deleted expired audit file ${file}`);
+    }
+  }
+}
+
+// Appends are chained so records keep their order
+let writeQueue = Promise.resolve();
+
+function appendToFile(record) {
+  writeQueue = writeQueue.then(async () => {
+    await fs.promises.mkdir(AUDIT_LOG_DIR, { recursive: true });
+    applyRetention();
+    await fs.promises.appendFile(currentLogFile(), `${JSON.stringify(record)}\n`, { mode: 0o600 });
+  }).catch(error => {
+    console.error('Failed to write audit record:', error.message);
+  });
+  return writeQueue;
+}
+
+// Optional BigQuery sink, created on first use
+const BQ_AUDIT_SCHEMA = [
+  { name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED' },
+  { name: 'request_id', type: 'STRING' },
+  { name: 'token', type: 'STRING' },
+  { name: 'client_id', type: 'STRING' },
+  { name: 'tool', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'arguments', type: 'STRING' },
+  { name: 'project_id', type: 'STRING' },
+  { name: 'job_ids', type: 'STRING', mode: 'REPEATED' },
+  { name: 'bytes_processed', type: 'INT64' },
+  { name: 'duration_ms', type: 'INT64' },
+  { name: 'outcome', type: 'STRING' },
+  { name: 'error_class', type: 'STRING' },
+  { name: 'error_message', type: 'STRING' }
+];
+
+let sinkTable = null;
+let pendingRows = [];
+
+async function getSinkTable() {
+  if (!sinkTable) {
+    const [projectId, datasetId, tableId] = AUDIT_BQ_TABLE.split('.');
+    const table = new BigQuery({ projectId }).dataset(datasetId).table(tableId);
+    const [exists] = await table.exists();
+    if (!exists) {
+      await table.create({
+        schema: { fields: BQ_AUDIT_SCHEMA },
+        timePartitioning: { type: 'DAY', field: 'timestamp' }
+      });
+      log(`Created audit table ${AUDIT_BQ_TABLE}`);
+    }
+    sinkTable = table;
+  }
+  return sinkTable;
+}
+
+async function flushToBigQuery() {
+  if (pendingRows.length === 0) {
+    return;
+  }
+  const rows = pendingRows.splice(0, BQ_MAX_BATCH);
+  try {
+    await (await getSinkTable()).insert(rows);
+    log(`Streamed ${rows.length} audit records to ${AUDIT_BQ_TABLE}`);
+  } catch (error) {
+    // The JSONL file stays the record of truth when the sink is unavailable
+    console.error(`Failed to stream ${rows.length} audit records to ${AUDIT_BQ_TABLE}:`, error.message);
+  }
+}
+
+if (AUDIT_ENABLED && AUDIT_BQ_TABLE) {
+  // The flusher must not keep the process alive on its own
+  setInterval(flushToBigQuery, BQ_FLUSH_INTERVAL_MS).unref();
+}
+
+function toSinkRow(record) {
+  return {
+    timestamp: record.timestamp,
+    request_id: record.requestId === undefined ? null : String(record.requestId),
+    token: record.token,
+    client_id: record.clientId || null,
+    tool: record.tool,
+    arguments: JSON.stringify(record.arguments),
+    project_id: record.projectId,
+    job_ids: record.jobs.map(job => job.jobId),
+    bytes_processed: record.bytesProcessed,
+    duration_ms: record.durationMs,
+    outcome: record.outcome,
+    error_class: record.errorClass || null,
+    error_message: record.errorMessage || null
+  };
+}
+
+export function writeAuditRecord(record) {
+  if (!AUDIT_ENABLED) {
+    return Promise.resolve();
+  }
+  if (AUDIT_BQ_TABLE) {
+    pendingRows.push(toSinkRow(record));
+    if (pendingRows.length >= BQ_MAX_BATCH) {
+      flushToBigQuery();
+    }
+  }
+  return appendToFile(record);
+}
+
+// Outcome of a call from the error it threw
+function outcomeOf(error) {
+  switch (error.name) {
+    case 'ToolValidationError': return 'invalid_arguments';
+    case 'TokenPolicyError': return 'denied';
+    case 'RateLimitError': return 'rate_limited';
+    default: return 'error';
+  }
+}
+
+// The server's default project, looked up once
+let defaultProject;
+async function resolveProject(args) {
+  if (typeof args?.projectId === 'string') {
+    return args.projectId;
+  }
+  if (defaultProject === undefined) {
+    defaultProject = await getProjectId().catch(() => null);
+  }
+  return defaultProject;
+}
+
+/**
+ * Run a tool call and write its audit record, whether it succeeds or fails.
+ *
+ * @param {Object} call - { toolName, args, requestId }
+ * @param {Function} fn - Performs the call and returns the MCP result
+ * @returns {Promise<Object>} The result of fn; errors are rethrown after logging
+ */
+export async function auditToolCall({ toolName, args, requestId }, fn) {
+  const context = getRequestContext();
+  const audit = { jobs: new Map(), errorClass: undefined };
+  const startedAt = Date.now();
+
+  let result;
+  let thrown;
+  try {
+    result = await runWithRequestContext({ ...context, audit }, fn);
+  } catch (error) {
+    thrown = error;
+  }
+
+  // Handlers that turn an error into a response note its class, so that counts as a failure too
+  const failed = Boolean(result?.isError) || audit.errorClass !== undefined;
+  const jobs = [...audit.jobs.values()];
+  const record = {
+    timestamp: new Date(startedAt).toISOString(),
+    requestId,
+    token: context.policy?.name,
+    clientId: context.clientId,
+    tool: toolName,
+    arguments: redactArguments(args ?? {}),
+    projectId: await resolveProject(args),
+    jobs,
+    bytesProcessed: jobs.filter(job => !job.child).reduce((total, job) => total + job.bytesProcessed, 0),
+    durationMs: Date.now() - startedAt,
+    outcome: thrown ? outcomeOf(thrown) : (failed ? 'error' : 'success'),
+    errorClass: thrown ? thrown.name : (failed ? audit.errorClass || 'ToolError' : undefined),
+    errorMessage: thrown?.message
+  };
+  writeAuditRecord(record);
+
+  if (thrown) {
+    throw thrown;
+  }
+  return result;
+}
+
+/**
+ * Search recent audit records in the JSONL files, newest first.
+ *
+ * @param {Object} filters - token, tool (glob), outcome, projectId, jobId, since, until, limit
+ * @returns {Promise<Object[]>} Matching records
+ */
+export async function searchAuditRecords(filters) {
+  // Let pending appends land first
+  await writeQueue;
+
+  const since = filters.since ? Date.parse(filters.since) : 0;
+  const until = filters.until ? Date.parse(filters.until) : Infinity;
+  const sinceDate = filters.since ? new Date(since).toISOString().slice(0, 10) : '';
+  const matches = [];
+
+  for (const { file, date } of listLogFiles()) {
+    if (date < sinceDate) {
+      break;
+    }
+
+    const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean);
+    for (const line of lines.reverse()) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      const time = Date.parse(record.timestamp);
+      if (time < since || time > until) continue;
+      if (filters.token && record.token !== filters.token) continue;
+      if (filters.tool && !matchesPattern(filters.tool, record.tool)) continue;
+      if (filters.outcome && record.outcome !== filters.outcome) continue;
+      if (filters.projectId && record.projectId !== filters.projectId) continue;
+      if (filters.jobId && !record.jobs?.some(job => job.jobId === filters.jobId)) continue;
+
+      matches.push(record);
+      if (matches.length >= filters.limit) {
+        return matches;
+      }
+    }
+  }
+  return matches;
+}
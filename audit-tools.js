@@ -0,0 +1,47 @@
+import { z } from 'zod';
+
+import { searchAuditRecords } from './audit-log.js';
+import { getRequestContext } from './request-context.js';
+
+const IsoTimestampSchema = z.string().datetime({ offset: true });
+
+const AuditSearchSchema = z.object({
+  token: z.string().optional().describe('Only calls made with this token name'),
+  tool: z.string().optional().describe("Only calls to tools matching this pattern, e.g. 'gcp-sql' or 'bq-*'"),
+  outcome: z.enum(['success', 'error', 'denied', 'rate_limited', 'invalid_arguments']).optional().describe('Only calls with this outcome'),
+  projectId: z.string().optional().describe('Only calls against this project'),
+  jobId: z.string().optional().describe('Only the call that ran this BigQuery job'),
+  since: IsoTimestampSchema.optional().describe('Earliest call time (ISO 8601)'),
+  until: IsoTimestampSchema.optional().describe('Latest call time (ISO 8601)'),
+  limit: z.number().int().positive().max(1000).default(50).describe('Maximum records to return (default: 50)')
+});
+
+// Named tokens only see their own calls; MCP_SECRET and OAuth callers
+// (the "default" policy) see all
+async function handleAuditSearch(args) {
+  const { policy } = getRequestContext();
+  const filters = policy && policy.name !== 'default'
+    ? { ...args, token: policy.name }
+    : args;
+
+  const records = await searchAuditRecords(filters);
+  return {
+    content: [{
+      type: "text",
+      text: records.length === 0
+        ? 'No audit records match the filters.'
+        : `Found ${records.length} audit records (newest first):\n\n\`\`\`json\n${JSON.stringify(records, null, 2)}\n\`\`\``
+    }]
+  };
+}
+
+// Audit log MCP tool definitions
+export const allAuditTools = [
+  {
+    name: "audit-search",
+    category: "Audit",
+    description: "Search recent entries of the tool-call audit log: who called which tool, with which (redacted) arguments, the BigQuery jobs and bytes processed, duration and outcome. Newest first.",
+    inputSchema: AuditSearchSchema,
+    handler: handleAuditSearch
+  }
+];
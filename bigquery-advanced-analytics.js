@@ -11,6 +11,10 @@
 
 import { z } from 'zod';
 import { BigQuery } from '@google-cloud/bigquery';
+import { guardQuery, dryRunQuery, assessEstimate } from './bigquery-guardrails.js';
+import { MaximumBytesBilledSchema } from './bigquery-schemas.js';
+import { recordJob } from './audit-log.js';
+import { withProgress } from './progress.js';
 
 // Initialize BigQuery client
 const bigquery = new BigQuery();
@@ -56,7 +60,8 @@ const CrossDatasetJoinSchema = z.object({
     writeDisposition: z.enum(['WRITE_TRUNCATE', 'WRITE_APPEND', 'WRITE_EMPTY']).optional(),
     createDisposition: z.enum(['CREATE_IF_NEEDED', 'CREATE_NEVER']).optional()
   }).optional().describe('Output configuration for results'),
-  optimizationLevel: z.enum(['none', 'basic', 'advanced']).default('basic').describe('Query optimization level')
+  optimizationLevel: z.enum(['none', 'basic', 'advanced']).default('basic').describe('Query optimization level'),
+  maximumBytesBilled: MaximumBytesBilledSchema
 });
 
 // Schema for partition analysis
@@ -76,6 +81,7 @@ const PartitionAnalysisSchema = z.object({
 const PerformanceProfileSchema = z.object({
   query: z.string().describe('SQL query to analyze'),
   projectId: ProjectIdSchema,
+  maximumBytesBilled: MaximumBytesBilledSchema,
   profilingOptions: z.object({
     executionMode: z.enum(['dry_run', 'actual_run']).default('dry_run'),
     includeExecutionPlan: z.boolean().default(true),
@@ -118,7 +124,7 @@ const TrendAnalysisSchema = z.object({
 export async function bqCrossDatasetJoin(params) {
   try {
     const validatedParams = CrossDatasetJoinSchema.parse(params);
-    const { datasets, joinConfig, outputConfig, optimizationLevel } = validatedParams;
+    const { datasets, joinConfig, outputConfig, optimizationLevel, maximumBytesBilled } = validatedParams;
 
     // Build table references with aliases
     const tableReferences = buildTableReferences(datasets);
@@ -156,6 +162,7 @@ export async function bqCrossDatasetJoin(params) {
         estimatedSlotMilliseconds: executionPlan.slotMilliseconds,
         cacheEligible: executionPlan.cacheEligible
       },
+      costGuardrail: assessEstimate(parseInt(executionPlan.bytesProcessed || 0), maximumBytesBilled),
       ...(outputDetails && { outputConfiguration: outputDetails })
     };
 
@@ -313,7 +320,7 @@ export async function bqPartitionAnalysis(params) {
 export async function bqPerformanceProfile(params) {
   try {
     const validatedParams = PerformanceProfileSchema.parse(params);
-    const { query, projectId, profilingOptions, historicalAnalysis } = validatedParams;
+    const { query, projectId, maximumBytesBilled, profilingOptions, historicalAnalysis } = validatedParams;
 
     let performanceMetrics = {};
     let executionStats = null;
@@ -328,15 +335,16 @@ export async function bqPerformanceProfile(params) {
         ...(profilingOptions?.timeout && { timeoutMs: profilingOptions.timeout })
       };
 
-      const [job] = await bigquery.createQueryJob(jobConfig);
-      await job.promise();
+      const [job] = await bigquery.createQueryJob(await guardQuery(bigquery, jobConfig, maximumBytesBilled));
+      await withProgress(`Profiling query job ${job.id}`, () => job.promise());
       const [metadata] = await job.getMetadata();
+      recordJob(job, metadata.statistics?.totalBytesProcessed);
       
       executionStats = extractExecutionStatistics(metadata);
       queryPlan = metadata.statistics?.query?.queryPlan;
     } else {
       // Dry run for analysis
-      const [job] = await bigquery.createQueryJob({
+      const [job] = await dryRunQuery(bigquery, {
         query: query,
         dryRun: true,
         useLegacySql: false,
@@ -702,7 +710,7 @@ function applyJoinOptimizations(query, joinAnalysis, level) {
 
 async function analyzeExecutionPlan(query, projectId) {
   try {
-    const [job] = await bigquery.createQueryJob({
+    const [job] = await dryRunQuery(bigquery, {
       query: query,
       dryRun: true,
       useLegacySql: false,
@@ -795,10 +803,10 @@ async function profileDataDistribution(projectId, datasetId, tableId, dataProfil
       TABLESAMPLE SYSTEM (${sampleSize} ROWS)
     `;
 
-    const [rows] = await bigquery.query({
+    const [rows] = await bigquery.query(await guardQuery(bigquery, {
       query: query,
       ...(projectId && { projectId })
-    });
+    }));
 
     // Analyze temporal distribution if time column specified
     if (dataProfile?.timeColumn && rows.length > 0) {
@@ -1519,10 +1527,10 @@ async function executeTrendQueries(queries, projectId) {
   
   for (const queryObj of queries) {
     try {
-      const [rows] = await bigquery.query({
+      const [rows] = await bigquery.query(await guardQuery(bigquery, {
         query: queryObj.sql,
         ...(projectId && { projectId })
-      });
+      }));
       
       results.push({
         type: queryObj.type,
@@ -1991,62 +1999,30 @@ function identifyForecastingOpportunities(patterns, statisticalAnalysis) {
 export const advancedAnalyticsTools = [
   {
     name: 'bq-cross-dataset-join',
+    category: 'Advanced Analytics',
     description: 'Complex multi-dataset JOIN operations with optimization',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        datasets: { type: 'array', items: { type: 'object' } },
-        joinConfig: { type: 'object' },
-        outputConfig: { type: 'object' },
-        optimizationLevel: { type: 'string', enum: ['none', 'basic', 'advanced'] }
-      },
-      required: ['datasets', 'joinConfig']
-    }
+    inputSchema: CrossDatasetJoinSchema,
+    handler: bqCrossDatasetJoin
   },
   {
     name: 'bq-partition-analysis',
+    category: 'Advanced Analytics',
     description: 'Analyze and recommend optimal partitioning strategies',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        projectId: { type: 'string' },
-        datasetId: { type: 'string' },
-        tableId: { type: 'string' },
-        dataProfile: { type: 'object' },
-        targetQueries: { type: 'array', items: { type: 'string' } }
-      },
-      required: ['datasetId', 'tableId']
-    }
+    inputSchema: PartitionAnalysisSchema,
+    handler: bqPartitionAnalysis
   },
   {
     name: 'bq-performance-profile',
+    category: 'Advanced Analytics',
     description: 'Profile query performance and identify bottlenecks',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: { type: 'string' },
-        projectId: { type: 'string' },
-        profilingOptions: { type: 'object' },
-        historicalAnalysis: { type: 'object' }
-      },
-      required: ['query']
-    }
+    inputSchema: PerformanceProfileSchema,
+    handler: bqPerformanceProfile
   },
   {
     name: 'bq-trend-analysis',
+    category: 'Advanced Analytics',
     description: 'Detect trends and patterns in time-series data',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        projectId: { type: 'string' },
-        datasetId: { type: 'string' },
-        timeColumn: { type: 'string' },
-        analysisWindow: { type: 'object' },
-        trendType: { type: 'string', enum: ['linear', 'exponential', 'seasonal', 'decomposition', 'all'] },
-        metrics: { type: 'array', items: { type: 'object' } },
-        groupBy: { type: 'array', items: { type: 'string' } }
-      },
-      required: ['datasetId', 'timeColumn', 'analysisWindow']
-    }
+    inputSchema: TrendAnalysisSchema,
+    handler: bqTrendAnalysis
   }
 ];
\ No newline at end of file
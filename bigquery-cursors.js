@@ -0,0 +1,91 @@
+import { randomBytes } from 'crypto';
+
+import { recordJob } from './audit-log.js';
+import { withProgress } from './progress.js';
+import { getRequestContext } from './request-context.js';
+
+// Server-side cursors for paging through large query results.
+//
+// A cursor is an opaque ID handed to the client in place of BigQuery's page
+// token. It remembers which job and page to read next, so follow-up calls
+// only need the cursor. Each cursor belongs to the caller that received it.
+// Cursors expire after BQ_CURSOR_TTL_MINUTES.
+
+const CURSOR_TTL_MS = (parseInt(process.env.BQ_CURSOR_TTL_MINUTES) || 15) * 60 * 1000;
+const MAX_CURSORS = 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const cursors = new Map();
+
+export class CursorNotFoundError extends Error {
+  constructor(cursorId) {
+    super(`Cursor not found or expired: ${cursorId}. Re-run the query to get a new cursor.`);
+    this.name = 'CursorNotFoundError';
+  }
+}
+
+// Fetch one page of query results, polling until the job has finished.
+// Each getQueryResults call waits server-side, so this is not a busy loop.
+export async function getQueryResultsPage(job, options = {}) {
+  let [rows, nextQuery, response] = await job.getQueryResults({ ...options, autoPaginate: false });
+  if (response?.jobComplete === false) {
+    await withProgress(`Waiting for query job ${job.id}`, async () => {
+      while (response?.jobComplete === false) {
+        [rows, nextQuery, response] = await job.getQueryResults({ ...options, autoPaginate: false });
+      }
+    });
+  }
+  recordJob(job, response?.totalBytesProcessed);
+
+  return {
+    rows,
+    totalRows: response?.totalRows !== undefined ? parseInt(response.totalRows) : rows.length,
+    nextPageToken: nextQuery?.pageToken
+  };
+}
+
+// Store the position of the next page and return its cursor ID
+export function createCursor({ jobId, location, pageToken, offset, totalRows, format, maxRows }) {
+  // Drop the oldest cursor when full; Map preserves insertion order
+  if (cursors.size >= MAX_CURSORS) {
+    cursors.delete(cursors.keys().next().value);
+  }
+
+  const cursorId = randomBytes(18).toString('base64url');
+  cursors.set(cursorId, {
+    jobId,
+    location,
+    pageToken,
+    offset,
+    totalRows,
+    format,
+    maxRows,
+    callerKey: getRequestContext().callerKey,
+    expiresAt: Date.now() + CURSOR_TTL_MS
+  });
+  return cursorId;
+}
+
+// Look up a cursor of the current caller, throwing if it is unknown or
+// expired. Cursors of other callers get the same error, so they can't be probed.
+export function getCursor(cursorId) {
+  const cursor = cursors.get(cursorId);
+  if (!cursor || cursor.callerKey !== getRequestContext().callerKey) {
+    throw new CursorNotFoundError(cursorId);
+  }
+  if (cursor.expiresAt < Date.now()) {
+    cursors.delete(cursorId);
+    throw new CursorNotFoundError(cursorId);
+  }
+  return cursor;
+}
+
+// The sweeper must not keep the process alive on its own
+setInterval(() => {
+  const now = Date.now();
+  for (const [cursorId, cursor] of cursors) {
+    if (cursor.expiresAt < now) {
+      cursors.delete(cursorId);
+    }
+  }
+}, SWEEP_INTERVAL_MS).unref();
@@ -1,8 +1,22 @@
 import { BigQuery } from '@google-cloud/bigquery';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { Storage } from '@google-cloud/storage';
+
+import {
+  buildNamedParameters,
+  parseParameterType,
+  formatParameterType,
+  isValidIdentifier,
+  QueryParameterError
+} from './bigquery-params.js';
+import { assertProjectId, assertDatasetId } from './bigquery-identifiers.js';
+import { getQueryResultsPage } from './bigquery-cursors.js';
+import { guardQuery, assertJobInScope, assertCallerJob, callerJobLabels, isCallerJob, GuardrailError } from './bigquery-guardrails.js';
+import { recordJob, recordErrorClass } from './audit-log.js';
+import { withProgress } from './progress.js';
+import { holdJobSlot } from './rate-limits.js';
+import { getProjectId } from './gcp-project.js';
+import { getRequestContext } from './request-context.js';
 
-const execAsync = promisify(exec);
 const bigquery = new BigQuery();
 
 // Debug logging
@@ -38,8 +52,20 @@ class BigQueryAPIError extends Error {
   }
 }
 
+class BigQuerySessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BigQuerySessionError';
+  }
+}
+
 // Helper to format error responses consistently
 function formatErrorResponse(error) {
+  recordErrorClass(error.name);
+  if (error instanceof GuardrailError) {
+    return error.toResponse();
+  }
+
   let errorMessage = error.message;
   let errorType = 'unknown';
   let suggestions = [];
@@ -73,7 +99,8 @@ function formatErrorResponse(error) {
     content: [{
       type: "text",
       text: `BigQuery Error (${errorType}): ${errorMessage}\n\nSuggestions:\n${suggestions.map(s => `- ${s}`).join('\n')}\n\nOriginal error: ${error.originalError?.message || error.message}`
-    }]
+    }],
+    isError: true
   };
 }
 
@@ -120,37 +147,6 @@ export async function validateAuthentication() {
   }
 }
 
-// Get default project ID from environment or metadata
-const getProjectId = async (providedId) => {
-  if (providedId) {
-    log(`Using provided project ID: ${providedId}`);
-    return providedId;
-  }
-  
-  if (process.env.GOOGLE_CLOUD_PROJECT) {
-    log(`Using GOOGLE_CLOUD_PROJECT: ${process.env.GOOGLE_CLOUD_PROJECT}`);
-    return process.env.GOOGLE_CLOUD_PROJECT;
-  }
-  
-  if (process.env.GCP_PROJECT) {
-    log(`Using GCP_PROJECT: ${process.env.GCP_PROJECT}`);
-    return process.env.GCP_PROJECT;
-  }
-  
-  try {
-    const { stdout } = await execAsync('gcloud config get-value project');
-    const projectId = stdout.trim();
-    if (projectId) {
-      log(`Using gcloud default project: ${projectId}`);
-      return projectId;
-    }
-  } catch (error) {
-    log('Failed to get project from gcloud:', error.message);
-  }
-  
-  throw new Error('No project ID provided and unable to determine default project. Please set GOOGLE_CLOUD_PROJECT environment variable or run: gcloud config set project YOUR_PROJECT_ID');
-};
-
 // List datasets in a BigQuery project
 export async function bqListDatasets(args) {
   try {
@@ -208,8 +204,10 @@ export async function bqQuery(args) {
       projectId: projectId
     };
     
-    const [job] = await bigquery.createQueryJob(options);
-    const [rows] = await job.getQueryResults();
+    const [job] = await bigquery.createQueryJob(await guardQuery(bigquery, options, args.maximumBytesBilled));
+
+    // Only the first page is fetched; large results are never loaded in full
+    const { rows, totalRows } = await getQueryResultsPage(job, { maxResults: 100 });
     
     // Format results nicely
     if (rows.length === 0) {
@@ -221,14 +219,12 @@ export async function bqQuery(args) {
       };
     }
     
-    // For large results, truncate
-    const displayRows = rows.slice(0, 100);
-    const truncated = rows.length > 100;
+    const truncated = totalRows > rows.length;
     
     return {
       content: [{
         type: "text",
-        text: `Query returned ${rows.length} rows${truncated ? ' (showing first 100)' : ''}:\n\n\`\`\`json\n${JSON.stringify(displayRows, null, 2)}\n\`\`\``
+        text: `Query returned ${totalRows} rows${truncated ? ' (showing first 100)' : ''}:\n\n\`\`\`json\n${JSON.stringify(rows, null, 2)}\n\`\`\``
       }]
     };
   } catch (error) {
@@ -329,6 +325,873 @@ export async function bqListTables(args) {
   }
 }
 
+// Clients are cached per project so job operations run against the requested
+// project rather than the client's default one
+const projectClients = new Map();
+function getClient(projectId) {
+  if (!projectClients.has(projectId)) {
+    projectClients.set(projectId, new BigQuery({ projectId }));
+  }
+  return projectClients.get(projectId);
+}
+
+// Convert a millisecond epoch string from the API to an ISO timestamp
+const toIsoTime = (millis) => millis ? new Date(parseInt(millis)).toISOString() : undefined;
+
+// Summarize the job metadata returned by the Jobs API
+function summarizeJob(metadata) {
+  const statistics = metadata.statistics || {};
+  const queryConfig = metadata.configuration?.query;
+  const destination = queryConfig?.destinationTable;
+
+  return {
+    jobId: metadata.jobReference?.jobId,
+    projectId: metadata.jobReference?.projectId,
+    location: metadata.jobReference?.location,
+    jobType: metadata.configuration?.jobType,
+    state: metadata.status?.state,
+    user: metadata.user_email,
+    created: toIsoTime(statistics.creationTime),
+    started: toIsoTime(statistics.startTime),
+    ended: toIsoTime(statistics.endTime),
+    statementType: statistics.query?.statementType,
+    priority: queryConfig?.priority,
+    totalBytesProcessed: statistics.query?.totalBytesProcessed ?? statistics.totalBytesProcessed,
+    totalBytesBilled: statistics.query?.totalBytesBilled,
+    cacheHit: statistics.query?.cacheHit,
+    destinationTable: destination ? `${destination.projectId}.${destination.datasetId}.${destination.tableId}` : undefined,
+    error: metadata.status?.errorResult?.message
+  };
+}
+
+// Map Jobs API errors to the module's error types
+function handleJobError(error, jobId) {
+  if (error.code === 403) {
+    throw new BigQueryPermissionError(
+      'Permission denied. You need the BigQuery Job User role to run and manage jobs.',
+      error
+    );
+  } else if (error.code === 404 && jobId) {
+    throw new Error(`Job not found: ${jobId}. Jobs outside the US and EU multi-regions need their 'location'.`);
+  }
+
+  return formatErrorResponse(error);
+}
+
+// Start a query job without waiting for it to finish
+export async function bqCreateQueryJob(args) {
+  try {
+    const projectId = await getProjectId(args.projectId);
+    const client = getClient(projectId);
+    log(`Creating query job in project: ${projectId}`);
+
+    const options = {
+      query: args.query,
+      useLegacySql: args.useLegacySql || false,
+      location: args.location || 'US',
+      dryRun: args.dryRun || false
+    };
+
+    if (args.priority) {
+      options.priority = args.priority;
+    }
+    if (args.timeoutMs) {
+      options.jobTimeoutMs = args.timeoutMs;
+    }
+    if (args.destinationTable) {
+      options.destination = client.dataset(args.destinationDataset, { projectId }).table(args.destinationTable);
+      if (args.writeDisposition) {
+        options.writeDisposition = args.writeDisposition;
+      }
+    }
+
+    const [job] = await client.createQueryJob(await guardQuery(client, options, args.maximumBytesBilled));
+    recordJob(job);
+    holdJobSlot(job);
+    const summary = summarizeJob(job.metadata);
+
+    if (options.dryRun) {
+      const bytes = parseInt(summary.totalBytesProcessed || 0);
+      return {
+        content: [{
+          type: "text",
+          text: `Dry run succeeded. The query would process ${bytes} bytes (${(bytes / 1024 / 1024 / 1024).toFixed(3)} GB).\n\n\`\`\`json\n${JSON.stringify(summary, null, 2)}\n\`\`\``
+        }]
+      };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Created query job ${job.id} (${summary.state}) in ${job.location}. Use bq-get-job to poll status and fetch results.\n\n\`\`\`json\n${JSON.stringify(summary, null, 2)}\n\`\`\``
+      }]
+    };
+  } catch (error) {
+    log('Error in bqCreateQueryJob:', error);
+    return handleJobError(error);
+  }
+}
+
+// Get job status and, for finished queries, a page of results
+export async function bqGetJob(args) {
+  try {
+    const projectId = await getProjectId(args.projectId);
+    log(`Getting job ${args.jobId} in project ${projectId}`);
+
+    const client = getClient(projectId);
+    const job = client.job(args.jobId, { location: args.location });
+    const [metadata] = await job.getMetadata();
+    await assertJobInScope(client, metadata);
+    const summary = summarizeJob(metadata);
+
+    const result = { job: summary };
+    const finished = summary.state === 'DONE' && !summary.error;
+
+    if (finished && summary.jobType === 'QUERY' && args.getResults !== false) {
+      const page = await getQueryResultsPage(job, {
+        maxResults: args.maxResults || 100,
+        pageToken: args.pageToken
+      });
+
+      result.results = {
+        totalRows: page.totalRows,
+        rowCount: page.rows.length,
+        nextPageToken: page.nextPageToken,
+        rows: page.rows
+      };
+    }
+
+    let status = `Job ${summary.jobId} is ${summary.state}`;
+    if (summary.error) {
+      status += ` with error: ${summary.error}`;
+    } else if (result.results?.nextPageToken) {
+      status += `. More results available; pass pageToken to fetch the next page`;
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `${status}\n\n\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``
+      }]
+    };
+  } catch (error) {
+    log('Error in bqGetJob:', error);
+    return handleJobError(error, args.jobId);
+  }
+}
+
+// Request cancellation of a running job
+export async function bqCancelJob(args) {
+  try {
+    const projectId = await getProjectId(args.projectId);
+    log(`Cancelling job ${args.jobId} in project ${projectId}`);
+
+    const client = getClient(projectId);
+    const job = client.job(args.jobId, { location: args.location });
+    const [metadata] = await job.getMetadata();
+    await assertJobInScope(client, metadata);
+    assertCallerJob(metadata);
+
+    const [response] = await job.cancel();
+    const summary = summarizeJob(response.job || {});
+
+    // Cancellation is asynchronous; the job may still report RUNNING for a moment
+    return {
+      content: [{
+        type: "text",
+        text: `Cancellation requested for job ${args.jobId} (current state: ${summary.state || 'unknown'})`
+      }]
+    };
+  } catch (error) {
+    log('Error in bqCancelJob:', error);
+    return handleJobError(error, args.jobId);
+  }
+}
+
+// List jobs filtered by state and creation time
+export async function bqListJobs(args) {
+  try {
+    const projectId = await getProjectId(args.projectId);
+    log(`Listing jobs for project: ${projectId}`);
+
+    // Tokens limited to projects or datasets only see the jobs they started,
+    // found by their label in the job configuration
+    const { policy } = getRequestContext();
+    const ownJobsOnly = Boolean(policy?.projects || policy?.datasets);
+
+    const options = {
+      maxResults: args.maxResults || 50,
+      autoPaginate: false
+    };
+    if (args.allUsers && !ownJobsOnly) {
+      options.allUsers = true;
+    }
+    if (args.stateFilter) {
+      options.stateFilter = args.stateFilter;
+    }
+    if (ownJobsOnly) {
+      options.projection = 'full';
+    } else if (args.projection) {
+      options.projection = args.projection;
+    }
+    if (args.minCreationTime) {
+      options.minCreationTime = String(Date.parse(args.minCreationTime));
+    }
+    if (args.maxCreationTime) {
+      options.maxCreationTime = String(Date.parse(args.maxCreationTime));
+    }
+    if (args.pageToken) {
+      options.pageToken = args.pageToken;
+    }
+
+    const [listed, nextQuery] = await getClient(projectId).getJobs(options);
+    const jobs = ownJobsOnly ? listed.filter(job => isCallerJob(job.metadata)) : listed;
+    const more = nextQuery?.pageToken ? `\nMore jobs available; pass pageToken "${nextQuery.pageToken}" to fetch the next page.` : '';
+
+    if (jobs.length === 0) {
+      return {
+        content: [{
+          type: "text",
+          text: `No jobs found in project ${projectId} matching the given filters${more}`
+        }]
+      };
+    }
+
+    const jobList = jobs.map(job => summarizeJob(job.metadata));
+
+    return {
+      content: [{
+        type: "text",
+        text: `Found ${jobList.length} jobs in project ${projectId}:\n${jobList.map(j => `- ${j.jobId} (${j.jobType || 'UNKNOWN'}, ${j.state}, created: ${j.created}${j.error ? `, error: ${j.error}` : ''})`).join('\n')}${more}`
+      }]
+    };
+  } catch (error) {
+    log('Error in bqListJobs:', error);
+    return handleJobError(error);
+  }
+}
+
+// ===============================================================
+// Sessions
+// ===============================================================
+
+// Open sessions created through this server, keyed by session ID. Each one
+// belongs to the caller that created it. Sessions idle for longer than
+// BQ_SESSION_IDLE_MINUTES are aborted so they don't keep temp tables and
+// reservations alive until BigQuery expires them.
+const sessions = new Map();
+const SESSION_IDLE_MS = (parseInt(process.env.BQ_SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Look up a session of the current caller and mark it used. Sessions of other
+// callers get the same error as unknown ones, so session IDs can't be probed.
+function useSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session || session.callerKey !== getRequestContext().callerKey) {
+    throw new BigQuerySessionError(
+      `Session not found: ${sessionId}. Create one with bq-create-session; sessions created outside this server, by another caller or before a restart cannot be used.`
+    );
+  }
+  session.lastUsedAt = Date.now();
+  return session;
+}
+
+// Run a query job inside a session and wait for its results
+async function runInSession(session, query, maxRows, maximumBytesBilled) {
+  const client = getClient(session.projectId);
+  const options = {
+    query,
+    location: session.location,
+    connectionProperties: [{ key: 'session_id', value: session.sessionId }]
+  };
+  const [job] = await client.createQueryJob(await guardQuery(client, options, maximumBytesBilled));
+  const { rows } = await getQueryResultsPage(job, { maxResults: maxRows });
+  return { job, rows };
+}
+
+// Aborting scans no data, so it skips the bytes billed guard
+async function abortSession(session) {
+  const [job] = await getClient(session.projectId).createQueryJob({
+    query: 'CALL BQ.ABORT_SESSION()',
+    location: session.location,
+    connectionProperties: [{ key: 'session_id', value: session.sessionId }]
+  });
+  await getQueryResultsPage(job);
+  sessions.delete(session.sessionId);
+}
+
+async function sweepIdleSessions() {
+  const cutoff = Date.now() - SESSION_IDLE_MS;
+  for (const session of sessions.values()) {
+    if (session.lastUsedAt < cutoff) {
+      log(`Aborting idle session ${session.sessionId}`);
+      // Forget the session even if the abort fails; BigQuery expires it eventually
+      sessions.delete(session.sessionId);
+      try {
+        await abortSession(session);
+      } catch (error) {
+        log(`Failed to abort idle session ${session.sessionId}:`, error.message);
+      }
+    }
+  }
+}
+
+// The sweeper must not keep the process alive on its own
+setInterval(() => {
+  sweepIdleSessions().catch(error => log('Session sweep failed:', error.message));
+}, SESSION_SWEEP_INTERVAL_MS).unref();
+
+// Create a session for multi-step work with temp tables and variables
+export async function bqCreateSession(args) {
+  try {
+    const projectId = await getProjectId(args.projectId);
+    const location = args.location || 'US';
+    log(`Creating session in project ${projectId}, location ${location}`);
+
+    const [job] = await getClient(projectId).createQueryJob({
+      query: 'SELECT 1',
+      location,
+      createSession: true,
+      labels: callerJobLabels()
+    });
+    await getQueryResultsPage(job, { maxResults: 1 });
+    const [metadata] = await job.getMetadata();
+
+    const sessionId = metadata.statistics?.sessionInfo?.sessionId;
+    if (!sessionId) {
+      throw new Error(`BigQuery did not return a session ID for job ${job.id}`);
+    }
+
+    const now = Date.now();
+    sessions.set(sessionId, {
+      sessionId,
+      projectId,
+      location: job.location || location,
+      callerKey: getRequestContext().callerKey,
+      createdAt: now,
+      lastUsedAt: now
+    });
+
+    return {
+      content: [{
+        type: "text",
+        text: `Created session in ${location} for project ${projectId}.\n\nSession ID: ${sessionId}\nLocation: ${job.location || location}\n\nPass the session ID to bq-query-with-session. Sessions idle for ${SESSION_IDLE_MS / 60000} minutes are terminated automatically.`
+      }]
+    };
+  } catch (error) {
+    log('Error in bqCreateSession:', error);
+    return handleJobError(error);
+  }
+}
+
+// Execute a query inside an existing session
+export async function bqQueryWithSession(args) {
+  try {
+    const session = useSession(args.sessionId);
+    log(`Executing query in session ${args.sessionId}`);
+
+    const maxRows = args.maxRows || 100;
+    const { job, rows } = await runInSession(session, args.query, maxRows, args.maximumBytesBilled);
+    const statementType = job.metadata?.statistics?.query?.statementType;
+
+    if (rows.length === 0) {
+      return {
+        content: [{
+          type: "text",
+          text: `Query completed successfully in session ${args.sessionId}${statementType ? ` (${statementType})` : ''} but returned no results.`
+        }]
+      };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Query in session ${args.sessionId} returned ${rows.length} rows${rows.length >= maxRows ? ` (limited to ${maxRows})` : ''}:\n\n\`\`\`json\n${JSON.stringify(rows, null, 2)}\n\`\`\``
+      }]
+    };
+  } catch (error) {
+    log('Error in bqQueryWithSession:', error);
+    return handleJobError(error);
+  }
+}
+
+// Explicitly end a session and release its temp tables
+export async function bqTerminateSession(args) {
+  try {
+    const session = useSession(args.sessionId);
+    log(`Terminating session ${args.sessionId}`);
+
+    try {
+      await abortSession(session);
+    } finally {
+      // Forget the session even if the abort fails; BigQuery expires it eventually
+      sessions.delete(session.sessionId);
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Terminated session ${args.sessionId}`
+      }]
+    };
+  } catch (error) {
+    log('Error in bqTerminateSession:', error);
+    return handleJobError(error);
+  }
+}
+
+// ===============================================================
+// Stored Procedures & Scripts
+// ===============================================================
+
+// Quote a project.dataset.routine path, rejecting names that could escape the backticks
+function routinePath(projectId, datasetId, routineName) {
+  assertProjectId(projectId);
+  assertDatasetId(datasetId);
+  if (!isValidIdentifier(routineName)) {
+    throw new Error(`Invalid procedure name: ${routineName}`);
+  }
+  return `\`${projectId}.${datasetId}.${routineName}\``;
+}
+
+// Project and location a script runs in. Scripts in a session run where the
+// session lives, so a projectId or location naming somewhere else is refused.
+async function scriptTarget(args) {
+  if (!args.sessionId) {
+    return { projectId: await getProjectId(args.projectId), location: args.location || 'US' };
+  }
+
+  const session = useSession(args.sessionId);
+  if (args.projectId && args.projectId !== session.projectId) {
+    throw new BigQuerySessionError(`Session ${session.sessionId} belongs to project ${session.projectId}, not ${args.projectId}.`);
+  }
+  if (args.location && args.location.toUpperCase() !== session.location.toUpperCase()) {
+    throw new BigQuerySessionError(`Session ${session.sessionId} is in location ${session.location}, not ${args.location}.`);
+  }
+  return { projectId: session.projectId, location: session.location, sessionId: session.sessionId };
+}
+
+// Run a script job and collect its final result set plus per-statement child jobs
+async function runScript(target, query, args, queryParameters) {
+  const client = getClient(target.projectId);
+  const options = {
+    query,
+    location: target.location
+  };
+  if (queryParameters && Object.keys(queryParameters.params).length > 0) {
+    options.params = queryParameters.params;
+    options.types = queryParameters.types;
+  }
+  if (args.timeoutMs) {
+    options.jobTimeoutMs = args.timeoutMs;
+  }
+  if (target.sessionId) {
+    options.connectionProperties = [{ key: 'session_id', value: target.sessionId }];
+  }
+
+  const [job] = await client.createQueryJob(await guardQuery(client, options, args.maximumBytesBilled));
+  if (args.waitForCompletion === false) {
+    recordJob(job);
+    holdJobSlot(job);
+    return { job, completed: false };
+  }
+
+  const maxRows = args.maxRows || 100;
+  const finalResult = await getQueryResultsPage(job, { maxResults: maxRows });
+  const [metadata] = await job.getMetadata();
+  recordJob(job, metadata.statistics?.totalBytesProcessed);
+
+  // Each statement of a script runs as a child job of the script job
+  const [children] = await client.getJobs({ parentJobId: job.id, maxResults: 1000, autoPaginate: false });
+  children.sort((a, b) => parseInt(a.metadata.statistics?.creationTime || 0) - parseInt(b.metadata.statistics?.creationTime || 0));
+
+  const statements = [];
+  for (const child of children) {
+    const summary = summarizeJob(child.metadata);
+    const statement = {
+      jobId: summary.jobId,
+      statementType: summary.statementType,
+      state: summary.state,
+      totalBytesProcessed: summary.totalBytesProcessed,
+      error: summary.error
+    };
+
+    if (summary.state === 'DONE' && !summary.error && summary.statementType === 'SELECT') {
+      statement.results = await getQueryResultsPage(child, { maxResults: maxRows });
+    }
+    statements.push(statement);
+  }
+
+  return { job, completed: true, summary: summarizeJob(metadata), finalResult, statements };
+}
+
+// Describe a script job that was started without waiting for it
+const startedScriptResponse = (kind, job) => ({
+  content: [{
+    type: "text",
+    text: `Started ${kind} job ${job.id} in ${job.location}. Use bq-get-job to poll status and fetch the final result set.`
+  }]
+});
+
+// CALL a stored procedure with typed IN, OUT and INOUT parameters
+export async function bqExecuteProcedure(args) {
+  try {
+    const target = await scriptTarget(args);
+    const path = routinePath(target.projectId, args.datasetId, args.procedureName);
+    log(`Executing procedure ${path}`);
+
+    const parameters = (args.parameters || []).map((parameter, index) => ({
+      ...parameter,
+      name: parameter.name || `p${index + 1}`,
+      mode: parameter.mode || 'IN'
+    }));
+
+    // IN values are bound as query parameters; OUT/INOUT need script variables
+    const inputs = parameters.filter(parameter => parameter.mode !== 'OUT');
+    const outputs = parameters.filter(parameter => parameter.mode !== 'IN');
+    const queryParameters = buildNamedParameters(inputs);
+
+    const statements = outputs.map(parameter => {
+      const sqlType = formatParameterType(parseParameterType(parameter.type));
+      return `DECLARE ${parameter.name} ${sqlType}${parameter.mode === 'INOUT' ? ` DEFAULT @${parameter.name}` : ''};`;
+    });
+    const callArgs = parameters.map(parameter => parameter.mode === 'IN' ? `@${parameter.name}` : parameter.name);
+    statements.push(`CALL ${path}(${callArgs.join(', ')});`);
+    if (outputs.length > 0) {
+      statements.push(`SELECT ${outputs.map(parameter => parameter.name).join(', ')};`);
+    }
+
+    const run = await runScript(target, statements.join('\n'), args, queryParameters);
+    if (!run.completed) {
+      return startedScriptResponse('procedure', run.job);
+    }
+
+    const result = { job: run.summary };
+    if (outputs.length > 0) {
+      // The trailing SELECT returns the OUT values; the procedure's own
+      // result sets are reported per statement
+      result.outParameters = run.finalResult.rows[0] || {};
+      result.statements = run.statements.slice(0, -1);
+    } else {
+      result.finalResult = run.finalResult;
+      result.statements = run.statements;
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Procedure ${path} completed (${result.statements.length} statements).\n\n\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``
+      }]
+    };
+  } catch (error) {
+    log('Error in bqExecuteProcedure:', error);
+    if (error instanceof QueryParameterError) {
+      throw error;
+    }
+    return handleJobError(error);
+  }
+}
+
+// Run several statements as a single multi-statement script job
+export async function bqExecuteScript(args) {
+  try {
+    const target = await scriptTarget(args);
+
+    // Each terminator goes on its own line so a statement ending in a -- comment
+    // cannot swallow it
+    const query = args.statements
+      .map(statement => statement.trim().replace(/;+$/, ''))
+      .filter(statement => statement.length > 0)
+      .map(statement => `${statement}\n;`)
+      .join('\n');
+    log(`Executing script with ${args.statements.length} statements in project ${target.projectId}`);
+
+    const run = await runScript(target, query, args);
+    if (!run.completed) {
+      return startedScriptResponse('script', run.job);
+    }
+
+    const result = {
+      job: run.summary,
+      finalResult: run.finalResult,
+      statements: run.statements
+    };
+
+    return {
+      content: [{
+        type: "text",
+        text: `Script completed (${run.statements.length} statements).\n\n\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``
+      }]
+    };
+  } catch (error) {
+    log('Error in bqExecuteScript:', error);
+    return handleJobError(error);
+  }
+}
+
+// ===============================================================
+// Data Operations
+// ===============================================================
+
+// Tool formats mapped to the Jobs API format names
+const SOURCE_FORMATS = {
+  CSV: 'CSV',
+  JSON: 'NEWLINE_DELIMITED_JSON',
+  AVRO: 'AVRO',
+  PARQUET: 'PARQUET',
+  ORC: 'ORC'
+};
+
+const tableReference = (projectId, datasetId, tableId) => ({ projectId, datasetId, tableId });
+
+// Wait for a load/extract/copy job; failed jobs are reported, not thrown
+async function waitForJob(job) {
+  try {
+    await withProgress(`Waiting for job ${job.id}`, () => job.promise());
+  } catch (error) {
+    if (!job.metadata?.status?.errorResult) {
+      throw error;
+    }
+  }
+  return job.metadata;
+}
+
+// Build a status report for a finished (or failed) data job
+function dataJobReport(action, metadata, details = {}) {
+  const summary = summarizeJob(metadata);
+  const report = {
+    job: summary,
+    ...details,
+    errors: (metadata.status?.errors || []).map(error => ({
+      reason: error.reason,
+      location: error.location,
+      message: error.message
+    }))
+  };
+
+  const status = summary.error
+    ? `${action} job ${summary.jobId} failed: ${summary.error}`
+    : `${action} job ${summary.jobId} completed successfully`;
+
+  return {
+    content: [{
+      type: "text",
+      text: `${status}\n\n\`\`\`json\n${JSON.stringify(report, null, 2)}\n\`\`\``
+    }]
+  };
+}
+
+// Start a load/extract/copy job and optionally wait for it
+async function runDataJob(client, configuration, args) {
+  const [job] = await client.createJob({
+    configuration: { ...configuration, labels: callerJobLabels() },
+    location: args.location
+  });
+  recordJob(job);
+
+  if (args.waitForCompletion === false) {
+    holdJobSlot(job);
+    return { job, completed: false };
+  }
+  return { job, completed: true, metadata: await waitForJob(job) };
+}
+
+const startedDataJobResponse = (action, job) => ({
+  content: [{
+    type: "text",
+    text: `Started ${action.toLowerCase()} job ${job.id} in ${job.location}. Use bq-get-job to poll its status.`
+  }]
+});
+
+// List the objects an extract job wrote, expanding * wildcards in the destination URI
+async function listExportedFiles(projectId, destinationUri) {
+  const [, bucketName, objectPattern] = destinationUri.match(/^gs:\/\/([^/]+)\/(.+)$/);
+  const prefix = objectPattern.split('*')[0];
+  const matcher = new RegExp(`^${objectPattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+  const storage = new Storage({ projectId });
+  const [files] = await storage.bucket(bucketName).getFiles({ prefix, maxResults: 1000 });
+
+  return files
+    .filter(file => matcher.test(file.name))
+    .map(file => ({
+      uri: `gs://${bucketName}/${file.name}`,
+      sizeBytes: parseInt(file.metadata.size || 0)
+    }));
+}
+
+// Load files from Cloud Storage into a table
+export async function bqLoadData(args) {
+  try {
+    const projectId = await getProjectId(args.projectId);
+    log(`Loading ${args.sourceUri} into ${args.datasetId}.${args.tableId}`);
+
+    const load = {
+      sourceUris: [args.sourceUri],
+      destinationTable: tableReference(projectId, args.datasetId, args.tableId)
+    };
+    if (args.format) load.sourceFormat = SOURCE_FORMATS[args.format];
+    if (args.autodetect !== undefined) load.autodetect = args.autodetect;
+    if (args.schema) load.schema = args.schema;
+    if (args.skipLeadingRows !== undefined) load.skipLeadingRows = args.skipLeadingRows;
+    if (args.fieldDelimiter) load.fieldDelimiter = args.fieldDelimiter;
+    if (args.allowJaggedRows !== undefined) load.allowJaggedRows = args.allowJaggedRows;
+    if (args.allowQuotedNewlines !== undefined) load.allowQuotedNewlines = args.allowQuotedNewlines;
+    if (args.createDisposition) load.createDisposition = args.createDisposition;
+    if (args.writeDisposition) load.writeDisposition = args.writeDisposition;
+
+    const run = await runDataJob(getClient(projectId), { load }, args);
+    if (!run.completed) {
+      return startedDataJobResponse('Load', run.job);
+    }
+
+    const statistics = run.metadata.statistics?.load || {};
+    return dataJobReport('Load', run.metadata, {
+      destinationTable: `${projectId}.${args.datasetId}.${args.tableId}`,
+      inputFiles: statistics.inputFiles,
+      inputFileBytes: statistics.inputFileBytes,
+      outputRows: statistics.outputRows,
+      badRecords: statistics.badRecords
+    });
+  } catch (error) {
+    log('Error in bqLoadData:', error);
+    return handleJobError(error);
+  }
+}
+
+// Export a table to Cloud Storage and list the files written
+export async function bqExportData(args) {
+  try {
+    const projectId = await getProjectId(args.projectId);
+    log(`Exporting ${args.datasetId}.${args.tableId} to ${args.destinationUri}`);
+
+    const extract = {
+      sourceTable: tableReference(projectId, args.datasetId, args.tableId),
+      destinationUris: [args.destinationUri]
+    };
+    if (args.format) extract.destinationFormat = SOURCE_FORMATS[args.format];
+    if (args.fieldDelimiter) extract.fieldDelimiter = args.fieldDelimiter;
+    if (args.printHeader !== undefined) extract.printHeader = args.printHeader;
+    if (args.compress) extract.compression = args.format === 'AVRO' ? 'DEFLATE' : 'GZIP';
+
+    const run = await runDataJob(getClient(projectId), { extract }, args);
+    if (!run.completed) {
+      return startedDataJobResponse('Export', run.job);
+    }
+
+    const details = {
+      sourceTable: `${projectId}.${args.datasetId}.${args.tableId}`,
+      destinationUriFileCounts: run.metadata.statistics?.extract?.destinationUriFileCounts
+    };
+
+    if (!run.metadata.status?.errorResult) {
+      // A listing failure shouldn't hide a successful export
+      try {
+        details.outputFiles = await listExportedFiles(projectId, args.destinationUri);
+      } catch (listError) {
+        log('Failed to list exported files:', listError.message);
+        details.outputFilesError = listError.message;
+      }
+    }
+
+    return dataJobReport('Export', run.metadata, details);
+  } catch (error) {
+    log('Error in bqExportData:', error);
+    return handleJobError(error);
+  }
+}
+
+// Copy a table, possibly into another dataset
+export async function bqCopyTable(args) {
+  try {
+    const projectId = await getProjectId(args.projectId);
+    log(`Copying ${args.sourceDatasetId}.${args.sourceTableId} to ${args.destinationDatasetId}.${args.destinationTableId}`);
+
+    const copy = {
+      sourceTables: [tableReference(projectId, args.sourceDatasetId, args.sourceTableId)],
+      destinationTable: tableReference(projectId, args.destinationDatasetId, args.destinationTableId)
+    };
+    if (args.createDisposition) copy.createDisposition = args.createDisposition;
+    if (args.writeDisposition) copy.writeDisposition = args.writeDisposition;
+
+    const run = await runDataJob(getClient(projectId), { copy }, args);
+    if (!run.completed) {
+      return startedDataJobResponse('Copy', run.job);
+    }
+
+    return dataJobReport('Copy', run.metadata, {
+      sourceTable: `${projectId}.${args.sourceDatasetId}.${args.sourceTableId}`,
+      destinationTable: `${projectId}.${args.destinationDatasetId}.${args.destinationTableId}`
+    });
+  } catch (error) {
+    log('Error in bqCopyTable:', error);
+    return handleJobError(error);
+  }
+}
+
+// Stream rows into a table, reporting insert errors per row
+export async function bqStreamInsert(args) {
+  try {
+    const projectId = await getProjectId(args.projectId);
+    const table = getClient(projectId).dataset(args.datasetId, { projectId }).table(args.tableId);
+    log(`Streaming ${args.rows.length} rows into ${args.datasetId}.${args.tableId}`);
+
+    const rows = args.rows.map((row, index) => ({
+      json: row,
+      ...(args.insertIds ? { insertId: args.insertIds[index] } : {})
+    }));
+
+    let rowErrors = [];
+    try {
+      await table.insert(rows, {
+        raw: true,
+        // Report failures instead of retrying rows that will fail again
+        partialRetries: 0,
+        ignoreUnknownValues: args.ignoreUnknownValues,
+        skipInvalidRows: args.skipInvalidRows
+      });
+    } catch (error) {
+      if (error.name !== 'PartialFailureError') {
+        throw error;
+      }
+      rowErrors = error.errors.map(failure => ({
+        index: rows.indexOf(failure.row),
+        insertId: failure.row?.insertId,
+        errors: failure.errors
+      })).sort((a, b) => a.index - b.index);
+    }
+
+    // Without skipInvalidRows, one invalid row rejects the whole request;
+    // the valid rows are then reported with reason "stopped"
+    const rejected = rowErrors.length;
+    const inserted = args.rows.length - rejected;
+    const summary = `Inserted ${inserted} of ${args.rows.length} rows into ${projectId}.${args.datasetId}.${args.tableId}`;
+
+    if (rejected === 0) {
+      return {
+        content: [{
+          type: "text",
+          text: summary
+        }]
+      };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `${summary}. ${rejected} rows were rejected:\n\n\`\`\`json\n${JSON.stringify(rowErrors, null, 2)}\n\`\`\``
+      }]
+    };
+  } catch (error) {
+    log('Error in bqStreamInsert:', error);
+
+    if (error.code === 404) {
+      throw new Error(`Table not found: ${args.datasetId}.${args.tableId}`);
+    }
+    return handleJobError(error);
+  }
+}
+
 // Initialize and validate on first use
 let initialized = false;
 export async function ensureInitialized() {
@@ -0,0 +1,315 @@
+import { getRequestContext, isReadOnly } from './request-context.js';
+import { classifyStatements, SCRIPT_CONTROL_STATEMENTS } from './bigquery-statements.js';
+import { isDatasetAllowed } from './token-store.js';
+
+// Cost, read-only and dataset scope guardrails for BigQuery query execution.
+//
+// Every query path calls guardQuery() before running a query. When a bytes
+// billed limit or read-only mode applies, the query is dry-run first.
+//
+// In read-only mode only SELECT statements may run. The dry run reports the
+// statement type; scripts report SCRIPT, so their statements are classified
+// one by one and any that is not a SELECT or script control flow is refused.
+//
+// Tokens limited to certain projects or datasets may only query tables in
+// them; the dry run lists every table the query references, and the tables,
+// datasets or routines that DDL and DML statements or a destination would
+// write. Dry runs made
+// for validation and estimates go through the same check (dryRunQuery), so
+// they cannot reveal the schema or existence of tables outside the scope.
+// The same scope applies to reading existing jobs. Jobs are labelled with the caller that
+// started them, so job listings can be limited to the caller's own jobs and
+// scoped tokens can only cancel jobs they started.
+//
+// If the estimate exceeds the bytes billed limit the query is refused with
+// the estimate and its on-demand cost. Otherwise the limit is also set as
+// maximumBytesBilled on the job so BigQuery enforces it when the estimate
+// was low.
+//
+// Limits, from least to most specific:
+// - BQ_MAX_BYTES_BILLED: server-wide default
+// - the bearer token's limit (request context), which replaces the server default
+// - the call's maximumBytesBilled argument, which may only lower the limit
+
+const DEBUG = process.env.DEBUG_GCP_MCP === 'true';
+const log = (message, ...args) => {
+  if (DEBUG) {
+    console.log(`[Guardrails] ${message}`, ...args);
+  }
+};
+
+const SERVER_MAX_BYTES_BILLED = parseInt(process.env.BQ_MAX_BYTES_BILLED) || undefined;
+
+// On-demand analysis price in USD per TiB scanned
+const PRICE_PER_TIB_USD = parseFloat(process.env.BQ_PRICE_PER_TIB_USD) || 6.25;
+const TIB = 1024 ** 4;
+
+const estimateCostUsd = (bytes) => Math.round((bytes / TIB) * PRICE_PER_TIB_USD * 100) / 100;
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 2)} ${units[unit]}`;
+}
+
+// Base class for queries refused before they run
+export class GuardrailError extends Error {
+  // MCP response describing the refusal
+  toResponse() {
+    return {
+      content: [{
+        type: "text",
+        text: this.message
+      }],
+      isError: true
+    };
+  }
+}
+
+export class BytesBilledLimitError extends GuardrailError {
+  constructor(estimatedBytes, maximumBytesBilled) {
+    super(
+      `Query refused: it would process an estimated ${formatBytes(estimatedBytes)} (${estimatedBytes} bytes, ~$${estimateCostUsd(estimatedBytes).toFixed(2)}), ` +
+      `which exceeds the maximumBytesBilled limit of ${formatBytes(maximumBytesBilled)} (${maximumBytesBilled} bytes, ~$${estimateCostUsd(maximumBytesBilled).toFixed(2)}). ` +
+      'Filter on partition or cluster columns, select fewer columns, or raise the limit.'
+    );
+    this.name = 'BytesBilledLimitError';
+    this.estimatedBytes = estimatedBytes;
+    this.estimatedCostUsd = estimateCostUsd(estimatedBytes);
+    this.maximumBytesBilled = maximumBytesBilled;
+  }
+}
+
+export class ReadOnlyViolationError extends GuardrailError {
+  constructor(statementType) {
+    super(`Query refused: ${statementType} statements are blocked in read-only mode. Only SELECT queries can run.`);
+    this.name = 'ReadOnlyViolationError';
+    this.statementType = statementType;
+  }
+}
+
+// Effective limit for the current call, or undefined when none applies
+export function resolveMaximumBytesBilled(callLimit) {
+  const { maximumBytesBilled: tokenLimit } = getRequestContext();
+  const ceiling = tokenLimit ?? SERVER_MAX_BYTES_BILLED;
+
+  if (callLimit === undefined) {
+    return ceiling;
+  }
+  return ceiling === undefined ? callLimit : Math.min(callLimit, ceiling);
+}
+
+export class JobOwnershipError extends GuardrailError {
+  constructor(policyName, jobId) {
+    super(`Job ${jobId} refused: token '${policyName}' may only manage jobs it started.`);
+    this.name = 'JobOwnershipError';
+    this.jobId = jobId;
+  }
+}
+
+export class DatasetScopeError extends GuardrailError {
+  constructor(policyName, table, subject = 'Query') {
+    const name = [table.projectId, table.datasetId, table.tableId].filter(Boolean).join('.');
+    super(`${subject} refused: it references ${name}, which is outside the datasets token '${policyName}' may access.`);
+    this.name = 'DatasetScopeError';
+    this.table = table;
+  }
+}
+
+// Label naming the caller that started a job
+const CALLER_LABEL = 'mcp_caller';
+
+// Job labels for the current caller. Label values may only hold lowercase
+// letters, digits, underscores and dashes, up to 63 characters.
+export function callerJobLabels() {
+  const { callerKey } = getRequestContext();
+  return callerKey
+    ? { [CALLER_LABEL]: callerKey.toLowerCase().replace(/[^a-z0-9_-]/g, '_').slice(0, 63) }
+    : {};
+}
+
+// Whether the current caller started the job with this metadata
+export function isCallerJob(metadata) {
+  const label = callerJobLabels()[CALLER_LABEL];
+  return label !== undefined && metadata.configuration?.labels?.[CALLER_LABEL] === label;
+}
+
+const isScoped = (policy) => Boolean(policy?.projects || policy?.datasets);
+
+// Query results without an explicit destination go to an anonymous dataset
+const resultTable = (table) => table?.datasetId?.startsWith('_') ? undefined : table;
+
+// Tables, datasets and routines a query job reads or writes: referenced
+// tables, DDL targets and the DML or explicit destination. Datasets and
+// routines are returned in table form ({ projectId, datasetId[, tableId] }).
+function queryTargets(metadata) {
+  const statistics = metadata.statistics?.query || {};
+  const routine = statistics.ddlTargetRoutine;
+  return [
+    ...(statistics.referencedTables || []),
+    statistics.ddlTargetTable,
+    statistics.ddlDestinationTable,
+    statistics.ddlTargetDataset?.datasetReference,
+    routine && { projectId: routine.projectId, datasetId: routine.datasetId, tableId: routine.routineId },
+    resultTable(metadata.configuration?.query?.destinationTable)
+  ];
+}
+
+// Tables a job read or wrote
+function jobTables(metadata) {
+  const { load, copy, extract } = metadata.configuration || {};
+  return [
+    ...queryTargets(metadata),
+    load?.destinationTable,
+    copy?.destinationTable,
+    copy?.sourceTable,
+    ...(copy?.sourceTables || []),
+    extract?.sourceTable
+  ].filter(table => table?.datasetId);
+}
+
+// The destination option of createQueryJob, a Table object, as a table reference
+const destinationOf = ({ destination }) => destination && {
+  projectId: destination.dataset.projectId,
+  datasetId: destination.dataset.id,
+  tableId: destination.id
+};
+
+// Tables and datasets named in BigQuery errors, as project:dataset[.table]
+const ERROR_REFERENCE_PATTERN = /\b(?:Table|Dataset) ((?:[\w.-]+:)?[\w-]+):(\w+)(?:\.([\w$-]+))?/g;
+
+const outsideScope = (policy, tables) => tables.find(table => !isDatasetAllowed(policy, table.projectId, table.datasetId));
+
+// Dry-run a query for validation or an estimate, with the dataset scope check
+// of guardQuery. Errors naming a table or dataset outside the scope (not
+// found, access denied) get the same refusal as existing ones.
+export async function dryRunQuery(client, options) {
+  const { policy } = getRequestContext();
+  if (!isScoped(policy)) {
+    return client.createQueryJob({ ...options, dryRun: true });
+  }
+
+  let result;
+  try {
+    result = await client.createQueryJob({ ...options, dryRun: true });
+  } catch (error) {
+    const named = [...String(error.message).matchAll(ERROR_REFERENCE_PATTERN)]
+      .map(([, projectId, datasetId, tableId]) => ({ projectId, datasetId, tableId }));
+    const outside = outsideScope(policy, named);
+    if (outside) {
+      throw new DatasetScopeError(policy.name, outside);
+    }
+    throw error;
+  }
+
+  const tables = [...queryTargets(result[0].metadata || {}), destinationOf(options)].filter(table => table?.datasetId);
+  const outside = outsideScope(policy, tables);
+  if (outside) {
+    throw new DatasetScopeError(policy.name, outside);
+  }
+  return result;
+}
+
+// Throw DatasetScopeError if a job, or any statement of a script job, touched
+// a table outside the current token's datasets
+export async function assertJobInScope(client, metadata) {
+  const { policy } = getRequestContext();
+  if (!isScoped(policy)) {
+    return;
+  }
+
+  const jobId = metadata.jobReference?.jobId;
+  let tables = jobTables(metadata);
+  if (metadata.statistics?.numChildJobs) {
+    const [children] = await client.getJobs({ parentJobId: jobId, projection: 'full', maxResults: 1000, autoPaginate: false });
+    tables = tables.concat(children.flatMap(child => jobTables(child.metadata)));
+  }
+
+  const outside = outsideScope(policy, tables);
+  if (outside) {
+    throw new DatasetScopeError(policy.name, outside, `Access to job ${jobId}`);
+  }
+}
+
+// Throw JobOwnershipError when a scoped token did not start the job
+export function assertCallerJob(metadata) {
+  const { policy } = getRequestContext();
+  if (isScoped(policy) && !isCallerJob(metadata)) {
+    throw new JobOwnershipError(policy.name, metadata.jobReference?.jobId);
+  }
+}
+
+// Throw ReadOnlyViolationError unless the query only reads data
+function assertReadOnlyQuery(options, statementType) {
+  if (options.destination) {
+    throw new ReadOnlyViolationError(`${statementType} with a destination table`);
+  }
+  if (statementType === 'SELECT') {
+    return;
+  }
+  if (statementType !== 'SCRIPT') {
+    throw new ReadOnlyViolationError(statementType || 'Unknown');
+  }
+
+  const blocked = classifyStatements(options.query)
+    .find(type => type !== 'SELECT' && !SCRIPT_CONTROL_STATEMENTS.has(type));
+  if (blocked) {
+    throw new ReadOnlyViolationError(blocked);
+  }
+}
+
+// Check a createQueryJob options object against read-only mode and the bytes
+// billed limit. Returns the options to run with, labelled with the caller;
+// throws a GuardrailError if the query may not run.
+export async function guardQuery(client, queryOptions, callLimit) {
+  const options = { ...queryOptions, labels: { ...queryOptions.labels, ...callerJobLabels() } };
+  const limit = resolveMaximumBytesBilled(callLimit);
+  const readOnly = isReadOnly();
+  const { policy } = getRequestContext();
+  const scoped = isScoped(policy);
+  if (limit === undefined && !readOnly && !scoped) {
+    return options;
+  }
+  if (options.dryRun) {
+    // Only the scope applies to a dry run; the caller runs its own afterwards
+    if (scoped) {
+      await dryRunQuery(client, options);
+    }
+    return options;
+  }
+
+  const [dryRunJob] = await dryRunQuery(client, options);
+  if (readOnly) {
+    const statementType = dryRunJob.metadata?.statistics?.query?.statementType;
+    log(`Read-only check for ${statementType} query`);
+    assertReadOnlyQuery(options, statementType);
+  }
+  if (limit === undefined) {
+    return options;
+  }
+
+  const estimatedBytes = parseInt(dryRunJob.metadata?.statistics?.totalBytesProcessed || 0);
+  log(`Estimated ${estimatedBytes} bytes against a limit of ${limit}`);
+
+  if (estimatedBytes > limit) {
+    throw new BytesBilledLimitError(estimatedBytes, limit);
+  }
+
+  return { ...options, maximumBytesBilled: String(limit) };
+}
+
+// Compare an estimate (e.g. from an existing dry run) with the current limit
+export function assessEstimate(estimatedBytes, callLimit) {
+  const limit = resolveMaximumBytesBilled(callLimit);
+  return {
+    maximumBytesBilled: limit ?? null,
+    estimatedBytes,
+    estimatedCostUsd: estimateCostUsd(estimatedBytes),
+    withinLimit: limit === undefined || estimatedBytes <= limit
+  };
+}
@@ -1,70 +1,104 @@
 // Import enhanced BigQuery functions
 import * as bqEnhanced from './bigquery-enhanced.js';
 // Import the new SQL-first interface
-import { gcpSQL } from './bigquery-sql.js';
-
-// List of BigQuery tool names
-const bigQueryToolNames = [
-  'gcp-sql',  // NEW: Universal SQL interface
-  'bq-list-datasets',
-  'bq-query', 
-  'bq-create-dataset',
-  'bq-list-tables'
-];
-
-// Check if a tool name is a BigQuery tool
-export function isBigQueryTool(toolName) {
-  return bigQueryToolNames.includes(toolName);
-}
-
-// Get all BigQuery tool names
-export function getBigQueryToolNames() {
-  return [...bigQueryToolNames];
-}
-
-// Route BigQuery tool calls to appropriate handlers
-export async function routeBigQueryTool(toolName, args) {
-  try {
-    switch (toolName) {
-      case 'gcp-sql':
-        // NEW: Route to universal SQL interface
-        return await gcpSQL(args);
-      
-      case 'bq-list-datasets':
-        // Ensure BigQuery is initialized before any operation
-        await bqEnhanced.ensureInitialized();
-        return await bqEnhanced.bqListDatasets(args);
-      
-      case 'bq-query':
-        await bqEnhanced.ensureInitialized();
-        return await bqEnhanced.bqQuery(args);
-      
-      case 'bq-create-dataset':
-        await bqEnhanced.ensureInitialized();
-        return await bqEnhanced.bqCreateDataset(args);
-      
-      case 'bq-list-tables':
-        await bqEnhanced.ensureInitialized();
-        return await bqEnhanced.bqListTables(args);
-      
-      default:
-        throw new Error(`Unknown BigQuery tool: ${toolName}`);
-    }
-  } catch (error) {
-    console.error(`Error in BigQuery tool ${toolName}:`, error);
-    
-    // If the error has already been formatted by our enhanced error handling,
-    // return it as is. Otherwise, create a proper error response.
-    if (error.content) {
-      return error;
-    }
-    
-    // Return error in MCP format
-    return {
-      content: [{
-        type: "text",
-        text: `Error executing ${toolName}: ${error.message}`
-      }]
-    };
-  }
-}
\ No newline at end of file
+import { gcpSQL, fetchPage } from './bigquery-sql.js';
+
+// Universal SQL interface
+export async function handleGcpSql(args) {
+  return await gcpSQL(args);
+}
+
+// Next page of a gcp-sql result
+export async function handleFetchPage(args) {
+  return await fetchPage(args);
+}
+
+// Legacy tools ensure BigQuery is initialized before any operation
+export async function handleListDatasets(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqListDatasets(args);
+}
+
+export async function handleQuery(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqQuery(args);
+}
+
+export async function handleCreateDataset(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqCreateDataset(args);
+}
+
+export async function handleListTables(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqListTables(args);
+}
+
+// Jobs API
+export async function handleCreateQueryJob(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqCreateQueryJob(args);
+}
+
+export async function handleGetJob(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqGetJob(args);
+}
+
+export async function handleCancelJob(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqCancelJob(args);
+}
+
+export async function handleListJobs(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqListJobs(args);
+}
+
+// Sessions
+export async function handleCreateSession(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqCreateSession(args);
+}
+
+export async function handleQueryWithSession(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqQueryWithSession(args);
+}
+
+export async function handleTerminateSession(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqTerminateSession(args);
+}
+
+// Stored procedures & scripts
+export async function handleExecuteProcedure(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqExecuteProcedure(args);
+}
+
+export async function handleExecuteScript(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqExecuteScript(args);
+}
+
+// Data operations
+export async function handleLoadData(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqLoadData(args);
+}
+
+export async function handleExportData(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqExportData(args);
+}
+
+export async function handleCopyTable(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqCopyTable(args);
+}
+
+export async function handleStreamInsert(args) {
+  await bqEnhanced.ensureInitialized();
+  return await bqEnhanced.bqStreamInsert(args);
+}
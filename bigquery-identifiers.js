@@ -0,0 +1,50 @@
+// Validation for BigQuery resource identifiers that are spliced into SQL.
+//
+// Values always travel as query parameters, but project, dataset and region
+// names form table paths, which cannot be parameterized. They are checked
+// against BigQuery's naming rules and only ever used inside backticks.
+
+// Project IDs, optionally domain-scoped (example.com:my-project)
+const PROJECT_ID_PATTERN = /^([a-z0-9][a-z0-9.-]*[a-z0-9]:)?[a-z][a-z0-9-]{4,28}[a-z0-9]$/;
+
+// Dataset IDs: letters, digits and underscores
+const DATASET_ID_PATTERN = /^[A-Za-z0-9_]{1,1024}$/;
+
+// Table and routine names: Unicode letters, marks, numbers, connectors, dashes and spaces
+const TABLE_NAME_PATTERN = /^[\p{L}\p{M}\p{N}\p{Pc}\p{Pd}\p{Zs}]{1,1024}$/u;
+
+// Region qualifiers as used in `region-xx` (us, eu, asia-northeast1)
+const REGION_PATTERN = /^[a-z0-9-]+$/;
+
+const IDENTIFIER_RULES = {
+  'project ID': 'Project IDs contain lowercase letters, digits and hyphens (6-30 characters).',
+  'dataset ID': 'Dataset IDs contain only letters, digits and underscores.',
+  'table name': 'Table names contain letters, digits, underscores, dashes and spaces.',
+  'region': 'Regions look like US, EU or asia-northeast1.'
+};
+
+export class InvalidIdentifierError extends Error {
+  constructor(kind, value) {
+    super(`Invalid ${kind}: ${JSON.stringify(value)}. ${IDENTIFIER_RULES[kind]}`);
+    this.name = 'InvalidIdentifierError';
+    this.kind = kind;
+    this.value = value;
+  }
+}
+
+export const isValidProjectId = (value) => typeof value === 'string' && PROJECT_ID_PATTERN.test(value);
+export const isValidDatasetId = (value) => typeof value === 'string' && DATASET_ID_PATTERN.test(value);
+export const isValidTableName = (value) => typeof value === 'string' && TABLE_NAME_PATTERN.test(value);
+export const isValidRegion = (value) => typeof value === 'string' && REGION_PATTERN.test(value);
+
+function check(kind, isValid, value) {
+  if (!isValid(value)) {
+    throw new InvalidIdentifierError(kind, value);
+  }
+  return value;
+}
+
+export const assertProjectId = (value) => check('project ID', isValidProjectId, value);
+export const assertDatasetId = (value) => check('dataset ID', isValidDatasetId, value);
+export const assertTableName = (value) => check('table name', isValidTableName, value);
+export const assertRegion = (value) => check('region', isValidRegion, value);
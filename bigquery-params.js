@@ -0,0 +1,248 @@
+// Typed BigQuery query parameters shared by the procedure, script and SQL tools.
+//
+// Tools accept parameter types as GoogleSQL type strings such as 'INT64',
+// 'ARRAY<STRING>' or 'STRUCT<id INT64, tags ARRAY<STRING>>'. They are parsed
+// into the type descriptors the BigQuery client expects ('INT64', ['STRING'],
+// { id: 'INT64', tags: ['STRING'] }) and can be rendered back to canonical SQL
+// for DECLARE statements.
+
+import { BigQuery } from '@google-cloud/bigquery';
+
+// Accepted scalar type names and their canonical spelling
+const SCALAR_TYPES = {
+  INT64: 'INT64',
+  INT: 'INT64',
+  INTEGER: 'INT64',
+  SMALLINT: 'INT64',
+  BIGINT: 'INT64',
+  TINYINT: 'INT64',
+  BYTEINT: 'INT64',
+  FLOAT64: 'FLOAT64',
+  FLOAT: 'FLOAT64',
+  NUMERIC: 'NUMERIC',
+  DECIMAL: 'NUMERIC',
+  BIGNUMERIC: 'BIGNUMERIC',
+  BIGDECIMAL: 'BIGNUMERIC',
+  BOOL: 'BOOL',
+  BOOLEAN: 'BOOL',
+  STRING: 'STRING',
+  BYTES: 'BYTES',
+  DATE: 'DATE',
+  DATETIME: 'DATETIME',
+  TIME: 'TIME',
+  TIMESTAMP: 'TIMESTAMP',
+  GEOGRAPHY: 'GEOGRAPHY',
+  JSON: 'JSON'
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export class QueryParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryParameterError';
+  }
+}
+
+// Check that a name can be used as a parameter or variable name
+export function isValidIdentifier(name) {
+  return typeof name === 'string' && IDENTIFIER_PATTERN.test(name);
+}
+
+// Split a type list on commas that are not nested inside <...>
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '<') depth++;
+    if (char === '>') depth--;
+    if (depth < 0) {
+      throw new QueryParameterError(`Unbalanced '>' in type: ${text}`);
+    }
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (depth !== 0) {
+    throw new QueryParameterError(`Unbalanced '<' in type: ${text}`);
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+// Parse a GoogleSQL type string into a BigQuery client type descriptor
+export function parseParameterType(typeString) {
+  const type = String(typeString || '').trim();
+  const upper = type.toUpperCase();
+
+  if (SCALAR_TYPES[upper]) {
+    return SCALAR_TYPES[upper];
+  }
+
+  const wrapped = type.match(/^(ARRAY|STRUCT)\s*<([\s\S]*)>$/i);
+  if (!wrapped) {
+    throw new QueryParameterError(`Unsupported parameter type: ${typeString}`);
+  }
+
+  const [, kind, inner] = wrapped;
+  if (kind.toUpperCase() === 'ARRAY') {
+    const elementType = parseParameterType(inner);
+    if (Array.isArray(elementType)) {
+      throw new QueryParameterError(`Nested arrays are not supported: ${typeString}`);
+    }
+    return [elementType];
+  }
+
+  const fields = {};
+  for (const field of splitTopLevel(inner)) {
+    const match = field.match(/^([A-Za-z_][A-Za-z0-9_]*)\s+([\s\S]+)$/);
+    if (!match) {
+      throw new QueryParameterError(`STRUCT fields must be written as 'name TYPE': ${field}`);
+    }
+    fields[match[1]] = parseParameterType(match[2]);
+  }
+  return fields;
+}
+
+// Render a client type descriptor back to a GoogleSQL type string
+export function formatParameterType(descriptor) {
+  if (Array.isArray(descriptor)) {
+    return `ARRAY<${formatParameterType(descriptor[0])}>`;
+  }
+  if (descriptor && typeof descriptor === 'object') {
+    const fields = Object.entries(descriptor).map(([name, type]) => `${name} ${formatParameterType(type)}`);
+    return `STRUCT<${fields.join(', ')}>`;
+  }
+  return descriptor;
+}
+
+// The client reads `.value` from temporal and GEOGRAPHY parameters, so plain
+// strings have to be wrapped in its value classes first
+const VALUE_WRAPPERS = {
+  DATE: value => BigQuery.date(value),
+  DATETIME: value => BigQuery.datetime(value),
+  TIME: value => BigQuery.time(value),
+  TIMESTAMP: value => BigQuery.timestamp(value),
+  GEOGRAPHY: value => BigQuery.geography(value)
+};
+
+// Prepare a JSON argument value for the client according to its type
+function normalizeValue(value, descriptor) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (Array.isArray(descriptor)) {
+    return Array.isArray(value) ? value.map(item => normalizeValue(item, descriptor[0])) : value;
+  }
+  if (descriptor && typeof descriptor === 'object') {
+    return typeof value === 'object'
+      ? Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalizeValue(item, descriptor[key])]))
+      : value;
+  }
+  if (descriptor === 'JSON' && typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+  if (VALUE_WRAPPERS[descriptor] && typeof value !== 'object') {
+    return VALUE_WRAPPERS[descriptor](value);
+  }
+  return value;
+}
+
+// Build { params, types } for createQueryJob from [{ name, value, type }] entries
+export function buildNamedParameters(parameters) {
+  const params = {};
+  const types = {};
+
+  for (const parameter of parameters) {
+    if (!isValidIdentifier(parameter.name)) {
+      throw new QueryParameterError(`Invalid parameter name: ${parameter.name}`);
+    }
+    const descriptor = parseParameterType(parameter.type);
+    params[parameter.name] = normalizeValue(parameter.value, descriptor);
+    types[parameter.name] = descriptor;
+  }
+
+  return { params, types };
+}
+
+// Check gcp-sql style parameters: named ({ name: value }) or positional
+// ([value, ...]) values, with optional type strings in the same shape.
+// Returns a list of { path, message } problems.
+export function validateQueryParameters(params, types) {
+  const issues = [];
+  if (params === undefined) {
+    if (types !== undefined) {
+      issues.push({ path: ['types'], message: "'types' requires 'params'" });
+    }
+    return issues;
+  }
+
+  const positional = Array.isArray(params);
+  if (types !== undefined && Array.isArray(types) !== positional) {
+    issues.push({
+      path: ['types'],
+      message: positional
+        ? 'Positional params need types as an array in the same order'
+        : 'Named params need types as an object keyed by parameter name'
+    });
+    return issues;
+  }
+  if (positional && types && types.length !== params.length) {
+    issues.push({ path: ['types'], message: `Expected ${params.length} types (one per parameter), received ${types.length}` });
+  }
+
+  const entries = positional ? params.map((value, index) => [index, value]) : Object.entries(params);
+  for (const [key, value] of entries) {
+    if (!positional && !isValidIdentifier(key)) {
+      issues.push({ path: ['params', key], message: `Invalid parameter name: ${key}` });
+    }
+
+    const type = types?.[key];
+    if (type) {
+      try {
+        parseParameterType(type);
+      } catch (error) {
+        issues.push({ path: ['types', key], message: error.message });
+      }
+    } else if (value === null || (Array.isArray(value) && value.length === 0)) {
+      // The client cannot infer a type from null or an empty array
+      issues.push({ path: ['params', key], message: 'A type is required for null values and empty arrays' });
+    }
+  }
+
+  return issues;
+}
+
+// Build { params, types } for createQueryJob from gcp-sql style parameters.
+// Omitted types are left undefined so the client infers them from the value.
+export function buildQueryParameters(params, types) {
+  const issues = validateQueryParameters(params, types);
+  if (issues.length > 0) {
+    throw new QueryParameterError(`${issues[0].path.join('.')}: ${issues[0].message}`);
+  }
+
+  if (Array.isArray(params)) {
+    const descriptors = params.map((value, index) => types?.[index] ? parseParameterType(types[index]) : undefined);
+    return {
+      params: params.map((value, index) => normalizeValue(value, descriptors[index])),
+      types: types ? descriptors : undefined
+    };
+  }
+
+  const namedParams = {};
+  const namedTypes = {};
+  for (const [name, value] of Object.entries(params)) {
+    const descriptor = types?.[name] ? parseParameterType(types[name]) : undefined;
+    namedParams[name] = normalizeValue(value, descriptor);
+    if (descriptor) {
+      namedTypes[name] = descriptor;
+    }
+  }
+  return { params: namedParams, types: types ? namedTypes : undefined };
+}
@@ -11,6 +11,7 @@
 
 import { z } from 'zod';
 import { BigQuery } from '@google-cloud/bigquery';
+import { dryRunQuery } from './bigquery-guardrails.js';
 
 // Initialize BigQuery client
 const bigquery = new BigQuery();
@@ -244,7 +245,7 @@ export async function bqValidateQuery(params) {
           ...(projectId && { projectId })
         };
 
-        const [job] = await bigquery.createQueryJob(options);
+        const [job] = await dryRunQuery(bigquery, options);
         const metadata = job.metadata;
 
         validationResults.dryRunResult = {
@@ -417,7 +418,7 @@ export async function bqCostEstimate(params) {
         ...(projectId && { projectId })
       };
 
-      const [job] = await bigquery.createQueryJob(options);
+      const [job] = await dryRunQuery(bigquery, options);
       const metadata = job.metadata;
       const bytesProcessed = parseInt(metadata.statistics?.query?.totalBytesProcessed || '0');
 
@@ -776,27 +777,31 @@ async function generateCostOptimizations(query, costAnalysis, projectId) {
 }
 
 // Export all tools for MCP integration
-export const tools = [
+export const queryBuilderTools = [
   {
     name: 'bq-build-query',
+    category: 'Query Building',
     description: 'Build BigQuery SQL queries programmatically with fluent API',
     inputSchema: BuildQuerySchema,
     handler: bqBuildQuery
   },
   {
     name: 'bq-validate-query',
+    category: 'Query Building',
     description: 'Validate BigQuery SQL queries using dry run and syntax checking',
     inputSchema: ValidateQuerySchema,
     handler: bqValidateQuery
   },
   {
     name: 'bq-optimize-query',
+    category: 'Query Building',
     description: 'Analyze queries and provide optimization suggestions',
     inputSchema: OptimizeQuerySchema,
     handler: bqOptimizeQuery
   },
   {
     name: 'bq-cost-estimate',
+    category: 'Query Building',
     description: 'Estimate query costs and suggest cost reduction strategies',
     inputSchema: CostEstimateSchema,
     handler: bqCostEstimate
@@ -808,5 +813,5 @@ export default {
   bqValidateQuery,
   bqOptimizeQuery,
   bqCostEstimate,
-  tools
+  tools: queryBuilderTools
 };
\ No newline at end of file
@@ -11,6 +11,7 @@
 
 import { z } from 'zod';
 import { BigQuery } from '@google-cloud/bigquery';
+import { dryRunQuery } from './bigquery-guardrails.js';
 
 // Initialize BigQuery client
 const bigquery = new BigQuery();
@@ -1175,7 +1176,7 @@ async function validateGeneratedSql(query, projectId) {
       useLegacySql: false
     };
 
-    const [job] = await bigquery.createQueryJob(options);
+    const [job] = await dryRunQuery(bigquery, options);
     
     return {
       isValid: true,
@@ -1673,85 +1674,30 @@ function estimatePatternImpact(pattern) {
 export const schemaIntelligenceTools = [
   {
     name: "bq-analyze-schema",
+    category: "Schema Intelligence",
     description: "Perform deep schema analysis for optimization opportunities",
-    inputSchema: {
-      type: "object",
-      properties: {
-        projectId: { type: "string", description: "GCP Project ID (optional)" },
-        datasetId: { type: "string", description: "BigQuery dataset ID" },
-        tableId: { type: "string", description: "BigQuery table ID" },
-        analysisDepth: { 
-          type: "string", 
-          enum: ["basic", "intermediate", "advanced"],
-          description: "Depth of analysis to perform" 
-        }
-      },
-      required: ["datasetId", "tableId"]
-    }
+    inputSchema: AnalyzeSchemaSchema,
+    handler: bqAnalyzeSchema
   },
   {
     name: "bq-generate-sql",
+    category: "Schema Intelligence",
     description: "Generate SQL queries from natural language descriptions",
-    inputSchema: {
-      type: "object",
-      properties: {
-        naturalLanguageQuery: { type: "string", description: "Natural language query description" },
-        projectId: { type: "string", description: "GCP Project ID (optional)" },
-        targetDatasets: { 
-          type: "array", 
-          items: { type: "string" },
-          description: "Dataset IDs to consider" 
-        },
-        outputFormat: { 
-          type: "string", 
-          enum: ["standard", "optimized", "explained"],
-          description: "Output format for generated SQL" 
-        }
-      },
-      required: ["naturalLanguageQuery"]
-    }
+    inputSchema: GenerateSqlSchema,
+    handler: bqGenerateSql
   },
   {
     name: "bq-smart-suggest",
+    category: "Schema Intelligence",
     description: "Get intelligent query suggestions based on data patterns",
-    inputSchema: {
-      type: "object",
-      properties: {
-        projectId: { type: "string", description: "GCP Project ID" },
-        datasetId: { type: "string", description: "BigQuery dataset ID" },
-        queryContext: { type: "string", description: "Context for suggestions" },
-        suggestionType: { 
-          type: "string", 
-          enum: ["analytics", "reporting", "exploration", "optimization"],
-          description: "Type of suggestions to generate" 
-        }
-      },
-      required: ["datasetId"]
-    }
+    inputSchema: SmartSuggestSchema,
+    handler: bqSmartSuggest
   },
   {
     name: "bq-pattern-detector",
+    category: "Schema Intelligence",
     description: "Detect optimal query patterns and opportunities",
-    inputSchema: {
-      type: "object",
-      properties: {
-        projectId: { type: "string", description: "GCP Project ID" },
-        datasetId: { type: "string", description: "BigQuery dataset ID" },
-        analysisScope: { 
-          type: "string", 
-          enum: ["table", "dataset", "project"],
-          description: "Scope of pattern analysis" 
-        },
-        patternTypes: { 
-          type: "array", 
-          items: { 
-            type: "string",
-            enum: ["join", "aggregation", "filter", "partition", "cluster"]
-          },
-          description: "Pattern types to detect" 
-        }
-      },
-      required: ["datasetId"]
-    }
+    inputSchema: PatternDetectorSchema,
+    handler: bqPatternDetector
   }
 ];
\ No newline at end of file
@@ -1,5 +1,8 @@
 import { z } from 'zod';
 
+import { parseParameterType, isValidIdentifier, validateQueryParameters } from './bigquery-params.js';
+import { isValidProjectId, isValidDatasetId, isValidTableName } from './bigquery-identifiers.js';
+
 // ===============================================================
 // BigQuery Enhanced Tools - Zod Schemas for MCP Integration
 // ===============================================================
@@ -11,6 +14,15 @@ import { z } from 'zod';
 // SQL-First Universal Interface (NEW - Issue #9 Optimization)
 // ===============================================================
 
+// Per-call cost ceiling shared by every tool that runs queries
+export const MaximumBytesBilledSchema = z.number().int().positive().optional()
+  .describe('Refuse to run the query if it would bill more than this many bytes (can only lower the server or token limit)');
+
+// Operations that need a dataset / a table in addition to the project
+const DATASET_OPERATIONS = ['list-tables', 'describe-table', 'table-schema', 'dataset-info', 'list-views', 'list-routines'];
+const TABLE_OPERATIONS = ['describe-table', 'table-schema'];
+const MULTI_REGION_OPERATIONS = ['list-datasets', 'job-history'];
+
 export const GcpSQLSchema = z.object({
   // Core parameters
   operation: z.enum([
@@ -26,6 +38,10 @@ export const GcpSQLSchema = z.object({
   ]).optional().describe('Pre-defined operation using INFORMATION_SCHEMA queries'),
   
   query: z.string().optional().describe('Direct SQL query to execute'),
+  maximumBytesBilled: MaximumBytesBilledSchema,
+  cursor: z.string().optional().describe('Cursor from a previous result to fetch its next page (other query arguments are ignored)'),
+  params: z.union([z.record(z.any()), z.array(z.any())]).optional().describe("Query parameters for 'query': an object for named @params ({\"min\": 10}) or an array for positional ? params"),
+  types: z.union([z.record(z.string()), z.array(z.string().nullable())]).optional().describe("BigQuery types for 'params' in the same shape, e.g. {\"ts\": \"TIMESTAMP\", \"ids\": \"ARRAY<INT64>\"}. Inferred from the values when omitted; required for TIMESTAMP, DATE, NUMERIC, GEOGRAPHY, nulls and empty arrays"),
   
   // Common parameters
   projectId: z.string().optional().describe('GCP Project ID (optional, uses default if not provided)'),
@@ -33,7 +49,8 @@ export const GcpSQLSchema = z.object({
   table: z.string().optional().describe('Table name (required for table-specific operations)'),
   
   // Query execution options
-  location: z.string().optional().describe('Query location (e.g., US, EU)'),
+  location: z.string().optional().describe('Query location (e.g., US, EU, asia-northeast1). For list-datasets, dataset-info and job-history this selects the INFORMATION_SCHEMA region; defaults to the dataset\'s location'),
+  allRegions: z.boolean().optional().default(false).describe('Run list-datasets or job-history in every region the project uses and merge the results with a region column'),
   useLegacySql: z.boolean().optional().default(false).describe('Use legacy SQL syntax (default: false)'),
   
   // Output formatting
@@ -41,8 +58,68 @@ export const GcpSQLSchema = z.object({
   maxRows: z.number().optional().default(100).describe('Maximum rows to return (default: 100)'),
   
   // Operation-specific parameters
-  hours: z.number().optional().default(24).describe('Hours of job history to retrieve (for job-history operation)'),
-  limit: z.number().optional().default(100).describe('Limit for job history results (for job-history operation)')
+  hours: z.number().int().positive().optional().default(24).describe('Hours of job history to retrieve (for job-history operation)'),
+  limit: z.number().int().positive().optional().default(100).describe('Limit for job history results (for job-history operation)')
+}).superRefine((args, ctx) => {
+  // Identifiers become part of table paths, so they must follow BigQuery naming rules
+  const identifierChecks = [
+    ['projectId', isValidProjectId, 'Invalid project ID: use lowercase letters, digits and hyphens'],
+    ['dataset', isValidDatasetId, 'Invalid dataset ID: use only letters, digits and underscores'],
+    ['table', isValidTableName, 'Invalid table name: use letters, digits, underscores, dashes and spaces']
+  ];
+  for (const [field, isValid, message] of identifierChecks) {
+    if (args[field] !== undefined && !isValid(args[field])) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message });
+    }
+  }
+
+  if (args.cursor) {
+    return;
+  }
+  if (!args.operation && !args.query) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['operation'],
+      message: 'Either "operation", "query" or "cursor" parameter is required'
+    });
+  }
+  if (DATASET_OPERATIONS.includes(args.operation) && !args.dataset) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['dataset'],
+      message: `Operation '${args.operation}' requires a 'dataset' parameter`
+    });
+  }
+  if (args.params !== undefined && !args.query) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['params'],
+      message: "'params' can only be used with 'query'"
+    });
+  }
+  for (const issue of validateQueryParameters(args.params, args.types)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, ...issue });
+  }
+  if (args.allRegions && !MULTI_REGION_OPERATIONS.includes(args.operation)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['allRegions'],
+      message: `allRegions is only supported for operations: ${MULTI_REGION_OPERATIONS.join(', ')}`
+    });
+  }
+  if (TABLE_OPERATIONS.includes(args.operation) && !args.table) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['table'],
+      message: `Operation '${args.operation}' requires a 'table' parameter`
+    });
+  }
+});
+
+export const BqFetchPageSchema = z.object({
+  cursor: z.string().min(1).describe('Cursor returned with a previous page of results'),
+  format: z.enum(['json', 'table', 'csv']).optional().describe('Output format (defaults to the format of the original call)'),
+  maxRows: z.number().int().positive().optional().describe('Rows per page (defaults to the page size of the original call)')
 });
 
 // ===============================================================
@@ -51,31 +128,59 @@ export const GcpSQLSchema = z.object({
 
 export const BqCreateQueryJobSchema = z.object({
   query: z.string().describe('SQL query to execute'),
+  maximumBytesBilled: MaximumBytesBilledSchema,
   destinationDataset: z.string().optional().describe('Dataset for destination table'),
   destinationTable: z.string().optional().describe('Table name to write results to'),
   dryRun: z.boolean().optional().default(false).describe('Validate query without executing'),
   location: z.string().optional().default('US').describe('Query location (default: US)'),
   priority: z.enum(['INTERACTIVE', 'BATCH']).optional().describe('Query priority'),
   projectId: z.string().optional().describe('GCP Project ID (optional)'),
-  timeoutMs: z.string().optional().describe('Job timeout in milliseconds'),
+  timeoutMs: z.number().int().positive().optional().describe('Job timeout in milliseconds; BigQuery cancels the job when exceeded'),
   useLegacySql: z.boolean().optional().default(false).describe('Use legacy SQL syntax'),
-  writeDisposition: z.enum(['WRITE_TRUNCATE', 'WRITE_APPEND', 'WRITE_EMPTY']).optional().describe('How to write results')
+  writeDisposition: z.enum(['WRITE_TRUNCATE', 'WRITE_APPEND', 'WRITE_EMPTY']).optional().describe('How to write results (requires destinationTable)')
+}).superRefine((args, ctx) => {
+  if (args.destinationTable && !args.destinationDataset) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['destinationDataset'],
+      message: 'destinationDataset is required when destinationTable is set'
+    });
+  }
+  if (args.writeDisposition && !args.destinationTable) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['writeDisposition'],
+      message: 'writeDisposition only applies when destinationTable is set'
+    });
+  }
+});
+
+// Accepts ISO 8601 timestamps such as 2025-06-01T00:00:00Z
+const IsoTimestampSchema = z.string().refine(value => !isNaN(Date.parse(value)), {
+  message: 'Expected an ISO 8601 timestamp'
 });
 
 export const BqGetJobSchema = z.object({
   jobId: z.string().describe('Job ID to check'),
+  location: z.string().optional().describe('Job location (required for jobs outside the US and EU multi-regions)'),
+  projectId: z.string().optional().describe('GCP Project ID (optional)'),
   getResults: z.boolean().optional().default(true).describe('Retrieve query results if available'),
-  maxResults: z.number().optional().describe('Max results to return')
+  maxResults: z.number().int().positive().optional().default(100).describe('Max result rows per page (default: 100)'),
+  pageToken: z.string().optional().describe('Page token from a previous call to fetch the next page of results')
 });
 
 export const BqCancelJobSchema = z.object({
-  jobId: z.string().describe('Job ID to cancel')
+  jobId: z.string().describe('Job ID to cancel'),
+  location: z.string().optional().describe('Job location (required for jobs outside the US and EU multi-regions)'),
+  projectId: z.string().optional().describe('GCP Project ID (optional)')
 });
 
 export const BqListJobsSchema = z.object({
-  allUsers: z.boolean().optional().describe('List jobs from all users'),
-  maxResults: z.number().optional().describe('Maximum results to return'),
-  minCreationTime: z.string().optional().describe('Min creation time (ISO format)'),
+  allUsers: z.boolean().optional().describe('List jobs from all users (ignored for tokens limited to projects or datasets, which only see their own jobs)'),
+  maxResults: z.number().int().positive().optional().default(50).describe('Maximum results to return (default: 50)'),
+  minCreationTime: IsoTimestampSchema.optional().describe('Only jobs created at or after this time (ISO format)'),
+  maxCreationTime: IsoTimestampSchema.optional().describe('Only jobs created at or before this time (ISO format)'),
+  pageToken: z.string().optional().describe('Page token from a previous call to fetch the next page of jobs'),
   projectId: z.string().optional().describe('GCP Project ID (optional)'),
   projection: z.enum(['full', 'minimal']).optional().describe('Response detail level'),
   stateFilter: z.enum(['pending', 'running', 'done']).optional().describe('Filter by job state')
@@ -92,49 +197,88 @@ export const BqCreateSessionSchema = z.object({
 
 export const BqQueryWithSessionSchema = z.object({
   query: z.string().describe('SQL query to execute'),
+  maximumBytesBilled: MaximumBytesBilledSchema,
   sessionId: z.string().describe('Session ID to use'),
-  location: z.string().optional().describe('Query location')
+  maxRows: z.number().int().positive().optional().default(100).describe('Maximum rows to return (default: 100)')
+});
+
+export const BqTerminateSessionSchema = z.object({
+  sessionId: z.string().describe('Session ID to terminate')
 });
 
 // ===============================================================
 // Stored Procedures & Scripts Schemas
 // ===============================================================
 
+const ProcedureParameterSchema = z.object({
+  value: z.any().optional().describe('Parameter value (ignored for OUT parameters)'),
+  type: z.string().describe("GoogleSQL type, e.g. 'INT64', 'DATE', 'ARRAY<STRING>', 'STRUCT<id INT64, name STRING>'"),
+  name: z.string().optional().describe('Parameter name (generated when omitted)'),
+  mode: z.enum(['IN', 'OUT', 'INOUT']).optional().default('IN').describe('Parameter mode (default: IN)')
+}).superRefine((parameter, ctx) => {
+  try {
+    parseParameterType(parameter.type);
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['type'], message: error.message });
+  }
+  if (parameter.name !== undefined && !isValidIdentifier(parameter.name)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['name'],
+      message: 'Parameter names must start with a letter or underscore and contain only letters, digits and underscores'
+    });
+  }
+});
+
 export const BqExecuteProcedureSchema = z.object({
   procedureName: z.string().describe('Procedure name'),
+  maximumBytesBilled: MaximumBytesBilledSchema,
   datasetId: z.string().describe('Dataset containing the procedure'),
   projectId: z.string().describe('GCP Project ID'),
-  parameters: z.array(z.object({
-    value: z.any().describe('Parameter value'),
-    type: z.string().describe('Parameter type'),
-    name: z.string().optional().describe('Parameter name')
-  })).optional().describe('Array of parameters with {value, type, name}'),
+  parameters: z.array(ProcedureParameterSchema).optional().describe('Procedure arguments in declaration order, as {value, type, name, mode}'),
   location: z.string().optional().describe('Procedure location'),
-  timeoutMs: z.string().optional().describe('Execution timeout'),
-  waitForCompletion: z.boolean().optional().default(true).describe('Wait for procedure to complete')
+  timeoutMs: z.number().int().positive().optional().describe('Execution timeout in milliseconds'),
+  waitForCompletion: z.boolean().optional().default(true).describe('Wait for procedure to complete'),
+  maxRows: z.number().int().positive().optional().default(100).describe('Maximum rows to return per result set (default: 100)')
 });
 
 export const BqExecuteScriptSchema = z.object({
-  statements: z.array(z.string()).describe('Array of SQL statements'),
+  statements: z.array(z.string()).min(1).describe('Array of SQL statements'),
+  maximumBytesBilled: MaximumBytesBilledSchema,
   projectId: z.string().describe('GCP Project ID'),
-  sessionId: z.string().optional().describe('Optional session ID'),
+  sessionId: z.string().optional().describe('Optional session ID; the script runs in the session\'s project and location'),
   location: z.string().optional().describe('Script location'),
-  timeoutMs: z.string().optional().describe('Script timeout'),
-  waitForCompletion: z.boolean().optional().default(true).describe('Wait for script completion')
+  timeoutMs: z.number().int().positive().optional().describe('Script timeout in milliseconds'),
+  waitForCompletion: z.boolean().optional().default(true).describe('Wait for script completion'),
+  maxRows: z.number().int().positive().optional().default(100).describe('Maximum rows to return per result set (default: 100)')
 });
 
 // ===============================================================
 // Data Operations Schemas
 // ===============================================================
 
+const GcsUriSchema = z.string().regex(/^gs:\/\/[^/]+\/.+/, 'Expected a gs://bucket/path URI');
+
+// BigQuery TableFieldSchema; nested RECORD fields are passed through as-is
+const TableFieldSchema = z.object({
+  name: z.string().describe('Column name'),
+  type: z.string().describe('Column type (STRING, INT64, FLOAT64, BOOL, TIMESTAMP, DATE, RECORD, ...)'),
+  mode: z.enum(['NULLABLE', 'REQUIRED', 'REPEATED']).optional().describe('Column mode (default: NULLABLE)'),
+  description: z.string().optional().describe('Column description'),
+  fields: z.array(z.record(z.any())).optional().describe('Nested fields for RECORD columns')
+});
+
 export const BqLoadDataSchema = z.object({
-  sourceUri: z.string().describe('Source file URI (gs://...)'),
+  sourceUri: GcsUriSchema.describe('Source file URI (gs://...); may contain a * wildcard'),
   datasetId: z.string().describe('Target dataset ID'),
   tableId: z.string().describe('Target table ID'),
-  format: z.enum(['CSV', 'JSON', 'AVRO', 'PARQUET', 'ORC']).optional().describe('Source file format'),
+  projectId: z.string().optional().describe('GCP Project ID (optional)'),
+  format: z.enum(['CSV', 'JSON', 'AVRO', 'PARQUET', 'ORC']).optional().describe('Source file format (JSON means newline-delimited JSON)'),
   autodetect: z.boolean().optional().describe('Auto-detect schema'),
-  schema: z.object({}).optional().describe('Table schema if not auto-detecting'),
-  skipLeadingRows: z.number().optional().describe('Rows to skip (CSV)'),
+  schema: z.object({
+    fields: z.array(TableFieldSchema).min(1).describe('Column definitions')
+  }).optional().describe('Table schema if not auto-detecting'),
+  skipLeadingRows: z.number().int().nonnegative().optional().describe('Rows to skip (CSV)'),
   fieldDelimiter: z.string().optional().describe('Field delimiter (CSV)'),
   allowJaggedRows: z.boolean().optional().describe('Allow jagged rows (CSV)'),
   allowQuotedNewlines: z.boolean().optional().describe('Allow quoted newlines (CSV)'),
@@ -147,11 +291,12 @@ export const BqLoadDataSchema = z.object({
 export const BqExportDataSchema = z.object({
   datasetId: z.string().describe('Source dataset ID'),
   tableId: z.string().describe('Source table ID'),
-  destinationUri: z.string().describe('Destination URI (gs://...)'),
-  format: z.enum(['CSV', 'JSON', 'AVRO', 'PARQUET']).optional().describe('Export format'),
+  projectId: z.string().optional().describe('GCP Project ID (optional)'),
+  destinationUri: GcsUriSchema.describe('Destination URI (gs://...); use a * wildcard for tables over 1 GB'),
+  format: z.enum(['CSV', 'JSON', 'AVRO', 'PARQUET']).optional().describe('Export format (JSON means newline-delimited JSON)'),
   fieldDelimiter: z.string().optional().describe('Field delimiter (CSV)'),
   printHeader: z.boolean().optional().describe('Include header row (CSV)'),
-  compress: z.boolean().optional().describe('Compress output with gzip'),
+  compress: z.boolean().optional().describe('Compress output (GZIP; DEFLATE for AVRO)'),
   location: z.string().optional().describe('Job location'),
   waitForCompletion: z.boolean().optional().default(true).describe('Wait for export to complete')
 });
@@ -159,10 +304,19 @@ export const BqExportDataSchema = z.object({
 export const BqStreamInsertSchema = z.object({
   datasetId: z.string().describe('Dataset ID'),
   tableId: z.string().describe('Table ID'),
-  rows: z.array(z.object({})).describe('Array of row objects to insert'),
-  insertIds: z.array(z.string()).optional().describe('Optional insert IDs for deduplication'),
+  projectId: z.string().optional().describe('GCP Project ID (optional)'),
+  rows: z.array(z.record(z.any())).min(1).describe('Array of row objects to insert'),
+  insertIds: z.array(z.string()).optional().describe('Optional insert IDs for deduplication, one per row'),
   ignoreUnknownValues: z.boolean().optional().describe('Ignore unknown field values'),
   skipInvalidRows: z.boolean().optional().describe('Skip invalid rows')
+}).superRefine((args, ctx) => {
+  if (args.insertIds && args.insertIds.length !== args.rows.length) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['insertIds'],
+      message: `Expected ${args.rows.length} insert IDs (one per row), received ${args.insertIds.length}`
+    });
+  }
 });
 
 export const BqCopyTableSchema = z.object({
@@ -170,8 +324,10 @@ export const BqCopyTableSchema = z.object({
   sourceTableId: z.string().describe('Source table ID'),
   destinationDatasetId: z.string().describe('Destination dataset ID'),
   destinationTableId: z.string().describe('Destination table ID'),
+  projectId: z.string().optional().describe('GCP Project ID (optional)'),
   createDisposition: z.enum(['CREATE_IF_NEEDED', 'CREATE_NEVER']).optional().describe('Table creation behavior'),
   writeDisposition: z.enum(['WRITE_TRUNCATE', 'WRITE_APPEND', 'WRITE_EMPTY']).optional().describe('How to write data'),
+  location: z.string().optional().describe('Job location'),
   waitForCompletion: z.boolean().optional().default(true).describe('Wait for copy to complete')
 });
 
@@ -201,6 +357,7 @@ export const BqListDatasetsSchema = z.object({
 
 export const BqQuerySchema = z.object({
   query: z.string().describe('SQL query to execute'),
+  maximumBytesBilled: MaximumBytesBilledSchema,
   projectId: z.string().optional().describe('GCP Project ID (optional)'),
   useLegacySql: z.boolean().optional().default(false).describe('Use legacy SQL syntax (default: false)')
 });
@@ -215,68 +372,3 @@ export const BqListTablesSchema = z.object({
   datasetId: z.string().describe('Dataset ID'),
   projectId: z.string().optional().describe('GCP Project ID (optional)')
 });
-
-// ===============================================================
-// Schema Export Map for Easy Access
-// ===============================================================
-
-export const BigQuerySchemas = {
-  // NEW: SQL-First Universal Interface
-  'gcp-sql': GcpSQLSchema,
-  
-  // Jobs API & Async Operations
-  'bq-create-query-job': BqCreateQueryJobSchema,
-  'bq-get-job': BqGetJobSchema,
-  'bq-cancel-job': BqCancelJobSchema,
-  'bq-list-jobs': BqListJobsSchema,
-  
-  // Session Management
-  'bq-create-session': BqCreateSessionSchema,
-  'bq-query-with-session': BqQueryWithSessionSchema,
-  
-  // Stored Procedures & Scripts
-  'bq-execute-procedure': BqExecuteProcedureSchema,
-  'bq-execute-script': BqExecuteScriptSchema,
-  
-  // Data Operations
-  'bq-load-data': BqLoadDataSchema,
-  'bq-export-data': BqExportDataSchema,
-  'bq-stream-insert': BqStreamInsertSchema,
-  'bq-copy-table': BqCopyTableSchema,
-  
-  // Schema & Metadata
-  'bq-get-table-schema': BqGetTableSchemaSchema,
-  'bq-get-routine-definition': BqGetRoutineDefinitionSchema,
-  
-  // Legacy Tools
-  'bq-list-datasets': BqListDatasetsSchema,
-  'bq-query': BqQuerySchema,
-  'bq-create-dataset': BqCreateDatasetSchema,
-  'bq-list-tables': BqListTablesSchema
-};
-
-// ===============================================================
-// Function Name Mapping (camelCase for imports)
-// ===============================================================
-
-export const FunctionNameMap = {
-  'gcp-sql': 'gcpSQL',
-  'bq-create-query-job': 'bqCreateQueryJob',
-  'bq-get-job': 'bqGetJob',
-  'bq-cancel-job': 'bqCancelJob',
-  'bq-list-jobs': 'bqListJobs',
-  'bq-create-session': 'bqCreateSession',
-  'bq-query-with-session': 'bqQueryWithSession',
-  'bq-execute-procedure': 'bqExecuteProcedure',
-  'bq-execute-script': 'bqExecuteScript',
-  'bq-load-data': 'bqLoadData',
-  'bq-export-data': 'bqExportData',
-  'bq-stream-insert': 'bqStreamInsert',
-  'bq-copy-table': 'bqCopyTable',
-  'bq-get-table-schema': 'bqGetTableSchema',
-  'bq-get-routine-definition': 'bqGetRoutineDefinition',
-  'bq-list-datasets': 'bqListDatasets',
-  'bq-query': 'bqQuery',
-  'bq-create-dataset': 'bqCreateDataset',
-  'bq-list-tables': 'bqListTables'
-};
\ No newline at end of file
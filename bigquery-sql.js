@@ -1,8 +1,12 @@
 import { BigQuery } from '@google-cloud/bigquery';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 
-const execAsync = promisify(exec);
+import { buildQueryParameters } from './bigquery-params.js';
+import { getQueryResultsPage, createCursor, getCursor } from './bigquery-cursors.js';
+import { guardQuery, GuardrailError } from './bigquery-guardrails.js';
+import { recordErrorClass } from './audit-log.js';
+import { assertProjectId, assertDatasetId, assertTableName, assertRegion } from './bigquery-identifiers.js';
+import { getProjectId } from './gcp-project.js';
+
 const bigquery = new BigQuery();
 
 // Helper function to parse BigQuery timestamps
@@ -88,38 +92,9 @@ class BigQueryAPIError extends Error {
   }
 }
 
-// Get default project ID
-const getProjectId = async (providedId) => {
-  if (providedId) {
-    log(`Using provided project ID: ${providedId}`);
-    return providedId;
-  }
-  
-  if (process.env.GOOGLE_CLOUD_PROJECT) {
-    log(`Using GOOGLE_CLOUD_PROJECT: ${process.env.GOOGLE_CLOUD_PROJECT}`);
-    return process.env.GOOGLE_CLOUD_PROJECT;
-  }
-  
-  if (process.env.GCP_PROJECT) {
-    log(`Using GCP_PROJECT: ${process.env.GCP_PROJECT}`);
-    return process.env.GCP_PROJECT;
-  }
-  
-  try {
-    const { stdout } = await execAsync('gcloud config get-value project');
-    const projectId = stdout.trim();
-    if (projectId) {
-      log(`Using gcloud default project: ${projectId}`);
-      return projectId;
-    }
-  } catch (error) {
-    log('Failed to get project from gcloud:', error.message);
-  }
-  
-  throw new Error('No project ID provided and unable to determine default project. Please set GOOGLE_CLOUD_PROJECT environment variable or run: gcloud config set project YOUR_PROJECT_ID');
-};
-
-// SQL Query Templates - leverage INFORMATION_SCHEMA for metadata
+// SQL Query Templates - leverage INFORMATION_SCHEMA for metadata.
+// {project}, {dataset} and {region} are validated identifiers inside backticks;
+// every value is passed as a named query parameter (@table, @hours, ...).
 const QUERY_TEMPLATES = {
   'list-datasets': `
     SELECT 
@@ -127,8 +102,8 @@ const QUERY_TEMPLATES = {
       location,
       creation_time,
       last_modified_time
-    FROM \`region-us.INFORMATION_SCHEMA.SCHEMATA\`
-    WHERE catalog_name = '{project}' AND schema_name != 'INFORMATION_SCHEMA'
+    FROM \`{project}.region-{region}.INFORMATION_SCHEMA.SCHEMATA\`
+    WHERE schema_name != 'INFORMATION_SCHEMA'
     ORDER BY schema_name
   `,
   
@@ -148,7 +123,7 @@ const QUERY_TEMPLATES = {
       is_nullable,
       column_default
     FROM \`{project}.{dataset}.INFORMATION_SCHEMA.COLUMNS\`
-    WHERE table_name = '{table}'
+    WHERE table_name = @table
     ORDER BY ordinal_position
   `,
   
@@ -158,7 +133,7 @@ const QUERY_TEMPLATES = {
       table_type,
       creation_time
     FROM \`{project}.{dataset}.INFORMATION_SCHEMA.TABLES\`
-    WHERE table_name = '{table}'
+    WHERE table_name = @table
   `,
   
   'dataset-info': `
@@ -166,8 +141,8 @@ const QUERY_TEMPLATES = {
       schema_name as dataset_id,
       option_name,
       option_value
-    FROM \`{project}.region-us.INFORMATION_SCHEMA.SCHEMATA_OPTIONS\`
-    WHERE schema_name = '{dataset}'
+    FROM \`{project}.region-{region}.INFORMATION_SCHEMA.SCHEMATA_OPTIONS\`
+    WHERE schema_name = @dataset
   `,
   
   'list-views': `
@@ -178,6 +153,29 @@ const QUERY_TEMPLATES = {
     ORDER BY table_name
   `,
   
+  'describe-view': `
+    SELECT 
+      table_name as view_name,
+      view_definition,
+      use_standard_sql
+    FROM \`{project}.{dataset}.INFORMATION_SCHEMA.VIEWS\`
+    WHERE table_name = @table
+  `,
+  
+  'describe-routine': `
+    SELECT 
+      routine_name,
+      routine_type,
+      language,
+      data_type as return_type,
+      routine_definition,
+      ddl,
+      creation_time,
+      last_altered
+    FROM \`{project}.{dataset}.INFORMATION_SCHEMA.ROUTINES\`
+    WHERE routine_name = @routine
+  `,
+  
   'list-routines': `
     SELECT 
       routine_name,
@@ -202,10 +200,10 @@ const QUERY_TEMPLATES = {
       total_bytes_processed,
       total_slot_ms,
       ROUND(total_bytes_processed / 1024 / 1024 / 1024, 2) as gb_processed
-    FROM \`{project}.region-us.INFORMATION_SCHEMA.JOBS_BY_PROJECT\`
-    WHERE creation_time >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL {hours} HOUR)
+    FROM \`{project}.region-{region}.INFORMATION_SCHEMA.JOBS_BY_PROJECT\`
+    WHERE creation_time >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL @hours HOUR)
     ORDER BY creation_time DESC
-    LIMIT {limit}
+    LIMIT @limit
   `,
   
   'current-project': `
@@ -213,8 +211,51 @@ const QUERY_TEMPLATES = {
   `
 };
 
-// Format query results consistently
-function formatResults(rows, format = 'json', maxRows = 100) {
+// Operations scoped to a single dataset
+const DATASET_OPERATIONS = ['list-tables', 'describe-table', 'table-schema', 'dataset-info', 'list-views', 'describe-view', 'list-routines', 'describe-routine'];
+
+// Operations that read region-qualified INFORMATION_SCHEMA views
+const REGIONAL_OPERATIONS = ['list-datasets', 'dataset-info', 'job-history'];
+
+// Regional operations that can fan out across every region the project uses
+const MULTI_REGION_OPERATIONS = ['list-datasets', 'job-history'];
+
+// How merged multi-region results are ordered and limited
+const MULTI_REGION_ORDER = {
+  'list-datasets': (a, b) => String(a.dataset_id).localeCompare(String(b.dataset_id)),
+  'job-history': (a, b) => parseTimestamp(b.creation_time) - parseTimestamp(a.creation_time)
+};
+
+// Normalize a location (US, EU, asia-northeast1) to the region qualifier used in `region-xx`
+function toRegionQualifier(location) {
+  return assertRegion(String(location).trim().toLowerCase());
+}
+
+// Resolve the region for a regional operation: explicit location, then the dataset's location
+async function resolveRegion(projectId, args) {
+  if (args.location) {
+    return toRegionQualifier(args.location);
+  }
+
+  if (args.dataset) {
+    const [metadata] = await bigquery.dataset(args.dataset, { projectId }).getMetadata();
+    log(`Dataset ${args.dataset} is in ${metadata.location}`);
+    return toRegionQualifier(metadata.location);
+  }
+
+  return toRegionQualifier(process.env.BIGQUERY_DEFAULT_LOCATION || 'US');
+}
+
+// List the distinct regions the project's datasets live in
+async function listProjectRegions(projectId) {
+  const [datasets] = await bigquery.getDatasets({ projectId });
+  const regions = new Set(datasets.map(dataset => toRegionQualifier(dataset.metadata.location)));
+  return [...regions].sort();
+}
+
+// Format query results consistently. `page` describes where these rows sit in
+// the full result: { totalRows, offset, cursor } for paged results.
+function formatResults(rows, format = 'json', maxRows = 100, page = {}) {
   if (!rows || rows.length === 0) {
     return {
       success: true,
@@ -222,65 +263,61 @@ function formatResults(rows, format = 'json', maxRows = 100) {
       metadata: { 
         row_count: 0,
         message: "Query completed successfully but returned no results."
-      }
+      },
+      content: [{
+        type: "text",
+        text: "Query completed successfully but returned no results."
+      }]
     };
   }
 
   // Process rows to format timestamps
   const processedRows = rows.map(row => processRowData(row));
   const displayRows = processedRows.slice(0, maxRows);
-  const truncated = rows.length > maxRows;
+  const totalRows = page.totalRows ?? rows.length;
+  const offset = page.offset || 0;
+  const truncated = offset + displayRows.length < totalRows;
+  const showing = offset > 0
+    ? `rows ${offset + 1}-${offset + displayRows.length}`
+    : `first ${displayRows.length}`;
 
+  const metadata = {
+    row_count: totalRows,
+    truncated,
+    format: format.toLowerCase(),
+    ...(page.cursor ? { offset, cursor: page.cursor } : {})
+  };
+
+  let text;
   switch (format.toLowerCase()) {
     case 'table':
-      return {
-        success: true,
-        data: displayRows,
-        metadata: {
-          row_count: rows.length,
-          truncated,
-          format: 'table'
-        },
-        content: [{
-          type: "text",
-          text: formatAsTable(displayRows, truncated, rows.length)
-        }]
-      };
-      
+      text = formatAsTable(displayRows, truncated, totalRows, showing);
+      break;
     case 'csv':
-      return {
-        success: true,
-        data: displayRows,
-        metadata: {
-          row_count: rows.length,
-          truncated,
-          format: 'csv'
-        },
-        content: [{
-          type: "text", 
-          text: formatAsCSV(displayRows, truncated, rows.length)
-        }]
-      };
-      
+      text = formatAsCSV(displayRows, truncated, totalRows, showing);
+      break;
     default: // json
-      return {
-        success: true,
-        data: displayRows,
-        metadata: {
-          row_count: rows.length,
-          truncated,
-          format: 'json'
-        },
-        content: [{
-          type: "text",
-          text: `Query returned ${rows.length} rows${truncated ? ` (showing first ${maxRows})` : ''}:\n\n\`\`\`json\n${JSON.stringify(displayRows, null, 2)}\n\`\`\``
-        }]
-      };
+      metadata.format = 'json';
+      text = `Query returned ${totalRows} rows${truncated ? ` (showing ${showing})` : ''}:\n\n\`\`\`json\n${JSON.stringify(displayRows, null, 2)}\n\`\`\``;
+  }
+
+  if (page.cursor) {
+    text += `\n\n**More rows available**: call gcp-sql or bq-fetch-page with cursor "${page.cursor}" to get the next page.`;
   }
+
+  return {
+    success: true,
+    data: displayRows,
+    metadata,
+    content: [{
+      type: "text",
+      text
+    }]
+  };
 }
 
 // Format results as table
-function formatAsTable(rows, truncated, totalRows) {
+function formatAsTable(rows, truncated, totalRows, showing = `first ${rows.length}`) {
   if (rows.length === 0) return "No results found.";
   
   const headers = Object.keys(rows[0]);
@@ -306,14 +343,14 @@ function formatAsTable(rows, truncated, totalRows) {
   table += '```';
   
   if (truncated) {
-    table += `\n\n**Note**: Showing first ${rows.length} of ${totalRows} rows.`;
+    table += `\n\n**Note**: Showing ${showing} of ${totalRows} rows.`;
   }
   
   return table;
 }
 
 // Format results as CSV
-function formatAsCSV(rows, truncated, totalRows) {
+function formatAsCSV(rows, truncated, totalRows, showing = `first ${rows.length}`) {
   if (rows.length === 0) return "No results found.";
   
   const headers = Object.keys(rows[0]);
@@ -337,7 +374,7 @@ function formatAsCSV(rows, truncated, totalRows) {
   csv += '```';
   
   if (truncated) {
-    csv += `\n\n**Note**: Showing first ${rows.length} of ${totalRows} rows.`;
+    csv += `\n\n**Note**: Showing ${showing} of ${totalRows} rows.`;
   }
   
   return csv;
@@ -346,7 +383,12 @@ function formatAsCSV(rows, truncated, totalRows) {
 // Handle errors consistently
 function handleError(error, operation = 'unknown') {
   log(`Error in ${operation}:`, error);
+  recordErrorClass(error.name);
   
+  if (error instanceof GuardrailError) {
+    return error.toResponse();
+  }
+
   if (error.code === 401 || error.code === 403) {
     throw new BigQueryAuthError(
       'Authentication failed. Please check your Google Cloud credentials.',
@@ -372,7 +414,8 @@ function handleError(error, operation = 'unknown') {
     content: [{
       type: "text",
       text: formatErrorMessage(error)
-    }]
+    }],
+    isError: true
   };
 }
 
@@ -405,89 +448,245 @@ function formatErrorMessage(error) {
     ''}Original error: ${error.originalError?.message || error.message}`;
 }
 
+// Query parameter types for operation values
+const OPERATION_PARAMETER_TYPES = {
+  dataset: 'STRING',
+  table: 'STRING',
+  routine: 'STRING',
+  hours: 'INT64',
+  limit: 'INT64'
+};
+
+// Build an operation's SQL and named parameters. Only validated identifiers
+// are substituted into the text; values the template references as @name are
+// bound as query parameters.
+function renderTemplate(operation, identifiers, values) {
+  const template = QUERY_TEMPLATES[operation];
+  if (!template) {
+    throw new Error(`Unknown operation: ${operation}. Available operations: ${Object.keys(QUERY_TEMPLATES).join(', ')}`);
+  }
+
+  const query = template.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = identifiers[key];
+    if (value === undefined) {
+      throw new Error(`Missing required parameter for operation '${operation}': ${key}`);
+    }
+    return value;
+  });
+
+  const params = {};
+  const types = {};
+  for (const [, name] of query.matchAll(/@(\w+)/g)) {
+    if (values[name] === undefined) {
+      throw new Error(`Missing required parameter for operation '${operation}': ${name}`);
+    }
+    params[name] = values[name];
+    types[name] = OPERATION_PARAMETER_TYPES[name];
+  }
+
+  return { query, params, types };
+}
+
+// Start a query and fetch its first page of results
+async function runQuery({ query, params, types }, args, location, maxRows) {
+  log(`Executing query: ${query.substring(0, 200)}...`);
+
+  const options = {
+    query: query.trim(),
+    useLegacySql: args.useLegacySql || false,
+    location
+  };
+  if (params && Object.keys(params).length > 0) {
+    options.params = params;
+    if (types) {
+      options.types = types;
+    }
+  }
+
+  const [job] = await bigquery.createQueryJob(await guardQuery(bigquery, options, args.maximumBytesBilled));
+  const page = await getQueryResultsPage(job, { maxResults: maxRows });
+  return { job, ...page };
+}
+
+// Format a page of results, issuing a cursor when more pages remain
+function formatPage(job, page, { format, maxRows, offset = 0 }) {
+  let cursor;
+  if (page.nextPageToken) {
+    cursor = createCursor({
+      jobId: job.id,
+      location: job.location,
+      pageToken: page.nextPageToken,
+      offset: offset + page.rows.length,
+      totalRows: page.totalRows,
+      format,
+      maxRows
+    });
+  }
+
+  return formatResults(page.rows, format, maxRows, { totalRows: page.totalRows, offset, cursor });
+}
+
+// Fetch the next page for a cursor returned by an earlier call
+export async function fetchPage(args) {
+  try {
+    const cursor = getCursor(args.cursor);
+    const format = args.format || cursor.format;
+    const maxRows = args.maxRows || cursor.maxRows;
+    log(`Fetching page at row ${cursor.offset} of job ${cursor.jobId}`);
+
+    const job = bigquery.job(cursor.jobId, { location: cursor.location });
+    const page = await getQueryResultsPage(job, { maxResults: maxRows, pageToken: cursor.pageToken });
+
+    return formatPage(job, page, { format, maxRows, offset: cursor.offset });
+  } catch (error) {
+    return handleError(error, 'fetch-page');
+  }
+}
+
+// Run a regional operation in every region the project uses and merge the rows
+async function runInAllRegions(projectId, args, identifiers, values, maxRows) {
+  const regions = await listProjectRegions(projectId);
+  log(`Fanning out ${args.operation} across regions: ${regions.join(', ')}`);
+
+  const outcomes = await Promise.allSettled(regions.map(region =>
+    runQuery(renderTemplate(args.operation, { ...identifiers, region }, values), args, region, values.limit || maxRows)
+  ));
+
+  const rows = [];
+  const regionErrors = [];
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      rows.push(...outcome.value.rows.map(row => ({ region: regions[index], ...row })));
+    } else {
+      regionErrors.push({ region: regions[index], message: outcome.reason.message });
+    }
+  });
+
+  if (regionErrors.length === regions.length && regions.length > 0) {
+    throw outcomes[0].reason;
+  }
+
+  rows.sort(MULTI_REGION_ORDER[args.operation]);
+  const merged = args.operation === 'job-history' ? rows.slice(0, values.limit) : rows;
+  return { rows: merged, regions, regionErrors };
+}
+
+// Validate an operation's arguments into the identifiers spliced into its SQL
+// and the values bound as parameters
+function prepareOperation(projectId, args) {
+  const identifiers = { project: assertProjectId(projectId) };
+  const values = {};
+
+  switch (args.operation) {
+    case 'job-history':
+      values.hours = Math.floor(args.hours || 24);
+      values.limit = Math.floor(args.limit || 100);
+      break;
+    case 'describe-table':
+    case 'table-schema':
+    case 'describe-view':
+      if (!args.table) {
+        throw new Error(`Operation '${args.operation}' requires a 'table' parameter`);
+      }
+      values.table = assertTableName(args.table);
+      break;
+    case 'describe-routine':
+      if (!args.routine) {
+        throw new Error(`Operation '${args.operation}' requires a 'routine' parameter`);
+      }
+      values.routine = assertTableName(args.routine);
+      break;
+  }
+
+  if (DATASET_OPERATIONS.includes(args.operation)) {
+    if (!args.dataset) {
+      throw new Error(`Operation '${args.operation}' requires a 'dataset' parameter`);
+    }
+    identifiers.dataset = assertDatasetId(args.dataset);
+    values.dataset = args.dataset;
+  }
+
+  return { identifiers, values };
+}
+
 // Main SQL interface function
 export async function gcpSQL(args) {
   try {
+    // Next page of an earlier result
+    if (args.cursor) {
+      return await fetchPage(args);
+    }
+
     const projectId = await getProjectId(args.projectId);
     log(`Executing SQL operation in project: ${projectId}`);
     
-    let query;
-    let queryParams = { project: projectId };
-    
-    // Handle operation templates
-    if (args.operation) {
-      const template = QUERY_TEMPLATES[args.operation];
-      if (!template) {
-        throw new Error(`Unknown operation: ${args.operation}. Available operations: ${Object.keys(QUERY_TEMPLATES).join(', ')}`);
+    const format = args.format || 'json';
+    const maxRows = args.maxRows || 100;
+
+    if (!args.operation && !args.query) {
+      throw new Error('Either "operation", "query" or "cursor" parameter is required');
+    }
+
+    // Direct SQL query
+    if (!args.operation) {
+      const queryParameters = args.params !== undefined ? buildQueryParameters(args.params, args.types) : {};
+      const { job, ...page } = await runQuery({ query: args.query, ...queryParameters }, args, args.location, maxRows);
+      return formatPage(job, page, { format, maxRows });
+    }
+
+    // Handle operation templates: identifiers are validated before they reach the SQL text
+    const { identifiers, values } = prepareOperation(projectId, args);
+
+    if (args.allRegions) {
+      if (!MULTI_REGION_OPERATIONS.includes(args.operation)) {
+        throw new Error(`allRegions is only supported for: ${MULTI_REGION_OPERATIONS.join(', ')}`);
       }
-      
-      // Add operation-specific parameters
-      Object.assign(queryParams, args);
-      
-      // Special handling for some operations
-      switch (args.operation) {
-        case 'job-history':
-          queryParams.hours = args.hours || 24;
-          queryParams.limit = args.limit || 100;
-          break;
-        case 'list-tables':
-        case 'describe-table':
-        case 'table-schema':
-        case 'dataset-info':
-        case 'list-views':
-        case 'list-routines':
-          if (!args.dataset) {
-            throw new Error(`Operation '${args.operation}' requires a 'dataset' parameter`);
-          }
-          break;
-        case 'describe-table':
-        case 'table-schema':
-          if (!args.table) {
-            throw new Error(`Operation '${args.operation}' requires a 'table' parameter`);
-          }
-          break;
+
+      const { rows, regions, regionErrors } = await runInAllRegions(projectId, args, identifiers, values, maxRows);
+      const result = formatResults(rows, format, maxRows);
+      result.metadata = { ...result.metadata, regions, regionErrors };
+      if (regionErrors.length > 0) {
+        result.content[0].text += `\n\n**Note**: Some regions could not be queried:\n${regionErrors.map(e => `- ${e.region}: ${e.message}`).join('\n')}`;
       }
-      
-      // Replace template variables
-      query = template.replace(/\{(\w+)\}/g, (match, key) => {
-        const value = queryParams[key];
-        if (value === undefined) {
-          throw new Error(`Missing required parameter for operation '${args.operation}': ${key}`);
-        }
-        return value;
-      });
-      
-    } else if (args.query) {
-      // Direct SQL query
-      query = args.query;
-    } else {
-      throw new Error('Either "operation" or "query" parameter is required');
+      return result;
     }
-    
-    log(`Executing query: ${query.substring(0, 200)}...`);
-    
-    // Execute the query
-    const options = {
-      query: query.trim(),
-      useLegacySql: args.useLegacySql || false,
-      projectId: projectId,
-      location: args.location
-    };
-    
-    const [job] = await bigquery.createQueryJob(options);
-    const [rows] = await job.getQueryResults();
-    
-    // Format and return results
-    const format = args.format || 'json';
-    const maxRows = args.maxRows || 100;
-    
-    return formatResults(rows, format, maxRows);
+
+    let location = args.location;
+    if (REGIONAL_OPERATIONS.includes(args.operation)) {
+      identifiers.region = await resolveRegion(projectId, args);
+      location = identifiers.region;
+    }
+
+    const { job, ...page } = await runQuery(renderTemplate(args.operation, identifiers, values), args, location, maxRows);
+    return formatPage(job, page, { format, maxRows });
     
   } catch (error) {
     return handleError(error, args.operation || 'sql-query');
   }
 }
 
+// Run an operation template and return its rows, for callers that format
+// results themselves (MCP resources). Errors are thrown, not formatted.
+export async function queryOperation(args) {
+  const projectId = await getProjectId(args.projectId);
+  const { identifiers, values } = prepareOperation(projectId, args);
+  const maxRows = args.maxRows || 1000;
+
+  if (args.allRegions) {
+    const { rows } = await runInAllRegions(projectId, args, identifiers, values, maxRows);
+    return rows.map(row => processRowData(row));
+  }
+
+  let location = args.location;
+  if (REGIONAL_OPERATIONS.includes(args.operation)) {
+    identifiers.region = await resolveRegion(projectId, args);
+    location = identifiers.region;
+  }
+
+  const { rows } = await runQuery(renderTemplate(args.operation, identifiers, values), args, location, maxRows);
+  return rows.map(row => processRowData(row));
+}
+
 // Convenience functions for common operations
 export async function listDatasets(args = {}) {
   return gcpSQL({ ...args, operation: 'list-datasets' });
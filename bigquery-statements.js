@@ -0,0 +1,163 @@
+// Statement classification for GoogleSQL scripts.
+//
+// A dry run reports a single statementType, which is SCRIPT for multi-statement
+// queries. To see what a script would do, its text is split into statements
+// and each one is classified from its leading keywords, using the same names
+// BigQuery reports (SELECT, INSERT, CREATE_TABLE, DROP_VIEW, ...). String
+// literals, quoted identifiers and comments are skipped, so keywords inside
+// them are never mistaken for statements.
+
+// Script statements that only declare variables or control flow
+export const SCRIPT_CONTROL_STATEMENTS = new Set([
+  'DECLARE', 'SET', 'BREAK', 'LEAVE', 'CONTINUE', 'ITERATE', 'RETURN',
+  'RAISE', 'ASSERT', 'COMMIT', 'ROLLBACK', 'TRANSACTION'
+]);
+
+// Keywords that open a block; the statement starts after them
+const BLOCK_OPENERS = new Set(['BEGIN', 'ELSE', 'LOOP', 'REPEAT', 'DO', 'THEN', 'EXCEPTION']);
+
+// Keywords followed by a condition that runs up to THEN or DO
+const CONDITION_OPENERS = new Set(['IF', 'ELSEIF', 'WHILE', 'FOR', 'WHEN', 'CASE']);
+
+// Words that make up the object of a DDL statement (CREATE MATERIALIZED VIEW)
+const DDL_OBJECT_WORDS = new Set([
+  'TABLE', 'VIEW', 'MATERIALIZED', 'EXTERNAL', 'SNAPSHOT', 'FUNCTION', 'AGGREGATE',
+  'PROCEDURE', 'SCHEMA', 'MODEL', 'SEARCH', 'VECTOR', 'INDEX', 'ROW', 'ACCESS',
+  'POLICY', 'POLICIES', 'ALL', 'CAPACITY', 'RESERVATION', 'ASSIGNMENT', 'ORGANIZATION',
+  'PROJECT', 'BI_CAPACITY', 'CONNECTION', 'COLUMN'
+]);
+
+// DDL modifiers that do not change the statement type (CREATE OR REPLACE TEMP TABLE)
+const DDL_MODIFIERS = new Set(['OR', 'REPLACE', 'TEMP', 'TEMPORARY']);
+
+// Statements named by their first two keywords (EXPORT DATA, EXECUTE IMMEDIATE)
+const TWO_WORD_STATEMENTS = new Set(['EXPORT', 'LOAD', 'EXECUTE']);
+
+// Split SQL into tokens, dropping whitespace, comments, strings and quoted identifiers.
+// Strings and quoted identifiers are kept as opaque placeholder tokens.
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if ((char === '-' && next === '-') || char === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+    } else if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      const quote = sql.startsWith(char.repeat(3), i) ? char.repeat(3) : char;
+      let j = i + quote.length;
+      while (j < sql.length && !sql.startsWith(quote, j)) {
+        j += sql[j] === '\\' ? 2 : 1;
+      }
+      tokens.push(char === '`' ? '`identifier`' : '\'literal\'');
+      i = j + quote.length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = sql.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push(match[0].toUpperCase());
+      i += match[0].length;
+    } else {
+      tokens.push(char);
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+// Split tokens into statements on top-level semicolons
+function splitStatements(tokens) {
+  const statements = [[]];
+  for (const token of tokens) {
+    if (token === ';') {
+      statements.push([]);
+    } else {
+      statements[statements.length - 1].push(token);
+    }
+  }
+  return statements.filter(statement => statement.length > 0);
+}
+
+// Name a statement from its leading tokens
+function statementTypeOf(tokens) {
+  const [first, second] = tokens;
+
+  if (first === 'SELECT' || first === 'WITH' || first === '(') {
+    return 'SELECT';
+  }
+  if (first === 'TRUNCATE') {
+    return 'TRUNCATE_TABLE';
+  }
+  if (TWO_WORD_STATEMENTS.has(first) && second) {
+    return `${first}_${second}`;
+  }
+
+  if (['CREATE', 'ALTER', 'DROP', 'UNDROP'].includes(first)) {
+    let i = 1;
+    while (DDL_MODIFIERS.has(tokens[i])) {
+      i++;
+    }
+    const object = [];
+    while (DDL_OBJECT_WORDS.has(tokens[i])) {
+      object.push(tokens[i++]);
+    }
+    if (object.length === 0) {
+      return first;
+    }
+
+    const type = `${first}_${object.join('_')}`;
+    // CREATE TABLE ... AS SELECT is reported separately by BigQuery
+    const asIndex = tokens.indexOf('AS', i);
+    if (type === 'CREATE_TABLE' && asIndex !== -1 && ['SELECT', 'WITH', '('].includes(tokens[asIndex + 1])) {
+      return 'CREATE_TABLE_AS_SELECT';
+    }
+    return type;
+  }
+
+  return first;
+}
+
+// Find the statement inside a chunk of script, skipping control-flow keywords.
+// Returns its type, or undefined when the chunk is only control flow (END IF).
+function classifyChunk(tokens) {
+  let i = 0;
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (BLOCK_OPENERS.has(token)) {
+      i++;
+    } else if (tokens[i + 1] === ':') {
+      // Block label (outer: LOOP)
+      i += 2;
+    } else if (token === 'END' || token === 'UNTIL') {
+      // END [IF | LOOP | ...] [label] and UNTIL <condition> close a block
+      return undefined;
+    } else if (CONDITION_OPENERS.has(token)) {
+      // Skip the condition; subqueries in it are in parentheses
+      let depth = 0;
+      i++;
+      while (i < tokens.length && !(depth === 0 && (tokens[i] === 'THEN' || tokens[i] === 'DO'))) {
+        if (tokens[i] === '(') depth++;
+        if (tokens[i] === ')') depth--;
+        i++;
+      }
+    } else {
+      return statementTypeOf(tokens.slice(i));
+    }
+  }
+  return undefined;
+}
+
+// Classify every statement in a query or script, in order
+export function classifyStatements(sql) {
+  return splitStatements(tokenize(sql))
+    .map(classifyChunk)
+    .filter(Boolean);
+}
@@ -17,7 +17,7 @@ const bigquery = new BigQuery();
 
 // Schema for bq-template-library
 const templateLibrarySchema = z.object({
-  templateCategory: z.enum(['reporting', 'etl', 'data_quality', 'analytics', 'ml_prep']),
+  templateCategory: z.enum(['reporting', 'etl', 'data_quality', 'analytics', 'ml_prep']).describe('Category of templates to access'),
   useCase: z.string().describe('Specific use case within the category'),
   customization: z.object({
     dataset: z.string().optional(),
@@ -31,8 +31,8 @@ const templateLibrarySchema = z.object({
       end: z.string().optional(),
       interval: z.string().optional()
     }).optional()
-  }).optional(),
-  projectContext: z.string().optional()
+  }).optional().describe('Parameters to customize the template'),
+  projectContext: z.string().optional().describe('Optional project ID for context')
 });
 
 // Schema for bq-query-composer
@@ -43,8 +43,8 @@ const queryComposerSchema = z.object({
     query: z.string(),
     dependencies: z.array(z.string()).optional(),
     alias: z.string().optional()
-  })),
-  compositionStrategy: z.enum(['union', 'join', 'subquery', 'cte', 'materialized']),
+  })).describe('Query components to compose'),
+  compositionStrategy: z.enum(['union', 'join', 'subquery', 'cte', 'materialized']).describe('Strategy for composing components'),
   optimizationLevel: z.enum(['none', 'basic', 'advanced']).default('basic'),
   outputFormat: z.object({
     includeExplanation: z.boolean().default(false),
@@ -55,16 +55,16 @@ const queryComposerSchema = z.object({
 
 // Schema for bq-auto-index
 const autoIndexSchema = z.object({
-  projectId: z.string(),
-  datasetId: z.string(),
-  tableId: z.string(),
+  projectId: z.string().describe('GCP project ID'),
+  datasetId: z.string().describe('BigQuery dataset ID'),
+  tableId: z.string().describe('BigQuery table ID'),
   queryPatterns: z.array(z.object({
     query: z.string(),
     frequency: z.number().optional(),
     avgExecutionTime: z.number().optional()
-  })).optional(),
+  })).optional().describe('Sample queries to analyze'),
   recommendationType: z.enum(['clustering', 'partitioning', 'both']).default('both'),
-  costAnalysis: z.boolean().default(true)
+  costAnalysis: z.boolean().default(true).describe('Include cost analysis in recommendations')
 });
 
 // ============================================================================
@@ -829,7 +829,8 @@ export async function bqTemplateLibrary(args) {
       content: [{
         type: "text",
         text: `Error accessing template library: ${error.message}`
-      }]
+      }],
+      isError: true
     };
   }
 }
@@ -908,7 +909,8 @@ export async function bqQueryComposer(args) {
       content: [{
         type: "text",
         text: `Error composing query: ${error.message}`
-      }]
+      }],
+      isError: true
     };
   }
 }
@@ -1035,7 +1037,8 @@ Next Steps:
       content: [{
         type: "text",
         text: `Error generating index recommendations: ${error.message}`
-      }]
+      }],
+      isError: true
     };
   }
 }
@@ -1044,8 +1047,10 @@ Next Steps:
 // EXPORTS
 // ============================================================================
 
-// Export individual functions
+// Export the template library and individual functions
 export {
+  templateLibrary,
+  substituteTemplate,
   bqTemplateLibrary as bq_template_library,
   bqQueryComposer as bq_query_composer,
   bqAutoIndex as bq_auto_index
@@ -1055,139 +1060,23 @@ export {
 export const templateAutomationTools = [
   {
     name: "bq-template-library",
+    category: "Templates & Automation",
     description: "Access common analytics query templates for reporting, ETL, data quality, analytics, and ML preparation",
-    inputSchema: {
-      type: "object",
-      properties: {
-        templateCategory: {
-          type: "string",
-          enum: ["reporting", "etl", "data_quality", "analytics", "ml_prep"],
-          description: "Category of templates to access"
-        },
-        useCase: {
-          type: "string",
-          description: "Specific use case within the category"
-        },
-        customization: {
-          type: "object",
-          description: "Parameters to customize the template",
-          properties: {
-            dataset: { type: "string" },
-            table: { type: "string" },
-            timeColumn: { type: "string" },
-            dimensions: { type: "array", items: { type: "string" } },
-            metrics: { type: "array", items: { type: "string" } },
-            filters: { type: "object" },
-            timeRange: {
-              type: "object",
-              properties: {
-                start: { type: "string" },
-                end: { type: "string" },
-                interval: { type: "string" }
-              }
-            }
-          }
-        },
-        projectContext: {
-          type: "string",
-          description: "Optional project ID for context"
-        }
-      },
-      required: ["templateCategory", "useCase"]
-    }
+    inputSchema: templateLibrarySchema,
+    handler: bqTemplateLibrary
   },
   {
     name: "bq-query-composer",
+    category: "Templates & Automation",
     description: "Compose complex queries from multiple components using various strategies",
-    inputSchema: {
-      type: "object",
-      properties: {
-        components: {
-          type: "array",
-          description: "Query components to compose",
-          items: {
-            type: "object",
-            properties: {
-              id: { type: "string" },
-              type: {
-                type: "string",
-                enum: ["source", "transformation", "aggregation", "filter", "join"]
-              },
-              query: { type: "string" },
-              dependencies: {
-                type: "array",
-                items: { type: "string" }
-              },
-              alias: { type: "string" }
-            },
-            required: ["id", "type", "query"]
-          }
-        },
-        compositionStrategy: {
-          type: "string",
-          enum: ["union", "join", "subquery", "cte", "materialized"],
-          description: "Strategy for composing components"
-        },
-        optimizationLevel: {
-          type: "string",
-          enum: ["none", "basic", "advanced"],
-          default: "basic"
-        },
-        outputFormat: {
-          type: "object",
-          properties: {
-            includeExplanation: { type: "boolean", default: false },
-            formatSql: { type: "boolean", default: true },
-            includePerformanceHints: { type: "boolean", default: true }
-          }
-        }
-      },
-      required: ["components", "compositionStrategy"]
-    }
+    inputSchema: queryComposerSchema,
+    handler: bqQueryComposer
   },
   {
     name: "bq-auto-index",
+    category: "Templates & Automation",
     description: "Analyze query patterns and recommend indexing strategies (clustering and partitioning)",
-    inputSchema: {
-      type: "object",
-      properties: {
-        projectId: {
-          type: "string",
-          description: "GCP project ID"
-        },
-        datasetId: {
-          type: "string",
-          description: "BigQuery dataset ID"
-        },
-        tableId: {
-          type: "string",
-          description: "BigQuery table ID"
-        },
-        queryPatterns: {
-          type: "array",
-          description: "Sample queries to analyze",
-          items: {
-            type: "object",
-            properties: {
-              query: { type: "string" },
-              frequency: { type: "number" },
-              avgExecutionTime: { type: "number" }
-            },
-            required: ["query"]
-          }
-        },
-        recommendationType: {
-          type: "string",
-          enum: ["clustering", "partitioning", "both"],
-          default: "both"
-        },
-        costAnalysis: {
-          type: "boolean",
-          default: true,
-          description: "Include cost analysis in recommendations"
-        }
-      },
-      required: ["projectId", "datasetId", "tableId"]
-    }
+    inputSchema: autoIndexSchema,
+    handler: bqAutoIndex
   }
 ];
\ No newline at end of file
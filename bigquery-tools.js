@@ -1,7 +1,51 @@
+import {
+  GcpSQLSchema,
+  BqFetchPageSchema,
+  BqListDatasetsSchema,
+  BqQuerySchema,
+  BqCreateDatasetSchema,
+  BqListTablesSchema,
+  BqCreateQueryJobSchema,
+  BqGetJobSchema,
+  BqCancelJobSchema,
+  BqListJobsSchema,
+  BqCreateSessionSchema,
+  BqQueryWithSessionSchema,
+  BqTerminateSessionSchema,
+  BqExecuteProcedureSchema,
+  BqExecuteScriptSchema,
+  BqLoadDataSchema,
+  BqExportDataSchema,
+  BqCopyTableSchema,
+  BqStreamInsertSchema
+} from './bigquery-schemas.js';
+import {
+  handleGcpSql,
+  handleFetchPage,
+  handleListDatasets,
+  handleQuery,
+  handleCreateDataset,
+  handleListTables,
+  handleCreateQueryJob,
+  handleGetJob,
+  handleCancelJob,
+  handleListJobs,
+  handleCreateSession,
+  handleQueryWithSession,
+  handleTerminateSession,
+  handleExecuteProcedure,
+  handleExecuteScript,
+  handleLoadData,
+  handleExportData,
+  handleCopyTable,
+  handleStreamInsert
+} from './bigquery-handlers.js';
+
 // BigQuery MCP tool definitions
 export const allBigQueryTools = [
   {
     name: "gcp-sql",
+    category: "BigQuery",
     description: `Universal SQL interface for BigQuery operations. PREFER THIS TOOL for all BigQuery operations.
 
 COMMON USE CASES:
@@ -11,6 +55,7 @@ COMMON USE CASES:
 • Get dataset info: operation='dataset-info' (requires 'dataset')
 • List views: operation='list-views' (requires 'dataset')
 • View job history: operation='job-history'
+• Datasets or jobs in every region: operation='list-datasets' or 'job-history' with allRegions=true
 • Get current project: operation='current-project'
 • Run custom SQL: query='SELECT * FROM dataset.table'
 
@@ -18,153 +63,148 @@ EXAMPLES:
 - List datasets: { "operation": "list-datasets" }
 - List tables: { "operation": "list-tables", "dataset": "my_dataset" }
 - Table schema: { "operation": "describe-table", "dataset": "my_dataset", "table": "my_table" }
+- EU job history: { "operation": "job-history", "location": "EU" }
 - Custom query: { "query": "SELECT COUNT(*) FROM \`project.dataset.table\`" }
+- Parameterized query: { "query": "SELECT * FROM \`ds.events\` WHERE ts > @since AND user_id IN UNNEST(@ids)", "params": { "since": "2025-06-01 00:00:00", "ids": [1, 2] }, "types": { "since": "TIMESTAMP" } }
+
+Pass user-supplied values through 'params' instead of inlining them into SQL.
+Large results are returned one page (maxRows) at a time; pass the returned 'cursor' to get the next page.
 
 NOTE: Use predefined operations when available for better performance. They use optimized INFORMATION_SCHEMA queries.`,
-    inputSchema: {
-      type: "object",
-      properties: {
-        operation: {
-          type: "string",
-          enum: [
-            "list-datasets",      // List all datasets in the project
-            "list-tables",        // List tables in a dataset (requires 'dataset' param)
-            "describe-table",     // Get detailed table schema (requires 'dataset' and 'table' params)
-            "table-schema",       // Alias for describe-table (requires 'dataset' and 'table' params)
-            "dataset-info",       // Get dataset metadata (requires 'dataset' param)
-            "list-views",         // List views in a dataset (requires 'dataset' param)
-            "list-routines",      // List stored procedures/functions (requires 'dataset' param)
-            "job-history",        // Get recent query job history (use 'hours' and 'limit' params)
-            "current-project"     // Get the current GCP project ID
-          ],
-          description: "Pre-defined operation using INFORMATION_SCHEMA queries"
-        },
-        query: {
-          type: "string",
-          description: "Direct SQL query to execute"
-        },
-        projectId: {
-          type: "string",
-          description: "GCP Project ID (optional, uses default if not provided)"
-        },
-        dataset: {
-          type: "string",
-          description: "Dataset ID (required for table/view operations)"
-        },
-        table: {
-          type: "string",
-          description: "Table name (required for table-specific operations)"
-        },
-        location: {
-          type: "string",
-          description: "Query location (e.g., US, EU)"
-        },
-        useLegacySql: {
-          type: "boolean",
-          description: "Use legacy SQL syntax (default: false)",
-          default: false
-        },
-        format: {
-          type: "string",
-          enum: ["json", "table", "csv"],
-          description: "Output format (default: json)",
-          default: "json"
-        },
-        maxRows: {
-          type: "number",
-          description: "Maximum rows to return (default: 100)",
-          default: 100
-        },
-        hours: {
-          type: "number",
-          description: "Hours of job history to retrieve (for job-history operation)",
-          default: 24
-        },
-        limit: {
-          type: "number",
-          description: "Limit for job history results (for job-history operation)",
-          default: 100
-        }
-      }
-      // anyOf removed - validation is handled in the implementation
-    }
+    inputSchema: GcpSQLSchema,
+    handler: handleGcpSql
+  },
+  {
+    name: "bq-fetch-page",
+    category: "BigQuery",
+    description: "Fetch the next page of a large gcp-sql result using the cursor returned with the previous page. Cursors expire after a period of inactivity.",
+    inputSchema: BqFetchPageSchema,
+    handler: handleFetchPage
   },
   {
     name: "bq-list-datasets",
+    category: "BigQuery",
     description: "List all BigQuery datasets in a project (LEGACY - prefer 'gcp-sql' with operation='list-datasets')",
-    inputSchema: {
-      type: "object",
-      properties: {
-        projectId: {
-          type: "string",
-          description: "GCP Project ID (optional, uses default if not provided)"
-        }
-      }
-    }
+    inputSchema: BqListDatasetsSchema,
+    handler: handleListDatasets
   },
   {
     name: "bq-query",
+    category: "BigQuery",
     description: "Execute a BigQuery SQL query (LEGACY - prefer 'gcp-sql' with 'query' parameter for better performance)",
-    inputSchema: {
-      type: "object",
-      properties: {
-        query: {
-          type: "string",
-          description: "SQL query to execute"
-        },
-        projectId: {
-          type: "string",
-          description: "GCP Project ID (optional)"
-        },
-        useLegacySql: {
-          type: "boolean",
-          description: "Use legacy SQL syntax (default: false)",
-          default: false
-        }
-      },
-      required: ["query"]
-    }
+    inputSchema: BqQuerySchema,
+    handler: handleQuery
   },
   {
     name: "bq-create-dataset",
+    category: "BigQuery",
+    mutating: true,
     description: "Create a new BigQuery dataset",
-    inputSchema: {
-      type: "object",
-      properties: {
-        datasetId: {
-          type: "string",
-          description: "Dataset ID to create"
-        },
-        projectId: {
-          type: "string",
-          description: "GCP Project ID (optional)"
-        },
-        location: {
-          type: "string",
-          description: "Dataset location (e.g., 'US', 'EU')",
-          default: "US"
-        }
-      },
-      required: ["datasetId"]
-    }
+    inputSchema: BqCreateDatasetSchema,
+    handler: handleCreateDataset
   },
   {
     name: "bq-list-tables",
+    category: "BigQuery",
     description: "List tables in a BigQuery dataset (LEGACY - prefer 'gcp-sql' with operation='list-tables')",
-    inputSchema: {
-      type: "object",
-      properties: {
-        datasetId: {
-          type: "string",
-          description: "Dataset ID"
-        },
-        projectId: {
-          type: "string",
-          description: "GCP Project ID (optional)"
-        }
-      },
-      required: ["datasetId"]
-    }
+    inputSchema: BqListTablesSchema,
+    handler: handleListTables
+  },
+  {
+    name: "bq-create-query-job",
+    category: "BigQuery",
+    description: "Start a query job asynchronously and return its job ID. Supports destination tables, BATCH priority, writeDisposition and dry runs (cost estimates without executing).",
+    inputSchema: BqCreateQueryJobSchema,
+    handler: handleCreateQueryJob
+  },
+  {
+    name: "bq-get-job",
+    category: "BigQuery",
+    description: "Get the status of a BigQuery job. For finished query jobs, returns a page of results; pass the returned nextPageToken as pageToken to fetch more.",
+    inputSchema: BqGetJobSchema,
+    handler: handleGetJob
+  },
+  {
+    name: "bq-cancel-job",
+    category: "BigQuery",
+    mutating: true,
+    description: "Request cancellation of a running BigQuery job",
+    inputSchema: BqCancelJobSchema,
+    handler: handleCancelJob
+  },
+  {
+    name: "bq-list-jobs",
+    category: "BigQuery",
+    description: "List BigQuery jobs in a project, filtered by state and creation time range",
+    inputSchema: BqListJobsSchema,
+    handler: handleListJobs
+  },
+  {
+    name: "bq-create-session",
+    category: "BigQuery",
+    description: "Create a BigQuery session. Temp tables and variables persist across queries run with bq-query-with-session until the session is terminated or expires.",
+    inputSchema: BqCreateSessionSchema,
+    handler: handleCreateSession
+  },
+  {
+    name: "bq-query-with-session",
+    category: "BigQuery",
+    description: "Execute a query inside a session created with bq-create-session (e.g. CREATE TEMP TABLE, DECLARE/SET variables, then query them)",
+    inputSchema: BqQueryWithSessionSchema,
+    handler: handleQueryWithSession
+  },
+  {
+    name: "bq-terminate-session",
+    category: "BigQuery",
+    description: "Terminate a BigQuery session and drop its temp tables",
+    inputSchema: BqTerminateSessionSchema,
+    handler: handleTerminateSession
+  },
+  {
+    name: "bq-execute-procedure",
+    category: "BigQuery",
+    description: "CALL a stored procedure with typed parameters (e.g. {value: '2025-06-01', type: 'DATE'}). OUT and INOUT parameter values are returned along with each statement's results.",
+    inputSchema: BqExecuteProcedureSchema,
+    handler: handleExecuteProcedure
+  },
+  {
+    name: "bq-execute-script",
+    category: "BigQuery",
+    description: "Run an array of SQL statements as a single multi-statement script job. Returns the final result set and the results of each statement's child job.",
+    inputSchema: BqExecuteScriptSchema,
+    handler: handleExecuteScript
+  },
+  {
+    name: "bq-load-data",
+    category: "BigQuery",
+    mutating: true,
+    description: "Load CSV, newline-delimited JSON, Avro, Parquet or ORC files from Cloud Storage into a table and report the job status and row counts",
+    inputSchema: BqLoadDataSchema,
+    handler: handleLoadData
+  },
+  {
+    name: "bq-export-data",
+    category: "BigQuery",
+    mutating: true,
+    description: "Export a table to Cloud Storage (CSV, JSON, Avro or Parquet, optionally compressed) and list the files written",
+    inputSchema: BqExportDataSchema,
+    handler: handleExportData
+  },
+  {
+    name: "bq-copy-table",
+    category: "BigQuery",
+    mutating: true,
+    description: "Copy a table to another table or dataset",
+    inputSchema: BqCopyTableSchema,
+    handler: handleCopyTable
+  },
+  {
+    name: "bq-stream-insert",
+    category: "BigQuery",
+    mutating: true,
+    description: "Stream rows into a table. Optional insertIds deduplicate retries; rejected rows are reported individually with their errors.",
+    inputSchema: BqStreamInsertSchema,
+    handler: handleStreamInsert
   }
 ];
 
@@ -0,0 +1,197 @@
+import { z } from 'zod';
+
+// Allowlist policy for the gcloud_command tool.
+//
+// Commands are split into arguments without a shell and run with execFile, so
+// quoting works as in a shell but operators such as ; | && and $( ) are never
+// interpreted. The command path (the words before the first flag) must start
+// with an allowed command group followed by one of that group's verbs.
+// GCLOUD_ALLOWED_COMMANDS replaces the default read-only allowlist:
+//
+//   { "compute instances": ["list", "describe"], "config": ["list", "get-value"] }
+//
+// Groups are matched word for word, so "compute instances" does not allow
+// "compute instances delete list".
+
+const DEFAULT_ALLOWED_COMMANDS = {
+  'config': ['list', 'get-value'],
+  'auth': ['list'],
+  'projects': ['list', 'describe'],
+  'services': ['list'],
+  'compute instances': ['list', 'describe'],
+  'compute zones': ['list', 'describe'],
+  'compute regions': ['list', 'describe'],
+  'compute disks': ['list', 'describe'],
+  'compute networks': ['list', 'describe'],
+  'compute firewall-rules': ['list', 'describe'],
+  'run services': ['list', 'describe'],
+  'run revisions': ['list', 'describe'],
+  'storage buckets': ['list', 'describe'],
+  'storage objects': ['list', 'describe'],
+  'sql instances': ['list', 'describe'],
+  'functions': ['list', 'describe'],
+  'container clusters': ['list', 'describe']
+};
+
+// Global flags that leak credentials, switch identity or read arguments from a file
+const BLOCKED_FLAGS = new Set([
+  '--log-http', '--flags-file', '--impersonate-service-account',
+  '--access-token-file', '--credential-file-override', '--account', '--configuration'
+]);
+
+// Characters a shell would treat as operators when unquoted
+const SHELL_OPERATORS = /[;|&<>`$]/;
+
+const AllowedCommandsSchema = z.record(z.array(z.string().regex(/^[a-z][a-z0-9-]*$/, 'Verbs are single lowercase words')));
+
+function parseAllowedCommands() {
+  if (!process.env.GCLOUD_ALLOWED_COMMANDS) {
+    return DEFAULT_ALLOWED_COMMANDS;
+  }
+  const result = AllowedCommandsSchema.safeParse(JSON.parse(process.env.GCLOUD_ALLOWED_COMMANDS));
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new Error(`Invalid GCLOUD_ALLOWED_COMMANDS at ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  }
+  return result.data;
+}
+
+// Group paths as word arrays, longest first
+const ALLOWED_COMMANDS = Object.entries(parseAllowedCommands())
+  .map(([group, verbs]) => ({ group: group.trim().split(/\s+/).filter(Boolean), verbs: new Set(verbs) }))
+  .sort((a, b) => b.group.length - a.group.length);
+
+export class GcloudCommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GcloudCommandError';
+  }
+}
+
+// Split a command line into arguments the way a POSIX shell would quote them,
+// refusing unquoted shell operators
+export function tokenizeCommand(command) {
+  const args = [];
+  let current = null;
+  let i = 0;
+
+  while (i < command.length) {
+    const char = command[i];
+
+    if (/\s/.test(char)) {
+      if (current !== null) {
+        args.push(current);
+        current = null;
+      }
+      i++;
+    } else if (char === '\'') {
+      const end = command.indexOf('\'', i + 1);
+      if (end === -1) {
+        throw new GcloudCommandError('Unterminated single quote in command');
+      }
+      current = (current ?? '') + command.slice(i + 1, end);
+      i = end + 1;
+    } else if (char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < command.length && command[j] !== '"') {
+        // Inside double quotes a backslash only escapes " and \
+        if (command[j] === '\\' && (command[j + 1] === '"' || command[j + 1] === '\\')) {
+          j++;
+        }
+        value += command[j++];
+      }
+      if (j >= command.length) {
+        throw new GcloudCommandError('Unterminated double quote in command');
+      }
+      current = (current ?? '') + value;
+      i = j + 1;
+    } else if (char === '\\') {
+      current = (current ?? '') + (command[i + 1] ?? '');
+      i += 2;
+    } else if (SHELL_OPERATORS.test(char)) {
+      throw new GcloudCommandError(`Shell operator '${char}' is not allowed; commands are not run through a shell. Quote it if it is part of an argument.`);
+    } else {
+      current = (current ?? '') + char;
+      i++;
+    }
+  }
+
+  if (current !== null) {
+    args.push(current);
+  }
+  // Accept commands written with the leading "gcloud"
+  return args[0] === 'gcloud' ? args.slice(1) : args;
+}
+
+// Check parsed arguments against the allowlist; returns the matched command path
+export function assertCommandAllowed(args) {
+  const firstFlag = args.findIndex(arg => arg.startsWith('-'));
+  const path = firstFlag === -1 ? args : args.slice(0, firstFlag);
+
+  for (const arg of args) {
+    const flag = arg.split('=')[0];
+    if (BLOCKED_FLAGS.has(flag)) {
+      throw new GcloudCommandError(`Flag ${flag} is not allowed`);
+    }
+  }
+
+  const match = ALLOWED_COMMANDS.find(({ group, verbs }) =>
+    group.every((word, index) => path[index] === word) && verbs.has(path[group.length]));
+
+  if (!match) {
+    throw new GcloudCommandError(
+      `Command 'gcloud ${path.join(' ')}' is not in the allowlist. ` +
+      `Allowed commands: ${listAllowedCommands().join(', ')}. Flags must follow the command.`
+    );
+  }
+  return [...match.group, path[match.group.length]].join(' ');
+}
+
+// The allowlist as "group verb" strings, for error messages
+export function listAllowedCommands() {
+  return ALLOWED_COMMANDS
+    .flatMap(({ group, verbs }) => [...verbs].map(verb => `${group.join(' ')} ${verb}`))
+    .sort();
+}
+
+// Projects and buckets a command names, besides the --project flag: positional
+// arguments of projects commands, projects/ID resource paths and gs:// URLs,
+// including those in flag values
+export function findCommandTargets(args, commandPath) {
+  const pathLength = commandPath.split(' ').length;
+  const projects = new Set();
+  const buckets = new Set();
+
+  args.forEach((arg, index) => {
+    if (commandPath.startsWith('projects ') && index >= pathLength && !arg.startsWith('-')) {
+      projects.add(arg);
+    }
+    for (const [, projectId] of arg.matchAll(/(?:^|[/=])projects\/([^/\s]+)/g)) {
+      projects.add(projectId);
+    }
+    for (const [, bucket] of arg.matchAll(/gs:\/\/([^/\s]+)/g)) {
+      buckets.add(bucket);
+    }
+  });
+
+  return { projects: [...projects], buckets: [...buckets] };
+}
+
+// Values of every occurrence of a flag given as --flag=value or --flag value
+export function getFlagValues(args, flag) {
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === flag) {
+      values.push(args[++i]);
+    } else if (args[i].startsWith(`${flag}=`)) {
+      values.push(args[i].slice(flag.length + 1));
+    }
+  }
+  return values;
+}
+
+// Value of a flag given as --flag=value or --flag value; gcloud uses the last occurrence
+export function getFlagValue(args, flag) {
+  return getFlagValues(args, flag).at(-1);
+}
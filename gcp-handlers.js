@@ -0,0 +1,404 @@
+import { Storage } from '@google-cloud/storage';
+import { InstancesClient, ZonesClient } from '@google-cloud/compute';
+import { ServicesClient } from '@google-cloud/run';
+import { ProjectsClient } from '@google-cloud/resource-manager';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+import { getProjectId } from './gcp-project.js';
+import { getRequestContext } from './request-context.js';
+import { isProjectAllowed, assertBucketAllowed, TokenPolicyError } from './token-store.js';
+import { tokenizeCommand, assertCommandAllowed, findCommandTargets, getFlagValue, getFlagValues, GcloudCommandError } from './gcloud-policy.js';
+
+// Initialize Google Cloud clients
+const storage = new Storage();
+const computeClient = new InstancesClient();
+const zonesClient = new ZonesClient();
+const runClient = new ServicesClient();
+const resourceManager = new ProjectsClient();
+const execFileAsync = promisify(execFile);
+
+const GCLOUD_TIMEOUT_SECONDS = parseInt(process.env.GCLOUD_TIMEOUT_SECONDS) || 60;
+const GCLOUD_MAX_OUTPUT_LENGTH = 5000;
+
+// GCP platform tool handler
+export async function handleGCPTool(toolName, args) {
+  try {
+    switch (toolName) {
+      // Cloud Storage tools
+      case "gcs_list_buckets": {
+        const projectId = await getProjectId(args.projectId);
+        const [buckets] = await storage.getBuckets({ projectId });
+        
+        if (buckets.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `No storage buckets found in project ${projectId}`
+            }]
+          };
+        }
+        
+        const bucketList = buckets.map(bucket => ({
+          name: bucket.name,
+          location: bucket.metadata.location,
+          storageClass: bucket.metadata.storageClass,
+          created: bucket.metadata.timeCreated
+        }));
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Found ${bucketList.length} buckets:
+${bucketList.map(b => `- gs://${b.name} (${b.location}, ${b.storageClass})`).join('\n')}`
+          }]
+        };
+      }
+      
+      case "gcs_list_files": {
+        const bucket = storage.bucket(args.bucketName);
+        const [files] = await bucket.getFiles({
+          prefix: args.prefix,
+          maxResults: args.limit || 100
+        });
+        
+        if (files.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `No files found in gs://${args.bucketName}${args.prefix ? '/' + args.prefix : ''}`
+            }]
+          };
+        }
+        
+        const fileList = files.map(file => ({
+          name: file.name,
+          size: (parseInt(file.metadata.size || 0) / 1024).toFixed(2),
+          updated: file.metadata.updated,
+          contentType: file.metadata.contentType
+        }));
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Found ${fileList.length} files in gs://${args.bucketName}:
+${fileList.map(f => `- ${f.name} (${f.size}KB, ${f.contentType || 'unknown type'})`).join('\n')}`
+          }]
+        };
+      }
+      
+      case "gcs_read_file": {
+        const bucket = storage.bucket(args.bucketName);
+        const file = bucket.file(args.fileName);
+        
+        // Check file size first
+        const [metadata] = await file.getMetadata();
+        const sizeMB = parseInt(metadata.size) / 1024 / 1024;
+        
+        if (sizeMB > 10) {
+          return {
+            content: [{
+              type: "text",
+              text: `File ${args.fileName} is too large (${sizeMB.toFixed(2)}MB). Maximum size for reading is 10MB.`
+            }]
+          };
+        }
+        
+        const [contents] = await file.download();
+        const text = contents.toString();
+        
+        // Truncate if too long
+        const maxLength = 5000;
+        const truncated = text.length > maxLength;
+        const displayText = truncated ? text.substring(0, maxLength) + '...' : text;
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Contents of gs://${args.bucketName}/${args.fileName}${truncated ? ' (truncated)' : ''}:
+\`\`\`
+${displayText}
+\`\`\``
+          }]
+        };
+      }
+      
+      // Compute Engine tools
+      case "compute_list_instances": {
+        const projectId = await getProjectId(args.projectId);
+        
+        if (args.zone) {
+          const [response] = await computeClient.list({
+            project: projectId,
+            zone: args.zone
+          });
+          
+          if (!response || response.length === 0) {
+            return {
+              content: [{
+                type: "text",
+                text: `No instances found in zone ${args.zone}`
+              }]
+            };
+          }
+          
+          const instances = response.map(instance => ({
+            name: instance.name,
+            status: instance.status,
+            machineType: instance.machineType.split('/').pop(),
+            zone: args.zone,
+            externalIP: instance.networkInterfaces?.[0]?.accessConfigs?.[0]?.natIP || 'none'
+          }));
+          
+          return {
+            content: [{
+              type: "text",
+              text: `Instances in ${args.zone}:
+${instances.map(i => `- ${i.name} (${i.status}, ${i.machineType}, IP: ${i.externalIP})`).join('\n')}`
+            }]
+          };
+        } else {
+          // List all zones first
+          const [zones] = await zonesClient.list({ project: projectId });
+          const zoneList = zones.filter(z => z.status === 'UP').map(z => z.name).slice(0, 10);
+          
+          return {
+            content: [{
+              type: "text",
+              text: `Please specify a zone. Available zones:
+${zoneList.map(z => `- ${z}`).join('\n')}
+
+Example: use zone "us-central1-a"`
+            }]
+          };
+        }
+      }
+      
+      case "compute_instance_action": {
+        const projectId = await getProjectId(args.projectId);
+        const request = {
+          project: projectId,
+          zone: args.zone,
+          instance: args.instanceName
+        };
+        
+        let operation;
+        switch (args.action) {
+          case "start":
+            [operation] = await computeClient.start(request);
+            break;
+          case "stop":
+            [operation] = await computeClient.stop(request);
+            break;
+          case "reset":
+            [operation] = await computeClient.reset(request);
+            break;
+          default:
+            throw new Error(`Invalid action: ${args.action}`);
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Successfully initiated ${args.action} operation for instance ${args.instanceName} in zone ${args.zone}`
+          }]
+        };
+      }
+      
+      // Cloud Run tools
+      case "run_list_services": {
+        const projectId = await getProjectId(args.projectId);
+        const parent = `projects/${projectId}/locations/${args.region}`;
+        
+        try {
+          const request = { parent };
+          const iterable = runClient.listServicesAsync(request);
+          
+          const services = [];
+          for await (const service of iterable) {
+            services.push({
+              name: service.metadata.name.split('/').pop(),
+              url: service.status?.url,
+              ready: service.status?.conditions?.find(c => c.type === 'Ready')?.status === 'True',
+              created: service.metadata.creationTimestamp
+            });
+          }
+          
+          if (services.length === 0) {
+            return {
+              content: [{
+                type: "text",
+                text: `No Cloud Run services found in ${args.region}`
+              }]
+            };
+          }
+          
+          return {
+            content: [{
+              type: "text",
+              text: `Cloud Run services in ${args.region}:
+${services.map(s => `- ${s.name} ${s.ready ? '✓' : '✗'} ${s.url || 'No URL'}`).join('\n')}`
+            }]
+          };
+        } catch (error) {
+          if (error.code === 7) {
+            return {
+              content: [{
+                type: "text",
+                text: `Invalid region: ${args.region}. Common regions: us-central1, us-east1, europe-west1, asia-northeast1`
+              }],
+              isError: true
+            };
+          }
+          throw error;
+        }
+      }
+      
+      // Project tools
+      case "list_projects": {
+        const request = {
+          query: 'state:ACTIVE'
+        };
+        
+        const [projects] = await resourceManager.searchProjects(request);
+        
+        if (projects.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: "No accessible projects found"
+            }]
+          };
+        }
+        
+        const projectList = projects.map(project => ({
+          id: project.name.split('/')[1],
+          displayName: project.displayName,
+          state: project.state,
+          createTime: project.createTime
+        }));
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Accessible GCP Projects:
+${projectList.map(p => `- ${p.id} "${p.displayName}" (${p.state})`).join('\n')}`
+          }]
+        };
+      }
+      
+      // Generic gcloud command, checked against the allowlist in gcloud-policy.js
+      case "gcloud_command": {
+        let commandArgs;
+        let commandPath;
+        try {
+          commandArgs = tokenizeCommand(args.command);
+          commandPath = assertCommandAllowed(commandArgs);
+        } catch (error) {
+          if (error instanceof GcloudCommandError) {
+            return {
+              content: [{
+                type: "text",
+                text: `This command has been blocked: ${error.message}`
+              }],
+              isError: true
+            };
+          }
+          throw error;
+        }
+
+        // Tokens scoped to projects may only target those projects, whether
+        // through --project, a positional project or a bucket they own
+        const { policy } = getRequestContext();
+        if (policy?.projects) {
+          const targets = findCommandTargets(commandArgs, commandPath);
+          // Every --project counts, since gcloud uses the last of several
+          const flagProjects = getFlagValues(commandArgs, '--project');
+          const projectIds = [...(flagProjects.length > 0 ? flagProjects : [await getProjectId()]), ...targets.projects];
+          const blockedProject = projectIds.find(projectId => !isProjectAllowed(policy, projectId));
+          let reason = blockedProject && `token '${policy.name}' may not access project ${blockedProject}`;
+
+          for (const bucket of reason ? [] : targets.buckets) {
+            try {
+              await assertBucketAllowed(policy, bucket);
+            } catch (error) {
+              if (!(error instanceof TokenPolicyError)) {
+                throw error;
+              }
+              reason = error.message;
+              break;
+            }
+          }
+
+          if (reason) {
+            return {
+              content: [{
+                type: "text",
+                text: `This command has been blocked: ${reason}`
+              }],
+              isError: true
+            };
+          }
+        }
+
+        const json = args.outputFormat === 'json' || getFlagValue(commandArgs, '--format') === 'json';
+        if (args.outputFormat === 'json' && !getFlagValue(commandArgs, '--format')) {
+          commandArgs.push('--format=json');
+        }
+
+        const timeoutSeconds = args.timeoutSeconds || GCLOUD_TIMEOUT_SECONDS;
+        let output;
+        try {
+          const { stdout, stderr } = await execFileAsync('gcloud', commandArgs, {
+            timeout: timeoutSeconds * 1000,
+            maxBuffer: 10 * 1024 * 1024
+          });
+          output = stdout || stderr || 'Command completed with no output';
+        } catch (error) {
+          const reason = error.killed
+            ? `timed out after ${timeoutSeconds}s`
+            : (error.stderr || error.message).trim();
+          return {
+            content: [{
+              type: "text",
+              text: `Command 'gcloud ${commandPath}' failed: ${reason}`
+            }],
+            isError: true
+          };
+        }
+
+        let summary = '';
+        if (json) {
+          try {
+            const parsed = JSON.parse(output);
+            if (Array.isArray(parsed)) {
+              summary = `${parsed.length} result${parsed.length === 1 ? '' : 's'}\n\n`;
+            }
+            output = JSON.stringify(parsed, null, 2);
+          } catch {
+            // Not JSON after all (e.g. a warning on stdout); show it as text
+          }
+        }
+
+        // Truncate long outputs
+        const truncated = output.length > GCLOUD_MAX_OUTPUT_LENGTH;
+        const displayOutput = truncated ? output.substring(0, GCLOUD_MAX_OUTPUT_LENGTH) + '...' : output;
+
+        return {
+          content: [{
+            type: "text",
+            text: `${summary}\`\`\`${json ? 'json' : ''}
+${displayOutput}
+\`\`\`${truncated ? '\n(Output truncated)' : ''}`
+          }]
+        };
+      }
+      
+      default:
+        throw new Error(`Unknown GCP tool: ${toolName}`);
+    }
+  } catch (error) {
+    console.error(`Error in ${toolName}:`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,71 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { Storage } from '@google-cloud/storage';
+import { ProjectsClient } from '@google-cloud/resource-manager';
+
+const execAsync = promisify(exec);
+
+const storage = new Storage();
+const projectsClient = new ProjectsClient();
+
+// Bucket names mapped to the projects that own them; a bucket never changes project
+const bucketProjects = new Map();
+const MAX_CACHED_BUCKETS = 1000;
+
+// Debug logging
+const DEBUG = process.env.DEBUG_GCP_MCP === 'true';
+const log = (message, ...args) => {
+  if (DEBUG) {
+    console.log(`[GCP] ${message}`, ...args);
+  }
+};
+
+// Get default project ID: explicit argument, then environment, then the gcloud CLI config
+export const getProjectId = async (providedId) => {
+  if (providedId) {
+    log(`Using provided project ID: ${providedId}`);
+    return providedId;
+  }
+
+  if (process.env.GOOGLE_CLOUD_PROJECT) {
+    log(`Using GOOGLE_CLOUD_PROJECT: ${process.env.GOOGLE_CLOUD_PROJECT}`);
+    return process.env.GOOGLE_CLOUD_PROJECT;
+  }
+
+  if (process.env.GCP_PROJECT) {
+    log(`Using GCP_PROJECT: ${process.env.GCP_PROJECT}`);
+    return process.env.GCP_PROJECT;
+  }
+
+  try {
+    const { stdout } = await execAsync('gcloud config get-value project');
+    const projectId = stdout.trim();
+    if (projectId) {
+      log(`Using gcloud default project: ${projectId}`);
+      return projectId;
+    }
+  } catch (error) {
+    log('Failed to get project from gcloud:', error.message);
+  }
+
+  throw new Error('No project ID provided and unable to determine default project. Please set GOOGLE_CLOUD_PROJECT environment variable or run: gcloud config set project YOUR_PROJECT_ID');
+};
+
+// Project ID that owns a Cloud Storage bucket. Bucket metadata only carries
+// the project number, so the ID is looked up in Resource Manager.
+export const getBucketProjectId = async (bucketName) => {
+  if (bucketProjects.has(bucketName)) {
+    return bucketProjects.get(bucketName);
+  }
+
+  const [metadata] = await storage.bucket(bucketName).getMetadata();
+  const [project] = await projectsClient.getProject({ name: `projects/${metadata.projectNumber}` });
+  log(`Bucket ${bucketName} belongs to project ${project.projectId}`);
+
+  // Drop the oldest entry when full; Map preserves insertion order
+  if (bucketProjects.size >= MAX_CACHED_BUCKETS) {
+    bucketProjects.delete(bucketProjects.keys().next().value);
+  }
+  bucketProjects.set(bucketName, project.projectId);
+  return project.projectId;
+};
@@ -0,0 +1,95 @@
+import { z } from 'zod';
+
+import { handleGCPTool } from './gcp-handlers.js';
+
+const ProjectIdSchema = z.string().optional().describe('GCP Project ID (optional, uses default if not provided)');
+
+// Bind a tool name to the shared GCP platform handler
+const gcpHandler = (toolName) => (args) => handleGCPTool(toolName, args);
+
+// GCP platform MCP tool definitions (Cloud Storage, Compute Engine, Cloud Run, projects)
+export const allGCPTools = [
+  {
+    name: "gcs_list_buckets",
+    category: "Cloud Storage",
+    description: "List all Cloud Storage buckets in a project",
+    inputSchema: z.object({
+      projectId: ProjectIdSchema
+    }),
+    handler: gcpHandler("gcs_list_buckets")
+  },
+  {
+    name: "gcs_list_files",
+    category: "Cloud Storage",
+    description: "List files in a Cloud Storage bucket",
+    inputSchema: z.object({
+      bucketName: z.string().min(1).describe('Bucket name (without gs:// prefix)'),
+      prefix: z.string().optional().describe('Only list files whose names start with this prefix'),
+      limit: z.number().int().positive().optional().default(100).describe('Maximum number of files to return (default: 100)')
+    }),
+    handler: gcpHandler("gcs_list_files")
+  },
+  {
+    name: "gcs_read_file",
+    category: "Cloud Storage",
+    description: "Read the contents of a Cloud Storage file (up to 10MB, output truncated to 5000 characters)",
+    inputSchema: z.object({
+      bucketName: z.string().min(1).describe('Bucket name (without gs:// prefix)'),
+      fileName: z.string().min(1).describe('Full object name within the bucket')
+    }),
+    handler: gcpHandler("gcs_read_file")
+  },
+  {
+    name: "compute_list_instances",
+    category: "Compute Engine",
+    description: "List Compute Engine VM instances in a zone (lists available zones when no zone is given)",
+    inputSchema: z.object({
+      projectId: ProjectIdSchema,
+      zone: z.string().optional().describe('Zone to list instances in (e.g., us-central1-a)')
+    }),
+    handler: gcpHandler("compute_list_instances")
+  },
+  {
+    name: "compute_instance_action",
+    category: "Compute Engine",
+    mutating: true,
+    description: "Start, stop or reset a Compute Engine VM instance",
+    inputSchema: z.object({
+      projectId: ProjectIdSchema,
+      zone: z.string().describe('Zone of the instance (e.g., us-central1-a)'),
+      instanceName: z.string().describe('Name of the instance'),
+      action: z.enum(['start', 'stop', 'reset']).describe('Action to perform on the instance')
+    }),
+    handler: gcpHandler("compute_instance_action")
+  },
+  {
+    name: "run_list_services",
+    category: "Cloud Run",
+    description: "List Cloud Run services in a region",
+    inputSchema: z.object({
+      projectId: ProjectIdSchema,
+      region: z.string().describe('Cloud Run region (e.g., us-central1)')
+    }),
+    handler: gcpHandler("run_list_services")
+  },
+  {
+    name: "list_projects",
+    category: "Projects",
+    description: "List all active GCP projects accessible to the server's credentials",
+    inputSchema: z.object({}),
+    handler: gcpHandler("list_projects")
+  },
+  {
+    name: "gcloud_command",
+    category: "Projects",
+    description: "Execute an allowlisted gcloud CLI command (without the leading 'gcloud'). Runs without a shell; by default only read-only list and describe commands are allowed.",
+    inputSchema: z.object({
+      command: z.string().min(1).describe("gcloud arguments, e.g. 'compute instances list --zone us-central1-a'"),
+      outputFormat: z.enum(['text', 'json']).optional().describe("Use 'json' to request --format=json and pretty-print the parsed result"),
+      timeoutSeconds: z.number().int().min(1).max(600).optional().describe('Kill the command after this many seconds (default: GCLOUD_TIMEOUT_SECONDS or 60)')
+    }),
+    handler: gcpHandler("gcloud_command")
+  }
+];
+
+export const GCP_TOOL_COUNT = allGCPTools.length;
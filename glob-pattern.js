@@ -0,0 +1,6 @@
+// Glob match where '*' matches any run of characters, used for tool, project
+// and dataset patterns in token scopes and rate limits
+export function matchesPattern(pattern, value) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(value);
+}
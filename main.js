@@ -1,57 +1,111 @@
 import express from "express";
-import { BigQuery } from '@google-cloud/bigquery';
-import { Storage } from '@google-cloud/storage';
-import { InstancesClient, ZonesClient } from '@google-cloud/compute';
-import { ServicesClient } from '@google-cloud/run';
-import { ProjectsClient } from '@google-cloud/resource-manager';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 
-// Import enhanced BigQuery functions
-import * as bqEnhanced from './bigquery-enhanced.js';
-
-// Import new BigQuery MCP integration files
-import { allBigQueryTools, BIGQUERY_TOOL_COUNT } from './bigquery-tools.js';
-import { 
-  routeBigQueryTool, 
-  isBigQueryTool, 
-  getBigQueryToolNames 
-} from './bigquery-handlers.js';
+import { TOOL_COUNT } from './tool-registry.js';
+import { processPayload, callerKeyOf, callerContext } from './mcp-dispatch.js';
+import { runWithRequestContext, getRequestContext } from './request-context.js';
+import { createOAuthServer } from './oauth-server.js';
+import {
+  loadTokenStore,
+  findTokenPolicy,
+  onTokenStoreReload,
+  DEFAULT_POLICY
+} from './token-store.js';
+import {
+  createSession,
+  getSession,
+  deleteSession,
+  openEventStream,
+  attachStream,
+  broadcastNotification
+} from './mcp-sessions.js';
 
 // Secret token for MCP endpoint protection
 const MCP_SECRET = process.env.MCP_SECRET || 'change-this-secret-token';
 
+// Named API tokens from MCP_TOKENS_FILE or MCP_TOKENS; an invalid store stops startup
+const API_TOKEN_COUNT = loadTokenStore();
+
+// Token scopes decide which tools a caller sees, so a reload can change their tool list
+onTokenStoreReload(() => broadcastNotification("notifications/tools/list_changed"));
+
 // Control whether OAuth endpoints are enabled (default: disabled for Bearer auth)
 const USE_OAUTH = process.env.USE_OAUTH === 'true';
 
+// Authorization server issuing tokens for /mcp; consent is approved with MCP_SECRET
+const oauth = USE_OAUTH ? createOAuthServer({ adminSecret: MCP_SECRET }) : null;
+
 const app = express();
-app.use(express.json());
+// Non-strict so that a bare JSON value reaches dispatch and gets -32600, not a parse error
+app.use(express.json({ strict: false }));
 app.use(express.urlencoded({ extended: true }));
 
+// Malformed JSON bodies get a JSON-RPC parse error
+app.use((error, req, res, next) => {
+  if (error.type !== 'entity.parse.failed') {
+    return next(error);
+  }
+  res.status(400).json({
+    jsonrpc: "2.0",
+    id: null,
+    error: { code: -32700, message: `Parse error: ${error.message}` }
+  });
+});
+
+// Public base URL of this server as seen by the client
+const baseUrl = (req) => `${req.get('x-forwarded-proto') || 'https'}://${req.get("host")}`;
+
 // OAuth discovery endpoint - always accessible to allow proper 404 when disabled
 app.get("/.well-known/oauth-authorization-server", (req, res) => {
   if (!USE_OAUTH) {
     return res.status(404).json({ error: "OAuth not supported" });
   }
-  const protocol = req.get('x-forwarded-proto') || 'https';
-  const base = `${protocol}://${req.get("host")}`;
+  res.json(oauth.metadata(baseUrl(req)));
+});
+
+// Protected resource metadata (RFC 9728) pointing MCP clients at the authorization server
+app.get("/.well-known/oauth-protected-resource", (req, res) => {
+  if (!USE_OAUTH) {
+    return res.status(404).json({ error: "OAuth not supported" });
+  }
+  const base = baseUrl(req);
   res.json({
-    issuer: base,
-    authorization_endpoint: `${base}/authorize`,
-    token_endpoint: `${base}/token`,
-    registration_endpoint: `${base}/register`,
-    response_types_supported: ["code"],
-    grant_types_supported: ["authorization_code"],
-    code_challenge_methods_supported: ["S256"]
+    resource: `${base}/mcp`,
+    authorization_servers: [base],
+    bearer_methods_supported: ["header"]
   });
 });
 
+// Identify the caller from the bearer token: MCP_SECRET, a named API token
+// or an OAuth access token. Returns the caller's policy, or null.
+function authenticate(authHeader) {
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+  const token = authHeader.slice(7);
+
+  if (token === MCP_SECRET) {
+    return { policy: DEFAULT_POLICY };
+  }
+  const policy = findTokenPolicy(token);
+  if (policy) {
+    return { policy };
+  }
+  const grant = oauth?.verifyAccessToken(token);
+  if (grant) {
+    return { policy: DEFAULT_POLICY, clientId: grant.clientId };
+  }
+  return null;
+}
+
+// Clients opt in to event streams by listing text/event-stream in Accept
+const acceptsEventStream = (req) => (req.get('accept') || '').includes('text/event-stream');
+
 // Middleware to check secret on MCP endpoints
 app.use('/mcp', (req, res, next) => {
   const authHeader = req.headers['authorization'];
   
   // For OAuth endpoints, check if OAuth is enabled first
-  if (req.path.includes('register') || req.path.includes('authorize') || req.path.includes('token')) {
+  if (['/register', '/authorize', '/token', '/revoke'].includes(req.path)) {
     if (!USE_OAUTH) {
       // Let these requests through so they can return proper 404s
       return next();
@@ -60,102 +114,94 @@ app.use('/mcp', (req, res, next) => {
     return next();
   }
   
-  // Check secret for all other MCP endpoints
-  if (authHeader !== `Bearer ${MCP_SECRET}`) {
+  // Check the bearer token for all other MCP endpoints
+  const caller = authenticate(authHeader);
+  if (!caller) {
     console.log('Unauthorized access attempt from:', req.ip);
+    if (USE_OAUTH) {
+      res.set('WWW-Authenticate', `Bearer resource_metadata="${baseUrl(req)}/.well-known/oauth-protected-resource"`);
+    }
     return res.status(401).json({ error: 'Unauthorized' });
   }
   
-  next();
+  // Make the caller's policy and limits available to tool code for this request
+  runWithRequestContext(callerContext(caller), next);
 });
 
-// Initialize Google Cloud clients
-const bigquery = new BigQuery();
-const storage = new Storage();
-const computeClient = new InstancesClient();
-const zonesClient = new ZonesClient();
-const runClient = new ServicesClient();
-const resourceManager = new ProjectsClient();
-const execAsync = promisify(exec);
+// OAuth endpoints - served under /mcp and, for backward compatibility, at the
+// root level that discovery advertises. Without OAuth they return 404.
+if (USE_OAUTH) {
+  app.use('/mcp', oauth.router);
+  app.use('/', oauth.router);
+} else {
+  app.all(['/mcp/register', '/mcp/authorize', '/mcp/token', '/mcp/revoke'], (req, res) => {
+    res.status(404).json({ error: "OAuth not supported" });
+  });
+}
 
-// Get default project ID from environment or metadata
-const getProjectId = async (providedId) => {
-  if (providedId) return providedId;
-  if (process.env.GOOGLE_CLOUD_PROJECT) return process.env.GOOGLE_CLOUD_PROJECT;
-  if (process.env.GCP_PROJECT) return process.env.GCP_PROJECT;
-  
-  try {
-    const { stdout } = await execAsync('gcloud config get-value project');
-    return stdout.trim();
-  } catch {
-    throw new Error('No project ID provided and unable to determine default project');
+// MCP requests over Streamable HTTP: a single message or a batch array.
+// Tool calls that carry a progressToken from clients accepting
+// text/event-stream switch to an event stream when the tool first reports
+// progress; calls that finish or are refused before that get a plain JSON
+// response, so headers such as Retry-After still reach the client. Payloads
+// that need no response (only notifications) get 202 Accepted.
+app.post("/mcp", async (req, res) => {
+  const message = req.body;
+  const callerKey = callerKeyOf(getRequestContext());
+
+  const sessionId = req.get('mcp-session-id');
+  if (sessionId && message?.method !== 'initialize' && !getSession(sessionId, callerKey)) {
+    return res.status(404).json({
+      jsonrpc: "2.0",
+      id: message?.id ?? null,
+      error: { code: -32001, message: 'Session not found. Send a new initialize request to start a session.' }
+    });
   }
-};
 
-// OAuth endpoints - only serve if OAuth is enabled, otherwise return 404
-app.post("/mcp/register", (req, res) => {
-  if (!USE_OAUTH) {
-    return res.status(404).json({ error: "OAuth not supported" });
+  const progressToken = message?.params?._meta?.progressToken;
+  let stream = null;
+  const options = {};
+  if (message?.method === 'tools/call' && progressToken !== undefined && acceptsEventStream(req)) {
+    options.sendNotification = (notification) => {
+      stream ??= openEventStream(res);
+      stream.send(notification);
+    };
   }
-  res.status(201).json({
-    client_id: "mcp-client",
-    client_secret: "not-used",
-    redirect_uris: req.body.redirect_uris || ["http://localhost"]
-  });
-});
 
-app.get("/mcp/authorize", (req, res) => {
-  if (!USE_OAUTH) {
-    return res.status(404).json({ error: "OAuth not supported" });
+  const { response, headers } = await processPayload(message, options);
+  if (stream) {
+    if (response) {
+      stream.send(response);
+    }
+    stream.close();
+    return;
   }
-  const { redirect_uri, state } = req.query;
-  if (redirect_uri) {
-    const url = new URL(redirect_uri);
-    url.searchParams.set("code", "dummy-code");
-    if (state) url.searchParams.set("state", state);
-    res.redirect(url.toString());
+  if (!response) {
+    return res.status(202).end();
   }
-});
-
-app.post("/mcp/token", (req, res) => {
-  if (!USE_OAUTH) {
-    return res.status(404).json({ error: "OAuth not supported" });
+  if (message?.method === 'initialize' && !response.error) {
+    headers['Mcp-Session-Id'] = createSession(callerKey).id;
   }
-  res.json({
-    access_token: "dummy-token",
-    token_type: "Bearer",
-    expires_in: 3600
-  });
+  res.set(headers).json(response);
 });
 
-// Legacy OAuth endpoints at root level for backward compatibility
-if (USE_OAUTH) {
-  app.post("/register", (req, res) => {
-    res.status(201).json({
-      client_id: "mcp-client",
-      client_secret: "not-used",
-      redirect_uris: req.body.redirect_uris || ["http://localhost"]
-    });
-  });
+// Server-to-client event stream for notifications outside any request
+app.get("/mcp", (req, res, next) => {
+  if (!acceptsEventStream(req)) {
+    return next();
+  }
 
-  app.get("/authorize", (req, res) => {
-    const { redirect_uri, state } = req.query;
-    if (redirect_uri) {
-      const url = new URL(redirect_uri);
-      url.searchParams.set("code", "dummy-code");
-      if (state) url.searchParams.set("state", state);
-      res.redirect(url.toString());
-    }
-  });
+  const sessionId = req.get('mcp-session-id');
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Mcp-Session-Id header required' });
+  }
+  const session = getSession(sessionId, callerKeyOf(getRequestContext()));
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
 
-  app.post("/token", (req, res) => {
-    res.json({
-      access_token: "dummy-token",
-      token_type: "Bearer",
-      expires_in: 3600
-    });
-  });
-}
+  attachStream(session, openEventStream(res));
+});
 
 // MCP handshake
 app.get("/mcp", (req, res) => {
@@ -170,557 +216,17 @@ app.get("/mcp", (req, res) => {
   });
 });
 
-// GCP Tool handler
-async function handleGCPTool(toolName, args) {
-  try {
-    // Enhanced BigQuery tools
-    if (toolName.startsWith('bq_') && bqEnhanced[toolName]) {
-      // Ensure projectId is set
-      if (!args.projectId) {
-        args.projectId = await getProjectId();
-      }
-      return await bqEnhanced[toolName](args);
-    }
-    
-    switch (toolName) {
-      // Legacy BigQuery tools (keep for compatibility)
-      case "bq_list_datasets": {
-        const projectId = await getProjectId(args.projectId);
-        const [datasets] = await bigquery.getDatasets({ projectId });
-        
-        if (datasets.length === 0) {
-          return {
-            content: [{
-              type: "text",
-              text: `No datasets found in project ${projectId}`
-            }]
-          };
-        }
-        
-        const datasetList = datasets.map(dataset => ({
-          id: dataset.id,
-          location: dataset.metadata.location,
-          created: new Date(parseInt(dataset.metadata.creationTime)).toISOString()
-        }));
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Found ${datasetList.length} datasets in project ${projectId}:
-${datasetList.map(ds => `- ${ds.id} (${ds.location}, created: ${ds.created})`).join('\n')}`
-          }]
-        };
-      }
-      
-      case "bq_query": {
-        const projectId = await getProjectId(args.projectId);
-        const options = {
-          query: args.query,
-          useLegacySql: args.useLegacySql || false,
-          projectId: projectId
-        };
-        
-        const [job] = await bigquery.createQueryJob(options);
-        const [rows] = await job.getQueryResults();
-        
-        // Format results nicely
-        if (rows.length === 0) {
-          return {
-            content: [{
-              type: "text",
-              text: "Query completed successfully but returned no results."
-            }]
-          };
-        }
-        
-        // For large results, truncate
-        const displayRows = rows.slice(0, 100);
-        const truncated = rows.length > 100;
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Query returned ${rows.length} rows${truncated ? ' (showing first 100)' : ''}:
-
-\`\`\`json
-${JSON.stringify(displayRows, null, 2)}
-\`\`\``
-          }]
-        };
-      }
-      
-      case "bq_create_dataset": {
-        const projectId = await getProjectId(args.projectId);
-        const datasetId = args.datasetId;
-        const location = args.location || 'US';
-        
-        const [dataset] = await bigquery.createDataset(datasetId, {
-          location: location,
-          projectId: projectId
-        });
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Successfully created dataset ${dataset.id} in ${location} for project ${projectId}`
-          }]
-        };
-      }
-      
-      case "bq_list_tables": {
-        const projectId = await getProjectId(args.projectId);
-        const dataset = bigquery.dataset(args.datasetId, { projectId });
-        const [tables] = await dataset.getTables();
-        
-        if (tables.length === 0) {
-          return {
-            content: [{
-              type: "text",
-              text: `No tables found in dataset ${args.datasetId}`
-            }]
-          };
-        }
-        
-        const tableList = tables.map(table => ({
-          id: table.id,
-          type: table.metadata.type,
-          created: new Date(parseInt(table.metadata.creationTime)).toISOString(),
-          rows: table.metadata.numRows,
-          size: (parseInt(table.metadata.numBytes || 0) / 1024 / 1024).toFixed(2)
-        }));
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Found ${tableList.length} tables in dataset ${args.datasetId}:
-${tableList.map(t => `- ${t.id} (${t.type}, ${t.rows || 0} rows, ${t.size}MB)`).join('\n')}`
-          }]
-        };
-      }
-      
-      // Cloud Storage tools
-      case "gcs_list_buckets": {
-        const projectId = await getProjectId(args.projectId);
-        const [buckets] = await storage.getBuckets({ projectId });
-        
-        if (buckets.length === 0) {
-          return {
-            content: [{
-              type: "text",
-              text: `No storage buckets found in project ${projectId}`
-            }]
-          };
-        }
-        
-        const bucketList = buckets.map(bucket => ({
-          name: bucket.name,
-          location: bucket.metadata.location,
-          storageClass: bucket.metadata.storageClass,
-          created: bucket.metadata.timeCreated
-        }));
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Found ${bucketList.length} buckets:
-${bucketList.map(b => `- gs://${b.name} (${b.location}, ${b.storageClass})`).join('\n')}`
-          }]
-        };
-      }
-      
-      case "gcs_list_files": {
-        const bucket = storage.bucket(args.bucketName);
-        const [files] = await bucket.getFiles({
-          prefix: args.prefix,
-          maxResults: args.limit || 100
-        });
-        
-        if (files.length === 0) {
-          return {
-            content: [{
-              type: "text",
-              text: `No files found in gs://${args.bucketName}${args.prefix ? '/' + args.prefix : ''}`
-            }]
-          };
-        }
-        
-        const fileList = files.map(file => ({
-          name: file.name,
-          size: (parseInt(file.metadata.size || 0) / 1024).toFixed(2),
-          updated: file.metadata.updated,
-          contentType: file.metadata.contentType
-        }));
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Found ${fileList.length} files in gs://${args.bucketName}:
-${fileList.map(f => `- ${f.name} (${f.size}KB, ${f.contentType || 'unknown type'})`).join('\n')}`
-          }]
-        };
-      }
-      
-      case "gcs_read_file": {
-        const bucket = storage.bucket(args.bucketName);
-        const file = bucket.file(args.fileName);
-        
-        // Check file size first
-        const [metadata] = await file.getMetadata();
-        const sizeMB = parseInt(metadata.size) / 1024 / 1024;
-        
-        if (sizeMB > 10) {
-          return {
-            content: [{
-              type: "text",
-              text: `File ${args.fileName} is too large (${sizeMB.toFixed(2)}MB). Maximum size for reading is 10MB.`
-            }]
-          };
-        }
-        
-        const [contents] = await file.download();
-        const text = contents.toString();
-        
-        // Truncate if too long
-        const maxLength = 5000;
-        const truncated = text.length > maxLength;
-        const displayText = truncated ? text.substring(0, maxLength) + '...' : text;
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Contents of gs://${args.bucketName}/${args.fileName}${truncated ? ' (truncated)' : ''}:
-\`\`\`
-${displayText}
-\`\`\``
-          }]
-        };
-      }
-      
-      // Compute Engine tools
-      case "compute_list_instances": {
-        const projectId = await getProjectId(args.projectId);
-        
-        if (args.zone) {
-          const [response] = await computeClient.list({
-            project: projectId,
-            zone: args.zone
-          });
-          
-          if (!response || response.length === 0) {
-            return {
-              content: [{
-                type: "text",
-                text: `No instances found in zone ${args.zone}`
-              }]
-            };
-          }
-          
-          const instances = response.map(instance => ({
-            name: instance.name,
-            status: instance.status,
-            machineType: instance.machineType.split('/').pop(),
-            zone: args.zone,
-            externalIP: instance.networkInterfaces?.[0]?.accessConfigs?.[0]?.natIP || 'none'
-          }));
-          
-          return {
-            content: [{
-              type: "text",
-              text: `Instances in ${args.zone}:
-${instances.map(i => `- ${i.name} (${i.status}, ${i.machineType}, IP: ${i.externalIP})`).join('\n')}`
-            }]
-          };
-        } else {
-          // List all zones first
-          const [zones] = await zonesClient.list({ project: projectId });
-          const zoneList = zones.filter(z => z.status === 'UP').map(z => z.name).slice(0, 10);
-          
-          return {
-            content: [{
-              type: "text",
-              text: `Please specify a zone. Available zones:
-${zoneList.map(z => `- ${z}`).join('\n')}
-
-Example: use zone "us-central1-a"`
-            }]
-          };
-        }
-      }
-      
-      case "compute_instance_action": {
-        const projectId = await getProjectId(args.projectId);
-        const request = {
-          project: projectId,
-          zone: args.zone,
-          instance: args.instanceName
-        };
-        
-        let operation;
-        switch (args.action) {
-          case "start":
-            [operation] = await computeClient.start(request);
-            break;
-          case "stop":
-            [operation] = await computeClient.stop(request);
-            break;
-          case "reset":
-            [operation] = await computeClient.reset(request);
-            break;
-          default:
-            throw new Error(`Invalid action: ${args.action}`);
-        }
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Successfully initiated ${args.action} operation for instance ${args.instanceName} in zone ${args.zone}`
-          }]
-        };
-      }
-      
-      // Cloud Run tools
-      case "run_list_services": {
-        const projectId = await getProjectId(args.projectId);
-        const parent = `projects/${projectId}/locations/${args.region}`;
-        
-        try {
-          const request = { parent };
-          const iterable = runClient.listServicesAsync(request);
-          
-          const services = [];
-          for await (const service of iterable) {
-            services.push({
-              name: service.metadata.name.split('/').pop(),
-              url: service.status?.url,
-              ready: service.status?.conditions?.find(c => c.type === 'Ready')?.status === 'True',
-              created: service.metadata.creationTimestamp
-            });
-          }
-          
-          if (services.length === 0) {
-            return {
-              content: [{
-                type: "text",
-                text: `No Cloud Run services found in ${args.region}`
-              }]
-            };
-          }
-          
-          return {
-            content: [{
-              type: "text",
-              text: `Cloud Run services in ${args.region}:
-${services.map(s => `- ${s.name} ${s.ready ? '✓' : '✗'} ${s.url || 'No URL'}`).join('\n')}`
-            }]
-          };
-        } catch (error) {
-          if (error.code === 7) {
-            return {
-              content: [{
-                type: "text",
-                text: `Invalid region: ${args.region}. Common regions: us-central1, us-east1, europe-west1, asia-northeast1`
-              }]
-            };
-          }
-          throw error;
-        }
-      }
-      
-      // Project tools
-      case "list_projects": {
-        const request = {
-          query: 'state:ACTIVE'
-        };
-        
-        const [projects] = await resourceManager.searchProjects(request);
-        
-        if (projects.length === 0) {
-          return {
-            content: [{
-              type: "text",
-              text: "No accessible projects found"
-            }]
-          };
-        }
-        
-        const projectList = projects.map(project => ({
-          id: project.name.split('/')[1],
-          displayName: project.displayName,
-          state: project.state,
-          createTime: project.createTime
-        }));
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Accessible GCP Projects:
-${projectList.map(p => `- ${p.id} "${p.displayName}" (${p.state})`).join('\n')}`
-          }]
-        };
-      }
-      
-      // Generic gcloud command
-      case "gcloud_command": {
-        // Security check - block dangerous commands
-        const dangerous = ['rm', 'delete', 'destroy', 'iam', 'set-iam-policy'];
-        if (dangerous.some(cmd => args.command.includes(cmd))) {
-          return {
-            content: [{
-              type: "text",
-              text: "This command has been blocked for safety. Please use specific MCP tools instead."
-            }]
-          };
-        }
-        
-        try {
-          const { stdout, stderr } = await execAsync(`gcloud ${args.command}`);
-          const output = stdout || stderr || 'Command completed with no output';
-          
-          // Truncate long outputs
-          const maxLength = 5000;
-          const truncated = output.length > maxLength;
-          const displayOutput = truncated ? output.substring(0, maxLength) + '...' : output;
-          
-          return {
-            content: [{
-              type: "text",
-              text: `\`\`\`
-${displayOutput}
-\`\`\`${truncated ? '\n(Output truncated)' : ''}`
-            }]
-          };
-        } catch (error) {
-          return {
-            content: [{
-              type: "text",
-              text: `Command failed: ${error.message}`
-            }]
-          };
-        }
-      }
-      
-      default:
-        throw new Error(`Unknown GCP tool: ${toolName}`);
-    }
-  } catch (error) {
-    console.error(`Error in ${toolName}:`, error);
-    throw error;
+// End a session
+app.delete("/mcp", (req, res) => {
+  const sessionId = req.get('mcp-session-id');
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Mcp-Session-Id header required' });
   }
-}
-
-// MCP protocol handler
-app.post("/mcp", async (req, res) => {
-  const { method, params, id } = req.body;
-  console.log(`\nMCP Method: ${method}`);
-  console.log("Request ID:", id);
-  
-  // Build JSON-RPC response
-  const response = {
-    jsonrpc: "2.0",
-    id: id
-  };
-  
-  try {
-    if (method === "initialize") {
-      response.result = {
-        protocolVersion: params?.protocolVersion || "2025-03-26",
-        capabilities: {
-          tools: {},
-          resources: {},
-          prompts: {}
-        },
-        serverInfo: {
-          name: "gcp-mcp",
-          version: "3.0.0",
-          description: "GCP MCP Server with comprehensive platform control and enhanced BigQuery capabilities"
-        }
-      };
-    } else if (method === "tools/list") {
-      response.result = {
-        tools: [
-          // Use new BigQuery tools with kebab-case naming and proper MCP integration
-          ...allBigQueryTools,
-          
-          // Keep the echo tool for testing
-          {
-            name: "echo",
-            description: "Echo a message (test tool)",
-            inputSchema: {
-              type: "object",
-              properties: {
-                message: { 
-                  type: "string",
-                  description: "Message to echo"
-                }
-              },
-              required: ["message"]
-            }
-          }
-        ]
-      };
-    } else if (method === "tools/call") {
-      const toolName = params?.name;
-      const args = params?.arguments;
-      
-      // Check if it's a BigQuery tool and route to new handler
-      if (isBigQueryTool(toolName)) {
-        response.result = await routeBigQueryTool(toolName, args);
-      } else if (toolName === "echo") {
-        response.result = {
-          content: [{
-            type: "text",
-            text: `Echo: ${args?.message || "no message"}`
-          }]
-        };
-      } else {
-        response.error = {
-          code: -32601,
-          message: `Unknown tool: ${toolName}`
-        };
-      }
-    } else {
-      response.error = {
-        code: -32601,
-        message: `Method not found: ${method}`
-      };
-    }
-    
-    res.json(response);
-  } catch (error) {
-    console.error("Error processing request:", error);
-    
-    // Improved error handling - provide more specific error information
-    const errorCode = error.code || -32603;
-    const errorMessage = error.message || "Internal error";
-    
-    // If the error is already formatted as an MCP response (with content array),
-    // pass it through directly
-    if (error.content && Array.isArray(error.content)) {
-      response.result = error;
-    } else {
-      // Map specific error types to appropriate codes
-      let code = -32603; // Internal error
-      if (error.name === 'BigQueryAuthError') {
-        code = -32002; // Server error
-      } else if (error.name === 'BigQueryPermissionError') {
-        code = -32002; // Server error  
-      } else if (error.name === 'BigQueryAPIError') {
-        code = -32002; // Server error
-      }
-      
-      response.error = {
-        code: code,
-        message: errorMessage,
-        data: {
-          type: error.name || 'Error',
-          details: error.originalError?.message || error.message,
-          stack: process.env.DEBUG_GCP_MCP === 'true' ? error.stack : undefined
-        }
-      };
-    }
-    
-    res.json(response);
+  if (!getSession(sessionId, callerKeyOf(getRequestContext()))) {
+    return res.status(404).json({ error: 'Session not found' });
   }
+  deleteSession(sessionId);
+  res.status(204).end();
 });
 
 // Catch all
@@ -733,6 +239,8 @@ const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => {
   console.log(`✅ GCP MCP server on port ${PORT}`);
   console.log(`OAuth endpoints: ${USE_OAUTH ? 'ENABLED' : 'DISABLED (using Bearer token auth)'}`);
+  console.log(`Named API tokens: ${API_TOKEN_COUNT}`);
   console.log("Enhanced BigQuery capabilities: Jobs API, Sessions, Stored Procedures, Data Loading, and more!");
+  console.log(`Registered ${TOOL_COUNT} MCP tools`);
   console.log("Available tools: BigQuery, Cloud Storage, Compute Engine, Cloud Run, and more!");
 });
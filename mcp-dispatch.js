@@ -0,0 +1,292 @@
+// Transport-independent MCP request dispatch.
+//
+// main.js (Streamable HTTP) and stdio.js (newline-delimited JSON over stdin
+// and stdout) both hand each parsed JSON-RPC payload to processPayload(),
+// inside a request context built by callerContext(). Transports only deal
+// with framing, authentication and where notifications are written.
+//
+// A payload is a single message or a batch array, whose messages run in
+// parallel. Notifications (messages without an id) never get a response;
+// when nothing in a payload needs one, the response is null.
+
+// Central tool registry: every MCP tool is declared once and served from here
+import {
+  listTools,
+  callTool,
+  hasTool,
+  getTool,
+  isBigQueryTool,
+  validateToolArguments,
+  assertToolRegistry
+} from './tool-registry.js';
+
+import { runWithRequestContext, getRequestContext } from './request-context.js';
+import { canCallTool, assertToolCallAllowed } from './token-store.js';
+import { checkRateLimit, withJobSlot } from './rate-limits.js';
+import { auditToolCall } from './audit-log.js';
+import { listResources, listResourceTemplates, readResource } from './resource-registry.js';
+import { listPrompts, getPrompt } from './prompt-registry.js';
+
+const DEBUG = process.env.DEBUG_GCP_MCP === 'true';
+const log = (message, ...args) => {
+  if (DEBUG) {
+    console.log(`[Dispatch] ${message}`, ...args);
+  }
+};
+
+// Fail loudly at startup if any declared tool is incomplete (e.g. missing handler)
+assertToolRegistry();
+
+// Key that rate limits and sessions are tracked under. OAuth clients share
+// the default policy but are limited separately.
+export const callerKeyOf = ({ policy, clientId }) => clientId ? `oauth:${clientId}` : policy.name;
+
+// Request context for a caller: their policy and the limits it sets
+export function callerContext({ policy, clientId }) {
+  return {
+    policy,
+    clientId,
+    callerKey: callerKeyOf({ policy, clientId }),
+    maximumBytesBilled: policy.maximumBytesBilled,
+    readOnly: policy.readOnly
+  };
+}
+
+// Handle one request for the caller in the current request context
+async function handleMessage(message) {
+  const { method, params, id } = message;
+  const { policy, clientId } = getRequestContext();
+  console.log(`\nMCP Method: ${method}`);
+  console.log("Request ID:", id);
+  console.log(`Caller: ${policy.name}${clientId ? ` (OAuth client ${clientId})` : ''}`);
+  
+  // Build JSON-RPC response
+  const response = {
+    jsonrpc: "2.0",
+    id: id
+  };
+  const headers = {};
+  
+  try {
+    if (method === "ping") {
+      response.result = {};
+    } else if (method === "initialize") {
+      response.result = {
+        protocolVersion: params?.protocolVersion || "2025-03-26",
+        capabilities: {
+          tools: { listChanged: true },
+          resources: {},
+          prompts: {}
+        },
+        serverInfo: {
+          name: "gcp-mcp",
+          version: "3.0.0",
+          description: "GCP MCP Server with comprehensive platform control and enhanced BigQuery capabilities"
+        }
+      };
+    } else if (method === "tools/list") {
+      // Only advertise the tools this caller may call
+      response.result = {
+        tools: listTools(tool => canCallTool(policy, tool))
+      };
+    } else if (method === "tools/call") {
+      const toolName = params?.name;
+      const args = params?.arguments;
+      
+      if (hasTool(toolName)) {
+        // Every call is audited, including rejected ones
+        response.result = await auditToolCall({ toolName, args, requestId: id }, async () => {
+          // Reject malformed arguments before they reach the handler
+          const validatedArgs = validateToolArguments(toolName, args);
+          await assertToolCallAllowed(policy, getTool(toolName), validatedArgs);
+
+          const callerKey = callerKeyOf({ policy, clientId });
+          await checkRateLimit(callerKey, policy, toolName);
+          return isBigQueryTool(toolName)
+            ? withJobSlot(callerKey, policy, () => callTool(toolName, validatedArgs))
+            : callTool(toolName, validatedArgs);
+        });
+      } else {
+        response.error = {
+          code: -32601,
+          message: `Unknown tool: ${toolName}`
+        };
+      }
+    } else if (method === "resources/list") {
+      response.result = await listResources(params?.cursor);
+    } else if (method === "resources/templates/list") {
+      response.result = listResourceTemplates();
+    } else if (method === "resources/read") {
+      response.result = await readResource(params?.uri);
+    } else if (method === "prompts/list") {
+      response.result = listPrompts();
+    } else if (method === "prompts/get") {
+      response.result = getPrompt(params?.name, params?.arguments ?? {});
+    } else {
+      response.error = {
+        code: -32601,
+        message: `Method not found: ${method}`
+      };
+    }
+  } catch (error) {
+    console.error("Error processing request:", error);
+    
+    // Improved error handling - provide more specific error information
+    const errorCode = error.code || -32603;
+    const errorMessage = error.message || "Internal error";
+    
+    // If the error is already formatted as an MCP response (with content array),
+    // pass it through directly
+    if (error.content && Array.isArray(error.content)) {
+      response.result = { content: error.content, isError: true };
+    } else if (error.name === 'RateLimitError') {
+      headers['Retry-After'] = String(error.retryAfterSeconds);
+      response.error = {
+        code: error.code,
+        message: error.message,
+        data: error.data
+      };
+    } else if (['TokenPolicyError', 'ResourceError', 'PromptError'].includes(error.name)) {
+      response.error = {
+        code: error.code,
+        message: error.message,
+        data: error.data
+      };
+    } else if (error.name === 'ToolValidationError') {
+      // Per-field validation details let clients correct their arguments
+      response.error = {
+        code: -32602,
+        message: `Invalid params: ${error.message}`,
+        data: error.data
+      };
+    } else {
+      // Map specific error types to appropriate codes
+      let code = -32603; // Internal error
+      if (error.name === 'BigQueryAuthError') {
+        code = -32002; // Server error
+      } else if (error.name === 'BigQueryPermissionError') {
+        code = -32002; // Server error  
+      } else if (error.name === 'BigQueryAPIError') {
+        code = -32002; // Server error
+      }
+      
+      response.error = {
+        code: code,
+        message: errorMessage,
+        data: {
+          type: error.name || 'Error',
+          details: error.originalError?.message || error.message,
+          stack: process.env.DEBUG_GCP_MCP === 'true' ? error.stack : undefined
+        }
+      };
+    }
+  }
+
+  return { response, headers };
+}
+
+// Requests being handled, so notifications/cancelled can find them
+const inFlight = new Map();
+
+const requestKey = (id) => `${callerKeyOf(getRequestContext())}|${JSON.stringify(id)}`;
+
+// The id to answer a message with; null when it has no usable id
+const responseId = (message) => ['string', 'number'].includes(typeof message?.id) ? message.id : null;
+
+const invalidRequest = (id, message) => ({
+  response: { jsonrpc: "2.0", id, error: { code: -32600, message: `Invalid Request: ${message}` } },
+  headers: {}
+});
+
+// Why a message is not a valid JSON-RPC 2.0 request or notification, if it is not
+function requestProblem(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return 'expected a JSON-RPC message object';
+  }
+  if (message.jsonrpc !== "2.0") {
+    return 'jsonrpc must be "2.0"';
+  }
+  if (typeof message.method !== 'string') {
+    return 'method must be a string';
+  }
+  if ('id' in message && !['string', 'number'].includes(typeof message.id) && message.id !== null) {
+    return 'id must be a string, number or null';
+  }
+  if (message.params !== undefined && (message.params === null || typeof message.params !== 'object')) {
+    return 'params must be an object or array';
+  }
+  return null;
+}
+
+// Notifications are handled for their side effects only
+function handleNotification({ method, params }) {
+  if (method === "notifications/cancelled") {
+    const request = inFlight.get(requestKey(params?.requestId));
+    if (request) {
+      // Work already started runs to completion; its response is dropped
+      request.cancelled = true;
+      log(`Request ${params.requestId} cancelled${params.reason ? `: ${params.reason}` : ''}`);
+    }
+  } else if (method !== "notifications/initialized") {
+    log(`Ignoring notification ${method}`);
+  }
+}
+
+// Handle one JSON-RPC message. Returns { response, headers }, where headers
+// are HTTP headers that go with the response (Retry-After) and response is
+// null for notifications and cancelled requests. When the request carries a
+// progressToken and the transport can send notifications, progress is
+// reported through sendNotification while it runs.
+export async function processMessage(message, { sendNotification } = {}) {
+  const problem = requestProblem(message);
+  if (problem) {
+    return invalidRequest(responseId(message), problem);
+  }
+
+  if (!('id' in message)) {
+    handleNotification(message);
+    return { response: null, headers: {} };
+  }
+
+  const key = requestKey(message.id);
+  const request = { cancelled: false };
+  inFlight.set(key, request);
+
+  let result;
+  try {
+    const progressToken = message.params?._meta?.progressToken;
+    if (!sendNotification || progressToken === undefined) {
+      result = await handleMessage(message);
+    } else {
+      const progress = { token: progressToken, progress: 0, send: sendNotification };
+      result = await runWithRequestContext({ ...getRequestContext(), progress }, () => handleMessage(message));
+    }
+  } finally {
+    if (inFlight.get(key) === request) {
+      inFlight.delete(key);
+    }
+  }
+
+  return request.cancelled ? { response: null, headers: {} } : result;
+}
+
+// Handle a single message or a batch. A batch answers with an array of the
+// responses that are due, or null when it held only notifications. initialize
+// must be sent on its own, since it starts an HTTP session.
+export async function processPayload(payload, options = {}) {
+  if (!Array.isArray(payload)) {
+    return processMessage(payload, options);
+  }
+  if (payload.length === 0) {
+    return invalidRequest(null, 'empty batch');
+  }
+
+  const results = await Promise.all(payload.map(message => message?.method === 'initialize'
+    ? invalidRequest(responseId(message), 'initialize must not be part of a batch')
+    : processMessage(message, options)));
+  const responses = results.map(({ response }) => response).filter(Boolean);
+  return {
+    response: responses.length > 0 ? responses : null,
+    headers: Object.assign({}, ...results.map(({ headers }) => headers))
+  };
+}
@@ -0,0 +1,130 @@
+import { randomUUID } from 'crypto';
+
+// Sessions and event streams for the MCP Streamable HTTP transport.
+//
+// initialize creates a session whose ID the client echoes back in the
+// Mcp-Session-Id header. A session belongs to the caller that created it and
+// may hold open GET /mcp event streams, which carry server notifications that
+// are not tied to a request (such as tools/list_changed). Sessions expire
+// after MCP_SESSION_IDLE_MINUTES without requests or open streams.
+
+const DEBUG = process.env.DEBUG_GCP_MCP === 'true';
+const log = (message, ...args) => {
+  if (DEBUG) {
+    console.log(`[Sessions] ${message}`, ...args);
+  }
+};
+
+const SESSION_IDLE_MS = (parseInt(process.env.MCP_SESSION_IDLE_MINUTES) || 60) * 60 * 1000;
+const MAX_SESSIONS = 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Comment lines keep idle streams open through proxies and load balancers
+const KEEPALIVE_INTERVAL_MS = 15 * 1000;
+
+// Sessions by ID: { id, callerKey, createdAt, lastSeenAt, streams: Set }
+const sessions = new Map();
+
+export function createSession(callerKey) {
+  // Make room by dropping the least recently used session
+  if (sessions.size >= MAX_SESSIONS) {
+    const [oldest] = [...sessions.values()].sort((a, b) => a.lastSeenAt - b.lastSeenAt);
+    deleteSession(oldest.id);
+  }
+
+  const now = Date.now();
+  const session = { id: randomUUID(), callerKey, createdAt: now, lastSeenAt: now, streams: new Set() };
+  sessions.set(session.id, session);
+  log(`Created session ${session.id} for ${callerKey}`);
+  return session;
+}
+
+// The caller's session with this ID, or null if it is unknown, expired or someone else's
+export function getSession(sessionId, callerKey) {
+  const session = sessions.get(sessionId);
+  if (!session || session.callerKey !== callerKey) {
+    return null;
+  }
+  session.lastSeenAt = Date.now();
+  return session;
+}
+
+// End a session and close its streams
+export function deleteSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+  sessions.delete(sessionId);
+  session.streams.forEach(stream => stream.close());
+  log(`Deleted session ${sessionId}`);
+  return true;
+}
+
+// Switch an HTTP response to text/event-stream. Returns { send(message), close() }.
+export function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+  let open = true;
+  const stop = () => {
+    open = false;
+    clearInterval(keepalive);
+  };
+  res.on('close', stop);
+
+  return {
+    send(message) {
+      if (open) {
+        res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+      }
+    },
+    close() {
+      if (open) {
+        stop();
+        res.end();
+      }
+    },
+    onClose(listener) {
+      res.on('close', listener);
+    }
+  };
+}
+
+// Attach a GET /mcp stream to its session until the client disconnects
+export function attachStream(session, stream) {
+  session.streams.add(stream);
+  stream.onClose(() => {
+    session.streams.delete(stream);
+    session.lastSeenAt = Date.now();
+  });
+}
+
+// Send a notification on every open session stream
+export function broadcastNotification(method, params) {
+  const message = { jsonrpc: "2.0", method, ...(params ? { params } : {}) };
+  let delivered = 0;
+  for (const session of sessions.values()) {
+    session.streams.forEach(stream => {
+      stream.send(message);
+      delivered++;
+    });
+  }
+  log(`Sent ${method} to ${delivered} streams`);
+}
+
+// Expire idle sessions; sessions with an open stream are never idle
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_IDLE_MS;
+  for (const session of sessions.values()) {
+    if (session.streams.size === 0 && session.lastSeenAt < cutoff) {
+      deleteSession(session.id);
+    }
+  }
+}, SWEEP_INTERVAL_MS).unref();
@@ -0,0 +1,543 @@
+import express from 'express';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { MemoryRateLimitStore } from './rate-limits.js';
+
+// OAuth 2.1 authorization server for MCP clients.
+//
+// Implements the authorization-code flow with S256 PKCE, dynamic client
+// registration (RFC 7591), refresh tokens with rotation and token revocation
+// (RFC 7009). The server operator approves each authorization on a consent
+// page by entering MCP_SECRET, so only people who hold the secret can mint
+// tokens.
+//
+// Registered clients and issued tokens are kept in a JSON file
+// (OAUTH_STATE_FILE) so they survive restarts. Only SHA-256 hashes of tokens
+// and client secrets are stored. Authorization codes are short-lived and
+// stay in memory.
+//
+// Registration is open to anyone, so it is rate limited per IP address and
+// capped at OAUTH_MAX_CLIENTS; clients that never obtain a token are dropped
+// after a day. Attempts to approve the consent page are rate limited per IP
+// address so MCP_SECRET can't be guessed by brute force.
+
+const DEBUG = process.env.DEBUG_GCP_MCP === 'true';
+const log = (message, ...args) => {
+  if (DEBUG) {
+    console.log(`[OAuth] ${message}`, ...args);
+  }
+};
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.OAUTH_ACCESS_TOKEN_TTL_SECONDS) || 3600;
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.OAUTH_REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 3600;
+const AUTHORIZATION_CODE_TTL_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const DEFAULT_SCOPE = 'mcp';
+
+const MAX_CLIENTS = parseInt(process.env.OAUTH_MAX_CLIENTS) || 1000;
+const UNUSED_CLIENT_TTL_SECONDS = 24 * 3600;
+// Per IP address: 10 registrations per hour, 5 consent approvals per 15 minutes
+const REGISTRATION_LIMIT = { capacity: 10, refillPerSecond: 10 / 3600 };
+const CONSENT_LIMIT = { capacity: 5, refillPerSecond: 5 / 900 };
+
+const TOKEN_ENDPOINT_AUTH_METHODS = ['none', 'client_secret_basic', 'client_secret_post'];
+
+// RFC 7636: 43-128 characters from the unreserved set
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+const hash = (value) => createHash('sha256').update(value).digest('hex');
+const newToken = () => randomBytes(32).toString('base64url');
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Compare secrets without leaking their contents through timing
+function secretsMatch(given, expected) {
+  const a = Buffer.from(hash(String(given ?? '')));
+  const b = Buffer.from(hash(String(expected ?? '')));
+  return timingSafeEqual(a, b);
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+})[char]);
+
+// An OAuth error returned as JSON from the registration, token and revocation endpoints
+class OAuthError extends Error {
+  constructor(error, description, status = 400) {
+    super(description);
+    this.name = 'OAuthError';
+    this.error = error;
+    this.status = status;
+  }
+}
+
+// Redirect URIs must be absolute, without fragments, and use HTTPS unless
+// they point back at the local machine
+function isAllowedRedirectUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return false;
+  }
+  if (url.hash) {
+    return false;
+  }
+  if (url.protocol === 'https:') {
+    return true;
+  }
+  return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+}
+
+// Records keyed by client ID or token hash. Keys come from requests, so the
+// maps have no prototype: "constructor" or "__proto__" must not find anything.
+const recordMap = (entries) => Object.assign(Object.create(null), entries);
+
+// Express 4 does not handle rejected promises; pass them to the error handler
+const asyncHandler = (handler) => (req, res, next) => handler(req, res, next).catch(next);
+
+// JSON file holding clients and token hashes, written atomically on change
+function loadState(stateFile) {
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    return {
+      clients: recordMap(state.clients),
+      accessTokens: recordMap(state.accessTokens),
+      refreshTokens: recordMap(state.refreshTokens)
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not read OAuth state from ${stateFile}:`, error.message);
+    }
+    return { clients: recordMap(), accessTokens: recordMap(), refreshTokens: recordMap() };
+  }
+}
+
+function saveState(stateFile, state) {
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  const tempFile = `${stateFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(state, null, 2), { mode: 0o600 });
+  fs.renameSync(tempFile, stateFile);
+}
+
+function consentPage({ client, params, error }) {
+  const hidden = Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n      ');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Authorize ${escapeHtml(client.client_name || client.client_id)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; }
+    .error { color: #b00020; }
+    code { word-break: break-all; }
+  </style>
+</head>
+<body>
+  <h1>Authorize access</h1>
+  <p><strong>${escapeHtml(client.client_name || client.client_id)}</strong> wants to use this GCP MCP server.</p>
+  <p>After approval you will be sent to <code>${escapeHtml(params.redirect_uri)}</code>.</p>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  <form method="post">
+    ${hidden}
+    <label>Server secret <input type="password" name="secret" autocomplete="current-password" autofocus></label>
+    <p>
+      <button type="submit" name="decision" value="approve">Approve</button>
+      <button type="submit" name="decision" value="deny">Deny</button>
+    </p>
+  </form>
+</body>
+</html>`;
+}
+
+/**
+ * Create the OAuth authorization server.
+ *
+ * @param {Object} options
+ * @param {string} options.adminSecret - Secret that approves authorizations on the consent page
+ * @param {string} [options.stateFile] - Where clients and tokens are persisted
+ * @returns {{ router: express.Router, metadata: Function, verifyAccessToken: Function }}
+ */
+export function createOAuthServer({ adminSecret, stateFile = process.env.OAUTH_STATE_FILE || '.oauth/state.json' }) {
+  const resolvedStateFile = path.resolve(stateFile);
+  const state = loadState(resolvedStateFile);
+  const authorizationCodes = new Map();
+  const attemptLimits = new MemoryRateLimitStore();
+  const persist = () => saveState(resolvedStateFile, state);
+
+  log(`Loaded ${Object.keys(state.clients).length} registered clients from ${resolvedStateFile}`);
+
+  // Drop expired tokens and codes, and clients that never obtained a token
+  function sweep() {
+    const now = nowSeconds();
+    let changed = false;
+    for (const tokens of [state.accessTokens, state.refreshTokens]) {
+      for (const [tokenHash, record] of Object.entries(tokens)) {
+        if (record.expiresAt <= now) {
+          delete tokens[tokenHash];
+          changed = true;
+        }
+      }
+    }
+    const clientsWithTokens = new Set(Object.values(state.refreshTokens).map(record => record.clientId));
+    for (const [clientId, client] of Object.entries(state.clients)) {
+      if (!client.tokenIssuedAt && !clientsWithTokens.has(clientId) && client.client_id_issued_at + UNUSED_CLIENT_TTL_SECONDS <= now) {
+        delete state.clients[clientId];
+        changed = true;
+        log(`Removed client ${clientId}, which never obtained a token`);
+      }
+    }
+    for (const [code, record] of authorizationCodes) {
+      if (record.expiresAt <= Date.now()) {
+        authorizationCodes.delete(code);
+      }
+    }
+    if (changed) {
+      persist();
+    }
+  }
+  sweep();
+  // The sweeper must not keep the process alive on its own
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  // Issue an access token and a rotating refresh token for a client
+  function issueTokens(clientId, scope) {
+    const accessToken = newToken();
+    const refreshToken = newToken();
+    const refreshHash = hash(refreshToken);
+    const now = nowSeconds();
+
+    state.refreshTokens[refreshHash] = {
+      clientId,
+      scope,
+      expiresAt: now + REFRESH_TOKEN_TTL_SECONDS
+    };
+    state.accessTokens[hash(accessToken)] = {
+      clientId,
+      scope,
+      refreshHash,
+      expiresAt: now + ACCESS_TOKEN_TTL_SECONDS
+    };
+    state.clients[clientId].tokenIssuedAt ??= now;
+    persist();
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      refresh_token: refreshToken,
+      scope
+    };
+  }
+
+  // Remove a refresh token together with the access tokens issued from it
+  function revokeRefreshToken(refreshHash) {
+    delete state.refreshTokens[refreshHash];
+    for (const [tokenHash, record] of Object.entries(state.accessTokens)) {
+      if (record.refreshHash === refreshHash) {
+        delete state.accessTokens[tokenHash];
+      }
+    }
+  }
+
+  // Identify the client from client_secret_basic, client_secret_post or a bare client_id
+  function authenticateClient(req) {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+
+    const authHeader = req.headers['authorization'] || '';
+    if (authHeader.startsWith('Basic ')) {
+      const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator === -1) {
+        throw new OAuthError('invalid_client', 'Malformed Basic authorization header', 401);
+      }
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    }
+
+    const client = state.clients[clientId];
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Unknown client', 401);
+    }
+    if (client.token_endpoint_auth_method !== 'none' && !secretsMatch(hash(clientSecret ?? ''), client.clientSecretHash)) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+    return client;
+  }
+
+  // Check /authorize parameters. Problems with the client or redirect URI are
+  // shown to the user; others are sent back to the client's redirect URI.
+  function validateAuthorizationRequest(params) {
+    const client = state.clients[params.client_id];
+    if (!client) {
+      return { fatal: 'Unknown client_id. Register the client first.' };
+    }
+    if (!client.redirect_uris.includes(params.redirect_uri)) {
+      return { fatal: 'redirect_uri does not match a URI registered for this client.' };
+    }
+    if (params.response_type !== 'code') {
+      return { client, error: 'unsupported_response_type', description: 'Only response_type=code is supported' };
+    }
+    if (!params.code_challenge) {
+      return { client, error: 'invalid_request', description: 'code_challenge is required (PKCE)' };
+    }
+    if (params.code_challenge_method !== 'S256') {
+      return { client, error: 'invalid_request', description: 'code_challenge_method must be S256' };
+    }
+    return { client };
+  }
+
+  // Take one attempt from the IP address's bucket; returns seconds to wait when it is empty
+  async function takeAttempt(kind, ip, limit) {
+    const result = await attemptLimits.consume([{ key: `${kind}:${ip}`, ...limit }]);
+    return result.allowed ? 0 : result.retryAfterSeconds;
+  }
+
+  function redirectWithParams(res, redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [name, value] of Object.entries(params)) {
+      if (value !== undefined) {
+        url.searchParams.set(name, value);
+      }
+    }
+    res.redirect(url.toString());
+  }
+
+  const authorizationParams = (source) => ({
+    response_type: source.response_type,
+    client_id: source.client_id,
+    redirect_uri: source.redirect_uri,
+    state: source.state,
+    scope: source.scope,
+    code_challenge: source.code_challenge,
+    code_challenge_method: source.code_challenge_method
+  });
+
+  const router = express.Router();
+
+  // Dynamic client registration (RFC 7591)
+  router.post('/register', asyncHandler(async (req, res) => {
+    const retryAfter = await takeAttempt('register', req.ip, REGISTRATION_LIMIT);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'temporarily_unavailable', error_description: 'Too many registrations from this address' });
+    }
+    if (Object.keys(state.clients).length >= MAX_CLIENTS) {
+      sweep();
+      if (Object.keys(state.clients).length >= MAX_CLIENTS) {
+        console.error(`OAuth client registration refused: ${MAX_CLIENTS} clients are registered (OAUTH_MAX_CLIENTS)`);
+        return res.status(503).json({ error: 'temporarily_unavailable', error_description: 'The server has reached its limit of registered clients' });
+      }
+    }
+
+    const metadata = req.body || {};
+    const redirectUris = metadata.redirect_uris;
+    const authMethod = metadata.token_endpoint_auth_method || 'client_secret_basic';
+
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+      return res.status(400).json({ error: 'invalid_redirect_uri', error_description: 'redirect_uris must be a non-empty array' });
+    }
+    const badUri = redirectUris.find(uri => !isAllowedRedirectUri(uri));
+    if (badUri !== undefined) {
+      return res.status(400).json({
+        error: 'invalid_redirect_uri',
+        error_description: `Redirect URIs must use https (or http on localhost) and have no fragment: ${badUri}`
+      });
+    }
+    if (!TOKEN_ENDPOINT_AUTH_METHODS.includes(authMethod)) {
+      return res.status(400).json({
+        error: 'invalid_client_metadata',
+        error_description: `token_endpoint_auth_method must be one of: ${TOKEN_ENDPOINT_AUTH_METHODS.join(', ')}`
+      });
+    }
+
+    const clientId = randomBytes(16).toString('hex');
+    const clientSecret = authMethod === 'none' ? undefined : newToken();
+    const client = {
+      client_id: clientId,
+      client_name: typeof metadata.client_name === 'string' ? metadata.client_name : undefined,
+      redirect_uris: redirectUris,
+      token_endpoint_auth_method: authMethod,
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      client_id_issued_at: nowSeconds()
+    };
+
+    state.clients[clientId] = {
+      ...client,
+      ...(clientSecret && { clientSecretHash: hash(clientSecret) })
+    };
+    persist();
+    log(`Registered client ${clientId} (${client.client_name || 'unnamed'})`);
+
+    res.status(201).json({
+      ...client,
+      ...(clientSecret && { client_secret: clientSecret, client_secret_expires_at: 0 })
+    });
+  }));
+
+  // Consent page
+  router.get('/authorize', (req, res) => {
+    const params = authorizationParams(req.query);
+    const { client, fatal, error, description } = validateAuthorizationRequest(params);
+
+    if (fatal) {
+      return res.status(400).send(`<!DOCTYPE html><p>${escapeHtml(fatal)}</p>`);
+    }
+    if (error) {
+      return redirectWithParams(res, params.redirect_uri, { error, error_description: description, state: params.state });
+    }
+    res.send(consentPage({ client, params }));
+  });
+
+  // Consent decision: approving requires the server secret
+  router.post('/authorize', asyncHandler(async (req, res) => {
+    const params = authorizationParams(req.body);
+    const { client, fatal, error, description } = validateAuthorizationRequest(params);
+
+    if (fatal) {
+      return res.status(400).send(`<!DOCTYPE html><p>${escapeHtml(fatal)}</p>`);
+    }
+    if (error) {
+      return redirectWithParams(res, params.redirect_uri, { error, error_description: description, state: params.state });
+    }
+    if (req.body.decision !== 'approve') {
+      log(`Authorization denied for client ${client.client_id}`);
+      return redirectWithParams(res, params.redirect_uri, { error: 'access_denied', state: params.state });
+    }
+    const retryAfter = await takeAttempt('consent', req.ip, CONSENT_LIMIT);
+    if (retryAfter) {
+      console.log('Too many OAuth consent attempts from:', req.ip);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).send(consentPage({ client, params, error: `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.` }));
+    }
+    if (!secretsMatch(req.body.secret, adminSecret)) {
+      console.log('Failed OAuth consent attempt from:', req.ip);
+      return res.status(401).send(consentPage({ client, params, error: 'Incorrect server secret.' }));
+    }
+
+    const code = newToken();
+    authorizationCodes.set(code, {
+      clientId: client.client_id,
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      scope: params.scope || DEFAULT_SCOPE,
+      expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_MS
+    });
+    log(`Authorization approved for client ${client.client_id}`);
+
+    redirectWithParams(res, params.redirect_uri, { code, state: params.state });
+  }));
+
+  router.post('/token', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    try {
+      const client = authenticateClient(req);
+      const { grant_type: grantType } = req.body;
+
+      if (grantType === 'authorization_code') {
+        const record = authorizationCodes.get(req.body.code);
+        // Codes are single use, even when the exchange fails
+        authorizationCodes.delete(req.body.code);
+
+        if (!record || record.expiresAt <= Date.now() || record.clientId !== client.client_id) {
+          throw new OAuthError('invalid_grant', 'Authorization code is invalid or expired');
+        }
+        if (req.body.redirect_uri !== record.redirectUri) {
+          throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+        }
+        const verifier = req.body.code_verifier;
+        if (!CODE_VERIFIER_PATTERN.test(verifier || '')) {
+          throw new OAuthError('invalid_grant', 'code_verifier is missing or malformed');
+        }
+        const challenge = createHash('sha256').update(verifier).digest('base64url');
+        if (!secretsMatch(challenge, record.codeChallenge)) {
+          throw new OAuthError('invalid_grant', 'PKCE verification failed');
+        }
+
+        log(`Issued tokens to client ${client.client_id}`);
+        return res.json(issueTokens(client.client_id, record.scope));
+      }
+
+      if (grantType === 'refresh_token') {
+        const refreshHash = hash(req.body.refresh_token || '');
+        const record = state.refreshTokens[refreshHash];
+        if (!record || record.expiresAt <= nowSeconds() || record.clientId !== client.client_id) {
+          throw new OAuthError('invalid_grant', 'Refresh token is invalid or expired');
+        }
+
+        // Rotate: the old refresh token and its access tokens stop working
+        revokeRefreshToken(refreshHash);
+        log(`Refreshed tokens for client ${client.client_id}`);
+        return res.json(issueTokens(client.client_id, record.scope));
+      }
+
+      throw new OAuthError('unsupported_grant_type', `Unsupported grant_type: ${grantType}`);
+    } catch (error) {
+      if (!(error instanceof OAuthError)) {
+        throw error;
+      }
+      res.status(error.status).json({ error: error.error, error_description: error.message });
+    }
+  });
+
+  // Token revocation (RFC 7009). Unknown tokens are not an error.
+  router.post('/revoke', (req, res) => {
+    try {
+      const client = authenticateClient(req);
+      const tokenHash = hash(req.body.token || '');
+
+      const refresh = state.refreshTokens[tokenHash];
+      const access = state.accessTokens[tokenHash];
+      if (refresh?.clientId === client.client_id) {
+        revokeRefreshToken(tokenHash);
+        persist();
+        log(`Revoked refresh token for client ${client.client_id}`);
+      } else if (access?.clientId === client.client_id) {
+        delete state.accessTokens[tokenHash];
+        persist();
+        log(`Revoked access token for client ${client.client_id}`);
+      }
+      res.status(200).end();
+    } catch (error) {
+      if (!(error instanceof OAuthError)) {
+        throw error;
+      }
+      res.status(error.status).json({ error: error.error, error_description: error.message });
+    }
+  });
+
+  // Authorization server metadata (RFC 8414) for a public base URL
+  function metadata(base) {
+    return {
+      issuer: base,
+      authorization_endpoint: `${base}/authorize`,
+      token_endpoint: `${base}/token`,
+      registration_endpoint: `${base}/register`,
+      revocation_endpoint: `${base}/revoke`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: TOKEN_ENDPOINT_AUTH_METHODS,
+      revocation_endpoint_auth_methods_supported: TOKEN_ENDPOINT_AUTH_METHODS,
+      scopes_supported: [DEFAULT_SCOPE]
+    };
+  }
+
+  // Look up an access token presented to /mcp; null if unknown or expired
+  function verifyAccessToken(token) {
+    const record = state.accessTokens[hash(token || '')];
+    if (!record || record.expiresAt <= nowSeconds()) {
+      return null;
+    }
+    return { clientId: record.clientId, scope: record.scope, expiresAt: record.expiresAt };
+  }
+
+  return { router, metadata, verifyAccessToken };
+}
@@ -0,0 +1,50 @@
+import { getRequestContext } from './request-context.js';
+
+// Progress notifications for long-running tool calls.
+//
+// When a client asks for progress (params._meta.progressToken) and accepts an
+// event stream, the HTTP layer puts a reporter in the request context. Tool
+// code reports through it without knowing whether anyone is listening;
+// outside such a request these calls do nothing.
+
+// How often a running wait reports that it is still running
+const PROGRESS_INTERVAL_MS = 10 * 1000;
+
+// Send one notifications/progress message for the current request
+export function reportProgress(message, total) {
+  const reporter = getRequestContext().progress;
+  if (!reporter) {
+    return;
+  }
+
+  reporter.progress += 1;
+  reporter.send({
+    jsonrpc: "2.0",
+    method: "notifications/progress",
+    params: {
+      progressToken: reporter.token,
+      progress: reporter.progress,
+      ...(total !== undefined ? { total } : {}),
+      message
+    }
+  });
+}
+
+// Run fn, reporting progress when it starts and every PROGRESS_INTERVAL_MS until it settles
+export async function withProgress(message, fn) {
+  if (!getRequestContext().progress) {
+    return fn();
+  }
+
+  const startedAt = Date.now();
+  reportProgress(message);
+  const timer = setInterval(() => {
+    reportProgress(`${message} (${Math.round((Date.now() - startedAt) / 1000)}s elapsed)`);
+  }, PROGRESS_INTERVAL_MS);
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(timer);
+  }
+}
@@ -0,0 +1,180 @@
+import { templateLibrary, substituteTemplate } from './bigquery-templates-automation.js';
+import { isValidDatasetId, isValidTableName } from './bigquery-identifiers.js';
+
+// MCP prompts built from the bq-template-library templates.
+//
+// Every template becomes a prompt named after its use case (cohort_analysis,
+// funnel_analysis, ...). Its arguments are the template's {placeholders},
+// typed by name: datasets and tables are checked against BigQuery naming
+// rules, dates and integers are validated, and list arguments take
+// comma-separated values that also fill the matching {nameList} placeholder.
+// prompts/get returns the SQL with the supplied values filled in, plus
+// instructions for the placeholders that are left.
+
+// Placeholder types, matched against the placeholder name in order
+const PLACEHOLDER_TYPES = [
+  {
+    type: 'dataset',
+    pattern: /^dataset$|Dataset$/,
+    description: 'Dataset ID',
+    validate: isValidDatasetId
+  },
+  {
+    type: 'table',
+    pattern: /^table$|Table$/,
+    description: 'Table name',
+    validate: isValidTableName
+  },
+  {
+    type: 'date',
+    pattern: /^(start|end)(Date)?$/,
+    description: 'Date (YYYY-MM-DD)',
+    validate: value => /^\d{4}-\d{2}-\d{2}$/.test(value)
+  },
+  {
+    type: 'integer',
+    pattern: /^interval$|Percent$/,
+    description: 'Integer',
+    validate: value => /^\d+$/.test(value)
+  },
+  {
+    type: 'list',
+    pattern: /^(dimensions|metrics|deduplicationKeys)$/,
+    description: 'Comma-separated list of columns or expressions'
+  },
+  {
+    type: 'column',
+    pattern: /(Column|Id|Key|Field|Date|Time|Name|Variable)$/,
+    description: 'Column name'
+  },
+  {
+    type: 'expression',
+    pattern: /./,
+    description: 'SQL expression or fragment'
+  }
+];
+
+// Placeholders that must be supplied: the tables a query reads from
+const REQUIRED_TYPES = new Set(['dataset', 'table']);
+
+export class PromptError extends Error {
+  constructor(message, data) {
+    super(message);
+    this.name = 'PromptError';
+    this.code = -32602;
+    this.data = data;
+  }
+}
+
+const placeholderType = (name) => PLACEHOLDER_TYPES.find(({ pattern }) => pattern.test(name));
+
+// Placeholders in order of first use, without {nameList} forms filled from a list argument
+function templatePlaceholders(template) {
+  const names = [...new Set([...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]))];
+  return names.filter(name => !(name.endsWith('List') && names.includes(name.slice(0, -4))));
+}
+
+// Prompt definitions, keyed by name
+const PROMPTS = new Map(
+  Object.entries(templateLibrary).flatMap(([category, templates]) =>
+    Object.entries(templates).map(([useCase, template]) => [useCase, {
+      name: useCase,
+      title: template.name,
+      description: `${template.description} (${category} template)`,
+      category,
+      template,
+      arguments: templatePlaceholders(template.template).map(name => {
+        const { type, description } = placeholderType(name);
+        return { name, type, description: `${description} for {${name}}`, required: REQUIRED_TYPES.has(type) };
+      })
+    }])
+  )
+);
+
+// prompts/list
+export function listPrompts() {
+  return {
+    prompts: [...PROMPTS.values()].map(prompt => ({
+      name: prompt.name,
+      title: prompt.title,
+      description: prompt.description,
+      arguments: prompt.arguments.map(({ name, description, required }) => ({ name, description, required }))
+    }))
+  };
+}
+
+// Check supplied arguments against their placeholder types; returns values for substituteTemplate
+function validateArguments(prompt, args) {
+  const errors = [];
+  const values = {};
+
+  for (const argument of prompt.arguments) {
+    const raw = args[argument.name];
+    if (raw === undefined || raw === '') {
+      if (argument.required) {
+        errors.push({ argument: argument.name, message: 'Required' });
+      }
+      continue;
+    }
+
+    const value = String(raw).trim();
+    const { validate, description } = placeholderType(argument.name);
+    if (validate && !validate(value)) {
+      errors.push({ argument: argument.name, message: `Expected ${description}` });
+    }
+    values[argument.name] = argument.type === 'list'
+      ? value.split(',').map(item => item.trim()).filter(Boolean)
+      : value;
+  }
+
+  const unknown = Object.keys(args).filter(name => !prompt.arguments.some(argument => argument.name === name));
+  unknown.forEach(name => errors.push({ argument: name, message: 'Unknown argument' }));
+
+  if (errors.length > 0) {
+    throw new PromptError(`Invalid arguments for prompt ${prompt.name}`, { prompt: prompt.name, errors });
+  }
+  return values;
+}
+
+// prompts/get: the filled-in SQL with instructions for finishing and running it
+export function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.get(name);
+  if (!prompt) {
+    throw new PromptError(`Unknown prompt: ${name}. Available prompts: ${[...PROMPTS.keys()].join(', ')}`, { prompt: name });
+  }
+
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new PromptError('Prompt arguments must be an object of argument names to string values', { prompt: name });
+  }
+
+  const values = validateArguments(prompt, args);
+  const sql = substituteTemplate(prompt.template.template, values).trim();
+  const remaining = [...new Set([...sql.matchAll(/\{(\w+)\}/g)].map(match => match[1]))];
+
+  const steps = [
+    remaining.length > 0
+      ? `Replace the remaining placeholders (${remaining.map(placeholder => `{${placeholder}}`).join(', ')}) with real columns and expressions. Read the table's schema first (the bigquery://project/dataset/table resource or gcp-sql with operation describe-table) so you only use columns that exist.`
+      : 'All placeholders are filled in. Check that the columns exist in the table schema.',
+    'Validate the final query with bq-validate-query and check its cost with bq-cost-estimate.',
+    'Run it with gcp-sql and summarize the results.'
+  ];
+
+  return {
+    description: prompt.description,
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Help me run a ${prompt.title} in BigQuery. ${prompt.template.description}.
+
+Start from this SQL template:
+
+\`\`\`sql
+${sql}
+\`\`\`
+
+${steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}`
+      }
+    }]
+  };
+}
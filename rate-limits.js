@@ -0,0 +1,252 @@
+import { z } from 'zod';
+
+import { matchesPattern } from './glob-pattern.js';
+import { getRequestContext, runWithRequestContext } from './request-context.js';
+
+// Rate limits and concurrency caps for tool calls.
+//
+// Each caller (named token, or OAuth client) gets its own token buckets. A
+// limit is configured per tool pattern; a call takes one request from every
+// bucket whose pattern matches the tool, so "*" limits a caller overall and
+// "gcp-sql" or "bq-*" limit those tools. Server-wide limits come from
+// MCP_RATE_LIMITS and a token's own `rateLimits` replace them pattern by
+// pattern:
+//
+//   { "*": { "requestsPerMinute": 120, "burst": 20 }, "gcp-sql": { "requestsPerMinute": 30 } }
+//
+// BigQuery jobs running at once are capped per caller by
+// BQ_MAX_CONCURRENT_JOBS or a token's `maxConcurrentJobs`. A BigQuery tool
+// call takes a slot while it runs; when it leaves a job running (jobs started
+// without waiting for them), the slot stays taken until BigQuery reports the
+// job DONE, which includes cancelled jobs.
+//
+// State lives in memory by default. Deployments with several instances can
+// share it by passing an object with the same async methods as
+// MemoryRateLimitStore to setRateLimitStore(). Jobs left running are watched
+// by the instance that started them.
+
+const DEBUG = process.env.DEBUG_GCP_MCP === 'true';
+const log = (message, ...args) => {
+  if (DEBUG) {
+    console.log(`[RateLimit] ${message}`, ...args);
+  }
+};
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+export const RateLimitSchema = z.object({
+  requestsPerMinute: z.number().positive(),
+  burst: z.number().int().positive().optional().describe('Bucket size (default: requestsPerMinute, at least 1)')
+});
+
+export const RateLimitsSchema = z.record(RateLimitSchema);
+
+function parseServerLimits() {
+  const result = RateLimitsSchema.safeParse(JSON.parse(process.env.MCP_RATE_LIMITS || '{}'));
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new Error(`Invalid MCP_RATE_LIMITS at ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  }
+  return result.data;
+}
+
+const SERVER_RATE_LIMITS = parseServerLimits();
+const SERVER_MAX_CONCURRENT_JOBS = parseInt(process.env.BQ_MAX_CONCURRENT_JOBS) || undefined;
+
+export class RateLimitError extends Error {
+  constructor(message, retryAfterSeconds, limit) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = -32029;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.data = { retryAfterSeconds, limit };
+  }
+}
+
+// In-memory token buckets and in-flight counters
+export class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.inFlight = new Map();
+    // The sweeper must not keep the process alive on its own
+    setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+  }
+
+  // Refill a bucket to the current time
+  refill(key, capacity, refillPerSecond, now) {
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.capacity = capacity;
+    bucket.refillPerSecond = refillPerSecond;
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  // Take one request from every bucket, or from none if any is empty.
+  // buckets: [{ key, capacity, refillPerSecond }]
+  async consume(buckets) {
+    const now = Date.now();
+    const refilled = buckets.map(spec => ({ spec, bucket: this.refill(spec.key, spec.capacity, spec.refillPerSecond, now) }));
+
+    const empty = refilled.find(({ bucket }) => bucket.tokens < 1);
+    if (empty) {
+      return {
+        allowed: false,
+        key: empty.spec.key,
+        retryAfterSeconds: Math.ceil((1 - empty.bucket.tokens) / empty.spec.refillPerSecond)
+      };
+    }
+
+    refilled.forEach(({ bucket }) => bucket.tokens--);
+    return { allowed: true };
+  }
+
+  // Reserve one of `limit` concurrent slots
+  async acquire(key, limit) {
+    const count = this.inFlight.get(key) || 0;
+    if (count >= limit) {
+      return false;
+    }
+    this.inFlight.set(key, count + 1);
+    return true;
+  }
+
+  async release(key) {
+    const count = (this.inFlight.get(key) || 1) - 1;
+    if (count > 0) {
+      this.inFlight.set(key, count);
+    } else {
+      this.inFlight.delete(key);
+    }
+  }
+
+  // Forget buckets that have refilled completely; a new bucket starts full
+  sweep() {
+    const now = Date.now();
+    for (const [key, { capacity, refillPerSecond }] of this.buckets) {
+      if (this.refill(key, capacity, refillPerSecond, now).tokens >= capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+let store = new MemoryRateLimitStore();
+
+// Replace the in-memory store, e.g. with one backed by Redis
+export function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+// Take one request for a tool call; throws RateLimitError when a bucket is empty
+export async function checkRateLimit(callerKey, policy, toolName) {
+  const limits = { ...SERVER_RATE_LIMITS, ...policy.rateLimits };
+  const buckets = Object.entries(limits)
+    .filter(([pattern]) => matchesPattern(pattern, toolName))
+    .map(([pattern, limit]) => ({
+      key: `rate|${callerKey}|${pattern}`,
+      pattern,
+      capacity: Math.max(1, limit.burst ?? limit.requestsPerMinute),
+      refillPerSecond: limit.requestsPerMinute / 60
+    }));
+
+  if (buckets.length === 0) {
+    return;
+  }
+
+  const result = await store.consume(buckets);
+  if (!result.allowed) {
+    const { pattern } = buckets.find(bucket => bucket.key === result.key);
+    log(`${callerKey} exceeded the rate limit for ${pattern}`);
+    throw new RateLimitError(
+      `Rate limit exceeded for ${toolName} (limit '${pattern}': ${limits[pattern].requestsPerMinute} requests per minute). Retry after ${result.retryAfterSeconds}s.`,
+      result.retryAfterSeconds,
+      { pattern, ...limits[pattern] }
+    );
+  }
+}
+
+// Jobs that outlived the call that started them, by slot key: Map<jobId, job>
+const heldJobs = new Map();
+
+// Keep the current call's job slot until `job` finishes. Called for jobs a
+// tool starts without waiting for them; outside withJobSlot it does nothing.
+export function holdJobSlot(job) {
+  const slot = getRequestContext().jobSlot;
+  if (slot && job?.id && job.metadata?.status?.state !== 'DONE') {
+    slot.jobs.push(job);
+  }
+}
+
+async function isJobRunning(job) {
+  try {
+    const [metadata] = await job.getMetadata();
+    return metadata.status?.state !== 'DONE';
+  } catch (error) {
+    // A job BigQuery no longer knows holds nothing; otherwise check again next time
+    log(`Could not check job ${job.id}:`, error.message);
+    return error.code !== 404;
+  }
+}
+
+// Give back the slots of held jobs that have finished or were cancelled
+async function releaseFinishedJobs(key) {
+  const jobs = heldJobs.get(key);
+  if (!jobs) {
+    return;
+  }
+
+  await Promise.all([...jobs.values()].map(async job => {
+    // Concurrent checks of the same job release its slot only once
+    if (!await isJobRunning(job) && jobs.delete(job.id)) {
+      await store.release(key);
+      log(`Job ${job.id} finished; released its slot for ${key}`);
+    }
+  }));
+  if (jobs.size === 0 && heldJobs.get(key) === jobs) {
+    heldJobs.delete(key);
+  }
+}
+
+// Run fn while holding one of the caller's concurrent BigQuery job slots
+export async function withJobSlot(callerKey, policy, fn) {
+  const limit = policy.maxConcurrentJobs ?? SERVER_MAX_CONCURRENT_JOBS;
+  if (limit === undefined) {
+    return fn();
+  }
+
+  const key = `jobs|${callerKey}`;
+  if (!await store.acquire(key, limit)) {
+    // Slots held by jobs that have since finished are only noticed here
+    await releaseFinishedJobs(key);
+    if (!await store.acquire(key, limit)) {
+      log(`${callerKey} is at its limit of ${limit} concurrent BigQuery jobs`);
+      throw new RateLimitError(
+        `Too many BigQuery jobs running: at most ${limit} may run at once for this token. Retry when one finishes, or cancel one with bq-cancel-job.`,
+        10,
+        { maxConcurrentJobs: limit }
+      );
+    }
+  }
+
+  const slot = { jobs: [] };
+  try {
+    return await runWithRequestContext({ ...getRequestContext(), jobSlot: slot }, fn);
+  } finally {
+    if (slot.jobs.length === 0) {
+      await store.release(key);
+    } else {
+      // The call's slot passes to the first job it left running; any others take one each
+      const jobs = heldJobs.get(key) || new Map();
+      heldJobs.set(key, jobs);
+      for (const [index, job] of slot.jobs.entries()) {
+        jobs.set(job.id, job);
+        if (index > 0) {
+          await store.acquire(key, Infinity);
+        }
+      }
+      log(`${callerKey} left ${slot.jobs.length} job(s) running; their slots stay taken until they finish`);
+    }
+  }
+}
@@ -0,0 +1,24 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context for an MCP call.
+//
+// The HTTP layer stores who is calling (the bearer token) and the limits that
+// apply to them; tool code deep in the call stack reads them back without
+// threading extra arguments through every handler.
+
+const storage = new AsyncLocalStorage();
+
+// Run fn with the given context available to everything it calls
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+// Context of the current request, or an empty object outside a request
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+// Read-only applies server-wide (MCP_READ_ONLY=true) or to read-only callers
+export function isReadOnly() {
+  return process.env.MCP_READ_ONLY === 'true' || getRequestContext().readOnly === true;
+}
@@ -0,0 +1,289 @@
+import { BigQuery } from '@google-cloud/bigquery';
+import { Storage } from '@google-cloud/storage';
+
+import { queryOperation } from './bigquery-sql.js';
+import { getProjectId } from './gcp-project.js';
+import { getRequestContext } from './request-context.js';
+import { getTool } from './tool-registry.js';
+import { canCallTool, isProjectAllowed, isDatasetAllowed, assertBucketAllowed, TokenPolicyError } from './token-store.js';
+
+// MCP resources for browsing BigQuery metadata and Cloud Storage objects.
+//
+//   bigquery://{project}/{dataset}                     dataset options and tables
+//   bigquery://{project}/{dataset}/{table}             table or view schema and metadata
+//   bigquery://{project}/{dataset}/routines/{routine}  routine definition
+//   gs://{bucket}/{object}                             object contents
+//
+// resources/list pages through the default project's datasets with the
+// metadata API, which runs no query jobs; resources/read goes through the
+// INFORMATION_SCHEMA templates in bigquery-sql.js. Token
+// project and dataset scopes apply, and gs:// reads need access to the
+// gcs_read_file tool and to the project that owns the bucket.
+
+const DEBUG = process.env.DEBUG_GCP_MCP === 'true';
+const log = (message, ...args) => {
+  if (DEBUG) {
+    console.log(`[Resources] ${message}`, ...args);
+  }
+};
+
+const bigquery = new BigQuery();
+const storage = new Storage();
+
+// Datasets per resources/list page
+const DATASETS_PER_PAGE = 10;
+
+// Largest Cloud Storage object returned by resources/read
+const MAX_OBJECT_BYTES = 10 * 1024 * 1024;
+
+const JSON_MIME_TYPE = 'application/json';
+
+const BIGQUERY_URI_PATTERN = /^bigquery:\/\/([^/]+)\/([^/]+)(?:\/routines\/([^/]+)|\/([^/]+))?$/;
+const GCS_URI_PATTERN = /^gs:\/\/([^/]+)\/(.+)$/;
+
+export class ResourceError extends Error {
+  constructor(code, message, uri) {
+    super(message);
+    this.name = 'ResourceError';
+    this.code = code;
+    this.data = { uri };
+  }
+}
+
+const notFound = (uri, what) => new ResourceError(-32002, `Resource not found: ${what}`, uri);
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'bigquery://{project}/{dataset}',
+    name: 'BigQuery dataset',
+    description: 'Dataset options and the tables, views and routines it contains',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uriTemplate: 'bigquery://{project}/{dataset}/{table}',
+    name: 'BigQuery table or view',
+    description: 'Column schema and table metadata; views include their SQL definition',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uriTemplate: 'bigquery://{project}/{dataset}/routines/{routine}',
+    name: 'BigQuery routine',
+    description: 'Definition of a stored procedure, function or table function',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uriTemplate: 'gs://{bucket}/{object}',
+    name: 'Cloud Storage object',
+    description: `Object contents (up to ${MAX_OBJECT_BYTES / 1024 / 1024}MB), as text for text types and base64 otherwise`
+  }
+];
+
+const bigqueryUri = (...parts) => `bigquery://${parts.map(encodeURIComponent).join('/')}`;
+const routineUri = (projectId, datasetId, routineName) => `${bigqueryUri(projectId, datasetId)}/routines/${encodeURIComponent(routineName)}`;
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new ResourceError(-32602, 'Invalid cursor', cursor);
+}
+
+const currentPolicy = () => getRequestContext().policy;
+
+function assertDatasetAllowed(projectId, datasetId) {
+  const policy = currentPolicy();
+  if (policy && !isDatasetAllowed(policy, projectId, datasetId)) {
+    throw new TokenPolicyError(policy.name, `Token '${policy.name}' may not access dataset ${projectId}.${datasetId}`);
+  }
+}
+
+// TABLE_VALUED_FUNCTION -> table valued function
+const describeType = (type) => String(type).toLowerCase().replace(/_/g, ' ');
+
+// Resources for one dataset: the dataset itself, its tables and views, and its routines
+async function listDatasetResources(projectId, datasetId) {
+  const dataset = bigquery.dataset(datasetId, { projectId });
+  const [[tables], [routines]] = await Promise.all([dataset.getTables(), dataset.getRoutines()]);
+
+  return [
+    {
+      uri: bigqueryUri(projectId, datasetId),
+      name: `${projectId}.${datasetId}`,
+      description: `BigQuery dataset (${tables.length} tables, ${routines.length} routines)`,
+      mimeType: JSON_MIME_TYPE
+    },
+    ...tables.map(table => ({
+      uri: bigqueryUri(projectId, datasetId, table.id),
+      name: `${projectId}.${datasetId}.${table.id}`,
+      description: `BigQuery ${describeType(table.metadata.type)}`,
+      mimeType: JSON_MIME_TYPE
+    })),
+    ...routines.map(routine => ({
+      uri: routineUri(projectId, datasetId, routine.id),
+      name: `${projectId}.${datasetId}.${routine.id}`,
+      description: `BigQuery ${describeType(routine.metadata.routineType)}`,
+      mimeType: JSON_MIME_TYPE
+    }))
+  ];
+}
+
+// resources/list: a page of datasets in the default project with their contents
+export async function listResources(cursor) {
+  const projectId = await getProjectId();
+  const policy = currentPolicy();
+  if (policy && !isProjectAllowed(policy, projectId)) {
+    return { resources: [] };
+  }
+
+  const [allDatasets] = await bigquery.getDatasets({ projectId });
+  const datasets = allDatasets
+    .map(dataset => dataset.id)
+    .filter(datasetId => !policy || isDatasetAllowed(policy, projectId, datasetId));
+
+  const offset = cursor ? decodeCursor(cursor) : 0;
+  const page = datasets.slice(offset, offset + DATASETS_PER_PAGE);
+  log(`Listing resources for ${page.length} of ${datasets.length} datasets in ${projectId}`);
+
+  const resources = [];
+  for (const datasetId of page) {
+    resources.push(...await listDatasetResources(projectId, datasetId));
+  }
+
+  const nextOffset = offset + page.length;
+  return {
+    resources,
+    ...(nextOffset < datasets.length ? { nextCursor: encodeCursor(nextOffset) } : {})
+  };
+}
+
+export function listResourceTemplates() {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+}
+
+async function readDataset(projectId, datasetId) {
+  const [options, tables, routines] = await Promise.all([
+    queryOperation({ operation: 'dataset-info', projectId, dataset: datasetId }),
+    queryOperation({ operation: 'list-tables', projectId, dataset: datasetId }),
+    queryOperation({ operation: 'list-routines', projectId, dataset: datasetId })
+  ]);
+
+  return {
+    project: projectId,
+    dataset: datasetId,
+    options: Object.fromEntries(options.map(row => [row.option_name, row.option_value])),
+    tables: tables.map(table => ({ ...table, uri: bigqueryUri(projectId, datasetId, table.table_name) })),
+    routines: routines.map(({ routine_definition, ...routine }) => ({
+      ...routine,
+      uri: routineUri(projectId, datasetId, routine.routine_name)
+    }))
+  };
+}
+
+async function readTable(uri, projectId, datasetId, tableName) {
+  const args = { projectId, dataset: datasetId, table: tableName };
+  const [[table], columns] = await Promise.all([
+    queryOperation({ ...args, operation: 'table-schema' }),
+    queryOperation({ ...args, operation: 'describe-table' })
+  ]);
+  if (!table) {
+    throw notFound(uri, `table ${projectId}.${datasetId}.${tableName}`);
+  }
+
+  const result = { project: projectId, dataset: datasetId, ...table, columns };
+  if (table.table_type === 'VIEW' || table.table_type === 'MATERIALIZED VIEW') {
+    const [view] = await queryOperation({ ...args, operation: 'describe-view' });
+    result.view_definition = view?.view_definition;
+  }
+  return result;
+}
+
+async function readRoutine(uri, projectId, datasetId, routineName) {
+  const [routine] = await queryOperation({ operation: 'describe-routine', projectId, dataset: datasetId, routine: routineName });
+  if (!routine) {
+    throw notFound(uri, `routine ${projectId}.${datasetId}.${routineName}`);
+  }
+  return { project: projectId, dataset: datasetId, ...routine };
+}
+
+// Object contents as text for text-like types, otherwise base64
+async function readObject(uri, bucketName, objectName) {
+  const policy = currentPolicy();
+  if (policy && !canCallTool(policy, getTool('gcs_read_file'))) {
+    throw new TokenPolicyError(policy.name, `Token '${policy.name}' may not read Cloud Storage objects`);
+  }
+  if (policy) {
+    await assertBucketAllowed(policy, bucketName);
+  }
+
+  const file = storage.bucket(bucketName).file(objectName);
+  const [exists] = await file.exists();
+  if (!exists) {
+    throw notFound(uri, `gs://${bucketName}/${objectName}`);
+  }
+
+  const [metadata] = await file.getMetadata();
+  if (parseInt(metadata.size) > MAX_OBJECT_BYTES) {
+    throw new ResourceError(-32603, `Object is too large (${(parseInt(metadata.size) / 1024 / 1024).toFixed(2)}MB). Maximum size for reading is ${MAX_OBJECT_BYTES / 1024 / 1024}MB.`, uri);
+  }
+
+  const mimeType = metadata.contentType || 'application/octet-stream';
+  const [contents] = await file.download();
+  const isText = /^text\/|[/+](json|xml|csv|javascript|x-ndjson)/.test(mimeType);
+  return isText
+    ? { uri, mimeType, text: contents.toString() }
+    : { uri, mimeType, blob: contents.toString('base64') };
+}
+
+// resources/read
+export async function readResource(uri) {
+  if (typeof uri !== 'string') {
+    throw new ResourceError(-32602, 'resources/read requires a uri', uri);
+  }
+
+  const gcsMatch = uri.match(GCS_URI_PATTERN);
+  if (gcsMatch) {
+    return { contents: [await readObject(uri, gcsMatch[1], gcsMatch[2])] };
+  }
+
+  const match = uri.match(BIGQUERY_URI_PATTERN);
+  if (!match) {
+    throw new ResourceError(-32602, `Unsupported resource URI: ${uri}. Expected bigquery://project/dataset[/table | /routines/routine] or gs://bucket/object`, uri);
+  }
+
+  const [projectId, datasetId, routineName, tableName] = match.slice(1).map(part => part && decodeURIComponent(part));
+  assertDatasetAllowed(projectId, datasetId);
+  log(`Reading ${uri}`);
+
+  let result;
+  try {
+    if (routineName) {
+      result = await readRoutine(uri, projectId, datasetId, routineName);
+    } else if (tableName) {
+      result = await readTable(uri, projectId, datasetId, tableName);
+    } else {
+      result = await readDataset(projectId, datasetId);
+    }
+  } catch (error) {
+    // Missing datasets surface as 404s from INFORMATION_SCHEMA
+    if (error.code === 404) {
+      throw notFound(uri, `dataset ${projectId}.${datasetId}`);
+    }
+    if (error.name === 'InvalidIdentifierError') {
+      throw new ResourceError(-32602, error.message, uri);
+    }
+    throw error;
+  }
+
+  return {
+    contents: [{ uri, mimeType: JSON_MIME_TYPE, text: JSON.stringify(result, null, 2) }]
+  };
+}
@@ -0,0 +1,60 @@
+// stdio transport: run the server as a local MCP subprocess.
+//
+// Requests and responses are newline-delimited JSON-RPC messages on stdin and
+// stdout, so stdout carries nothing else: everything the server logs goes to
+// stderr. The local user already has the server's credentials, so requests
+// run with the default full-access policy; MCP_READ_ONLY still applies.
+
+// Redirect logging before any other module is loaded
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
+
+const { createInterface } = await import('readline');
+const { processPayload, callerContext } = await import('./mcp-dispatch.js');
+const { runWithRequestContext } = await import('./request-context.js');
+const { DEFAULT_POLICY } = await import('./token-store.js');
+const { TOOL_COUNT } = await import('./tool-registry.js');
+
+const context = callerContext({ policy: DEFAULT_POLICY });
+
+const writeMessage = (message) => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+// Requests still running; stdin closing waits for them before exiting
+const inFlight = new Set();
+
+async function handleLine(line) {
+  let payload;
+  try {
+    payload = JSON.parse(line);
+  } catch (error) {
+    writeMessage({ jsonrpc: "2.0", id: null, error: { code: -32700, message: `Parse error: ${error.message}` } });
+    return;
+  }
+
+  // Notifications and cancelled requests get no reply
+  const { response } = await runWithRequestContext(context, () => processPayload(payload, { sendNotification: writeMessage }));
+  if (response) {
+    writeMessage(response);
+  }
+}
+
+const input = createInterface({ input: process.stdin, crlfDelay: Infinity });
+
+// Requests are handled concurrently, so a long query does not block the rest
+input.on('line', (line) => {
+  if (!line.trim()) {
+    return;
+  }
+  const task = handleLine(line)
+    .catch(error => console.error('Error handling stdio message:', error))
+    .finally(() => inFlight.delete(task));
+  inFlight.add(task);
+});
+
+input.on('close', async () => {
+  await Promise.all(inFlight);
+  process.exit(0);
+});
+
+console.error(`✅ GCP MCP server on stdio with ${TOOL_COUNT} tools`);
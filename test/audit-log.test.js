@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Records go to a scratch directory; modules read these at load time
+const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gcp-mcp-audit-'));
+process.env.AUDIT_LOG_DIR = auditDir;
+process.env.GOOGLE_CLOUD_PROJECT = 'test-project';
+
+const { auditToolCall, recordErrorClass, searchAuditRecords } = await import('../audit-log.js');
+const { callTool, getTool } = await import('../tool-registry.js');
+const { runWithRequestContext } = await import('../request-context.js');
+const { DEFAULT_POLICY } = await import('../token-store.js');
+
+const echo = getTool('echo');
+const echoHandler = echo.handler;
+
+// Run an audited call as the default caller and return its audit record
+async function auditedCall(requestId, fn) {
+  const result = await runWithRequestContext({ policy: DEFAULT_POLICY }, () =>
+    auditToolCall({ toolName: 'echo', args: { message: 'hi' }, requestId }, fn)
+  );
+  const [record] = (await searchAuditRecords({ limit: 100 })).filter(entry => entry.requestId === requestId);
+  return { result, record };
+}
+
+before(() => {
+  echo.handler = async () => {
+    throw new TypeError('handler failed');
+  };
+});
+
+after(() => {
+  echo.handler = echoHandler;
+  fs.rmSync(auditDir, { recursive: true, force: true });
+});
+
+test('a tool that throws returns an error response and is audited as an error', async () => {
+  const { result, record } = await auditedCall('throws', () => callTool('echo', { message: 'hi' }));
+
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /handler failed/);
+  assert.equal(record.outcome, 'error');
+  assert.equal(record.errorClass, 'TypeError');
+  assert.equal(record.token, 'default');
+  assert.deepEqual(record.arguments, { message: 'hi' });
+});
+
+test('an error response without isError is audited as an error when its class was recorded', async () => {
+  const { record } = await auditedCall('recorded', async () => {
+    recordErrorClass('BigQueryAPIError');
+    return { content: [{ type: 'text', text: 'BigQuery Error' }] };
+  });
+
+  assert.equal(record.outcome, 'error');
+  assert.equal(record.errorClass, 'BigQueryAPIError');
+});
+
+test('a successful call is audited as a success', async () => {
+  const { record } = await auditedCall('succeeds', async () => ({ content: [{ type: 'text', text: 'ok' }] }));
+
+  assert.equal(record.outcome, 'success');
+  assert.equal(record.errorClass, undefined);
+});
+
+test('a thrown policy error is audited as denied', async () => {
+  const error = new Error('not allowed');
+  error.name = 'TokenPolicyError';
+
+  await assert.rejects(auditedCall('denied', async () => {
+    throw error;
+  }), error);
+  const [record] = (await searchAuditRecords({ limit: 100 })).filter(entry => entry.requestId === 'denied');
+  assert.equal(record.outcome, 'denied');
+  assert.equal(record.errorClass, 'TokenPolicyError');
+});
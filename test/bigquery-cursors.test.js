@@ -0,0 +1,45 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Job } from '@google-cloud/bigquery';
+
+import { runWithRequestContext } from '../request-context.js';
+import { createCursor, getCursor, CursorNotFoundError } from '../bigquery-cursors.js';
+import { fetchPage } from '../bigquery-sql.js';
+
+const policy = { name: 'test', tools: ['*'] };
+const asCaller = (callerKey, fn) => runWithRequestContext({ policy, callerKey }, fn);
+
+// The last page of a finished job
+const pageTokens = [];
+mock.method(Job.prototype, 'getQueryResults', async ({ pageToken }) => {
+  pageTokens.push(pageToken);
+  return [[{ n: 3 }], null, { jobComplete: true, totalRows: '3' }];
+});
+
+const newCursor = () => createCursor({
+  jobId: 'job-1',
+  location: 'US',
+  pageToken: 'page-2',
+  offset: 2,
+  totalRows: 3,
+  format: 'json',
+  maxRows: 2
+});
+
+test('cursors can only be used by the caller that received them', async () => {
+  const cursorId = await asCaller('alice', newCursor);
+
+  assert.throws(() => asCaller('bob', () => getCursor(cursorId)), CursorNotFoundError);
+  const foreign = await asCaller('bob', () => fetchPage({ cursor: cursorId }));
+  assert.equal(foreign.success, false);
+  assert.match(foreign.error.message, /Cursor not found or expired/);
+  assert.deepEqual(pageTokens, []);
+
+  const own = await asCaller('alice', () => fetchPage({ cursor: cursorId }));
+  assert.equal(own.success, true);
+  assert.deepEqual(pageTokens, ['page-2']);
+});
+
+test('unknown cursors are refused', () => {
+  assert.throws(() => asCaller('alice', () => getCursor('unknown')), /Cursor not found or expired: unknown/);
+});
@@ -0,0 +1,72 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Table } from '@google-cloud/bigquery';
+
+import { bqStreamInsert } from '../bigquery-enhanced.js';
+import { BqStreamInsertSchema } from '../bigquery-schemas.js';
+import { assertToolCallAllowed, canCallTool } from '../token-store.js';
+import { getTool } from '../tool-registry.js';
+
+// Rows with a negative n are invalid; every other row of the request is stopped
+const inserts = [];
+mock.method(Table.prototype, 'insert', async (rows, options) => {
+  inserts.push({ rows, options });
+  const invalid = rows.filter(row => row.json.n < 0);
+  if (invalid.length > 0) {
+    const error = new Error('A failure occurred during this request.');
+    error.name = 'PartialFailureError';
+    error.errors = rows.map(row => ({
+      row,
+      errors: [{ reason: invalid.includes(row) ? 'invalid' : 'stopped' }]
+    })).reverse();
+    throw error;
+  }
+});
+
+const textOf = (response) => response.content[0].text;
+
+test('streamed rows are sent raw with their insert IDs and without retries', async () => {
+  const response = await bqStreamInsert({
+    projectId: 'proj',
+    datasetId: 'sales',
+    tableId: 'orders',
+    rows: [{ n: 1 }, { n: 2 }],
+    insertIds: ['a', 'b']
+  });
+
+  assert.equal(textOf(response), 'Inserted 2 of 2 rows into proj.sales.orders');
+  assert.deepEqual(inserts.at(-1).rows, [{ json: { n: 1 }, insertId: 'a' }, { json: { n: 2 }, insertId: 'b' }]);
+  assert.equal(inserts.at(-1).options.raw, true);
+  assert.equal(inserts.at(-1).options.partialRetries, 0);
+});
+
+test('rejected rows are reported by index in row order', async () => {
+  const response = await bqStreamInsert({
+    projectId: 'proj',
+    datasetId: 'sales',
+    tableId: 'orders',
+    rows: [{ n: 1 }, { n: -1 }]
+  });
+
+  assert.match(textOf(response), /Inserted 0 of 2 rows into proj\.sales\.orders\. 2 rows were rejected/);
+  const rowErrors = JSON.parse(textOf(response).match(/```json\n([\s\S]*)\n```/)[1]);
+  assert.deepEqual(rowErrors.map(({ index, errors }) => [index, errors[0].reason]), [[0, 'stopped'], [1, 'invalid']]);
+});
+
+test('insert IDs must match the rows one to one', () => {
+  const result = BqStreamInsertSchema.safeParse({ datasetId: 'sales', tableId: 'orders', rows: [{ n: 1 }], insertIds: ['a', 'b'] });
+  assert.equal(result.success, false);
+  assert.deepEqual(result.error.issues[0].path, ['insertIds']);
+});
+
+test('streaming inserts are refused outside the token scope and in read-only mode', async () => {
+  const tool = getTool('bq-stream-insert');
+  const policy = { name: 'sales', tools: ['bq-*'], projects: ['proj'], datasets: ['sales'] };
+
+  await assertToolCallAllowed(policy, tool, { projectId: 'proj', datasetId: 'sales', tableId: 'orders', rows: [{}] });
+  await assert.rejects(
+    assertToolCallAllowed(policy, tool, { projectId: 'proj', datasetId: 'hr', tableId: 'staff', rows: [{}] }),
+    /may not access dataset proj\.hr/
+  );
+  assert.equal(canCallTool({ ...policy, readOnly: true }, tool), false);
+});
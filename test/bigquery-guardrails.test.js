@@ -0,0 +1,206 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runWithRequestContext } from '../request-context.js';
+import {
+  dryRunQuery,
+  guardQuery,
+  assertJobInScope,
+  callerJobLabels,
+  isCallerJob,
+  resolveMaximumBytesBilled,
+  BytesBilledLimitError,
+  DatasetScopeError
+} from '../bigquery-guardrails.js';
+
+const scopedPolicy = { name: 'analyst', tools: ['*'], projects: ['proj'], datasets: ['proj.sales'] };
+const asCaller = (context, fn) => runWithRequestContext(context, fn);
+
+const table = (datasetId, tableId = 't') => ({ projectId: 'proj', datasetId, tableId });
+
+function queryJob({ referencedTables = [], destinationTable, numChildJobs } = {}) {
+  return {
+    jobReference: { projectId: 'proj', jobId: 'job-1' },
+    configuration: { query: { destinationTable } },
+    statistics: { numChildJobs, query: { referencedTables } }
+  };
+}
+
+// Client whose getJobs returns the given child jobs
+const clientWithChildren = (children) => ({
+  getJobs: async () => [children.map(metadata => ({ metadata }))]
+});
+
+test('jobs reading only allowed datasets are in scope', async () => {
+  await asCaller({ policy: scopedPolicy }, () =>
+    assertJobInScope(clientWithChildren([]), queryJob({ referencedTables: [table('sales')], destinationTable: table('_anon123') }))
+  );
+});
+
+test('jobs reading other datasets are refused for scoped tokens', async () => {
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(
+      assertJobInScope(clientWithChildren([]), queryJob({ referencedTables: [table('sales'), table('hr', 'salaries')] })),
+      error => error instanceof DatasetScopeError && /proj\.hr\.salaries/.test(error.message)
+    )
+  );
+});
+
+test('explicit destination tables outside the scope are refused', async () => {
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(assertJobInScope(clientWithChildren([]), queryJob({ destinationTable: table('hr') })), DatasetScopeError)
+  );
+});
+
+test('script jobs are checked statement by statement', async () => {
+  const script = queryJob({ numChildJobs: '2' });
+  const children = [queryJob({ referencedTables: [table('sales')] }), queryJob({ referencedTables: [table('hr')] })];
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(assertJobInScope(clientWithChildren(children), script), DatasetScopeError)
+  );
+});
+
+test('unscoped tokens can read any job', async () => {
+  await asCaller({ policy: { name: 'default', tools: ['*'] } }, () =>
+    assertJobInScope(clientWithChildren([]), queryJob({ referencedTables: [table('hr')] }))
+  );
+});
+
+test('jobs are labelled with a valid label for the caller', () => {
+  const labels = asCaller({ callerKey: 'oauth:Client.ID/42' }, () => callerJobLabels());
+  assert.deepEqual(labels, { mcp_caller: 'oauth_client_id_42' });
+  assert.deepEqual(callerJobLabels(), {});
+});
+
+test('isCallerJob matches only the caller\'s own label', () => {
+  const job = { configuration: { labels: { mcp_caller: 'analyst' } } };
+  assert.equal(asCaller({ callerKey: 'analyst' }, () => isCallerJob(job)), true);
+  assert.equal(asCaller({ callerKey: 'other' }, () => isCallerJob(job)), false);
+  assert.equal(asCaller({ callerKey: 'analyst' }, () => isCallerJob({ configuration: {} })), false);
+});
+
+// Client whose dry runs reference the given tables (plus any other query
+// statistics and configuration), or fail with the given message
+function dryRunClient({ referencedTables = [], errorMessage, statistics = {}, configuration = {} } = {}) {
+  const client = {
+    calls: [],
+    createQueryJob: async (options) => {
+      client.calls.push(options);
+      if (errorMessage) {
+        throw new Error(errorMessage);
+      }
+      return [{
+        metadata: {
+          configuration,
+          statistics: { totalBytesProcessed: '10', query: { statementType: 'SELECT', referencedTables, ...statistics } }
+        }
+      }];
+    }
+  };
+  return client;
+}
+
+test('dry runs of queries on allowed datasets succeed for scoped tokens', async () => {
+  const [job] = await asCaller({ policy: scopedPolicy }, () =>
+    dryRunQuery(dryRunClient({ referencedTables: [table('sales')] }), { query: 'SELECT 1' })
+  );
+  assert.equal(job.metadata.statistics.totalBytesProcessed, '10');
+});
+
+test('dry runs reading other datasets are refused for scoped tokens', async () => {
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(dryRunQuery(dryRunClient({ referencedTables: [table('hr')] }), { query: 'SELECT 1' }), DatasetScopeError)
+  );
+});
+
+test('dry runs writing tables, datasets or routines outside the scope are refused', async () => {
+  const targets = [
+    { ddlTargetTable: table('hr') },
+    { ddlDestinationTable: table('hr') },
+    { ddlTargetDataset: { datasetReference: { projectId: 'proj', datasetId: 'hr' } } },
+    { ddlTargetRoutine: { projectId: 'proj', datasetId: 'hr', routineId: 'r' } }
+  ];
+  for (const statistics of targets) {
+    await asCaller({ policy: scopedPolicy }, () =>
+      assert.rejects(dryRunQuery(dryRunClient({ statistics }), { query: 'DROP TABLE hr.t' }), DatasetScopeError)
+    );
+  }
+
+  // DML reports its target table as the job destination
+  const dml = dryRunClient({ configuration: { query: { destinationTable: table('hr') } } });
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(dryRunQuery(dml, { query: 'DELETE FROM hr.t WHERE true' }), DatasetScopeError)
+  );
+
+  // Anonymous result tables are not a target
+  const select = dryRunClient({ referencedTables: [table('sales')], configuration: { query: { destinationTable: table('_abc123', 'anon') } } });
+  await asCaller({ policy: scopedPolicy }, () => dryRunQuery(select, { query: 'SELECT 1' }));
+
+  await asCaller({ policy: scopedPolicy }, () =>
+    dryRunQuery(dryRunClient({ statistics: { ddlTargetTable: table('sales') } }), { query: 'CREATE TABLE sales.t AS SELECT 1' })
+  );
+});
+
+test('explicit query destinations outside the scope are refused', async () => {
+  const destination = { id: 't', dataset: { id: 'hr', projectId: 'proj' } };
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(guardQuery(dryRunClient({ referencedTables: [table('sales')] }), { query: 'SELECT 1', destination }), error =>
+      error instanceof DatasetScopeError && /proj\.hr\.t/.test(error.message)
+    )
+  );
+});
+
+test('dry run errors naming datasets outside the scope get the same refusal', async () => {
+  const notFound = dryRunClient({ errorMessage: 'Not found: Table proj:hr.missing was not found in location US' });
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(dryRunQuery(notFound, { query: 'SELECT 1' }), error =>
+      error instanceof DatasetScopeError && /proj\.hr\.missing/.test(error.message)
+    )
+  );
+
+  const domainProject = dryRunClient({ errorMessage: 'Not found: Dataset example.com:other:hr was not found in location US' });
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(dryRunQuery(domainProject, { query: 'SELECT 1' }), DatasetScopeError)
+  );
+});
+
+test('dry run errors about allowed datasets pass through', async () => {
+  const notFound = dryRunClient({ errorMessage: 'Not found: Table proj:sales.missing was not found in location US' });
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(dryRunQuery(notFound, { query: 'SELECT 1' }), error =>
+      !(error instanceof DatasetScopeError) && /sales\.missing/.test(error.message)
+    )
+  );
+});
+
+test('guardQuery checks the scope of dry-run jobs', async () => {
+  await asCaller({ policy: scopedPolicy }, () =>
+    assert.rejects(guardQuery(dryRunClient({ referencedTables: [table('hr')] }), { query: 'SELECT 1', dryRun: true }), DatasetScopeError)
+  );
+});
+
+test('guardQuery labels the job with the caller', async () => {
+  const options = await asCaller({ policy: { name: 'default', tools: ['*'] }, callerKey: 'default' }, () =>
+    guardQuery(dryRunClient(), { query: 'SELECT 1', labels: { team: 'data' } })
+  );
+  assert.deepEqual(options.labels, { team: 'data', mcp_caller: 'default' });
+});
+
+test('resolveMaximumBytesBilled lets a call lower the token limit but never raise it', () => {
+  assert.equal(asCaller({}, () => resolveMaximumBytesBilled()), undefined);
+  assert.equal(asCaller({}, () => resolveMaximumBytesBilled(500)), 500);
+  assert.equal(asCaller({ maximumBytesBilled: 1000 }, () => resolveMaximumBytesBilled()), 1000);
+  assert.equal(asCaller({ maximumBytesBilled: 1000 }, () => resolveMaximumBytesBilled(500)), 500);
+  assert.equal(asCaller({ maximumBytesBilled: 1000 }, () => resolveMaximumBytesBilled(5000)), 1000);
+});
+
+test('guardQuery refuses queries estimated above the limit and caps the rest', async () => {
+  await asCaller({ maximumBytesBilled: 5 }, () =>
+    assert.rejects(guardQuery(dryRunClient(), { query: 'SELECT 1' }), error =>
+      error instanceof BytesBilledLimitError && error.estimatedBytes === 10 && error.maximumBytesBilled === 5
+    )
+  );
+
+  const options = await asCaller({ maximumBytesBilled: 1000 }, () => guardQuery(dryRunClient(), { query: 'SELECT 1' }, 5000));
+  assert.equal(options.maximumBytesBilled, '1000');
+});
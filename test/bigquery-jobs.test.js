@@ -0,0 +1,84 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigQuery, Job } from '@google-cloud/bigquery';
+
+import { runWithRequestContext } from '../request-context.js';
+import { bqCancelJob, bqGetJob, bqListJobs } from '../bigquery-enhanced.js';
+import { getTool } from '../tool-registry.js';
+
+const scopedPolicy = { name: 'analyst', tools: ['*'], projects: ['proj'], datasets: ['proj.sales'] };
+const asCaller = (callerKey, fn, policy = scopedPolicy) => runWithRequestContext({ policy, callerKey }, fn);
+
+const table = (datasetId) => ({ projectId: 'proj', datasetId, tableId: 't' });
+const jobMetadata = (jobId, caller, referencedTables) => ({
+  jobReference: { projectId: 'proj', jobId, location: 'US' },
+  configuration: { jobType: 'QUERY', labels: { mcp_caller: caller }, query: {} },
+  status: { state: 'RUNNING' },
+  statistics: { creationTime: '0', query: { referencedTables } }
+});
+
+// Jobs of two callers, one of them reading a dataset outside the scope
+const jobs = {
+  'alice-sales': jobMetadata('alice-sales', 'alice', [table('sales')]),
+  'alice-hr': jobMetadata('alice-hr', 'alice', [table('hr')]),
+  'bob-sales': jobMetadata('bob-sales', 'bob', [table('sales')])
+};
+
+const cancelled = [];
+mock.method(Job.prototype, 'getMetadata', async function () {
+  return [jobs[this.id]];
+});
+mock.method(Job.prototype, 'cancel', async function () {
+  cancelled.push(this.id);
+  return [{ job: jobs[this.id] }];
+});
+mock.method(BigQuery.prototype, 'getJobs', async () => [
+  Object.values(jobs).map(metadata => ({ metadata })),
+  null
+]);
+
+const textOf = (response) => response.content[0].text;
+
+test('bq-cancel-job is a mutating tool', () => {
+  assert.equal(getTool('bq-cancel-job').mutating, true);
+});
+
+test('scoped tokens may only cancel their own jobs inside their datasets', async () => {
+  const own = await asCaller('alice', () => bqCancelJob({ projectId: 'proj', jobId: 'alice-sales' }));
+  assert.match(textOf(own), /Cancellation requested for job alice-sales/);
+
+  const foreign = await asCaller('alice', () => bqCancelJob({ projectId: 'proj', jobId: 'bob-sales' }));
+  assert.equal(foreign.isError, true);
+  assert.match(textOf(foreign), /may only manage jobs it started/);
+
+  const outside = await asCaller('alice', () => bqCancelJob({ projectId: 'proj', jobId: 'alice-hr' }));
+  assert.equal(outside.isError, true);
+  assert.match(textOf(outside), /references proj\.hr\.t/);
+
+  assert.deepEqual(cancelled, ['alice-sales']);
+});
+
+test('unscoped tokens may cancel any job', async () => {
+  cancelled.length = 0;
+  await asCaller('alice', () => bqCancelJob({ projectId: 'proj', jobId: 'bob-sales' }), { name: 'admin', tools: ['*'] });
+  assert.deepEqual(cancelled, ['bob-sales']);
+});
+
+test('bq-get-job refuses jobs that read tables outside the scope', async () => {
+  const inside = await asCaller('bob', () => bqGetJob({ projectId: 'proj', jobId: 'alice-sales' }));
+  assert.match(textOf(inside), /Job alice-sales is RUNNING/);
+
+  const outside = await asCaller('alice', () => bqGetJob({ projectId: 'proj', jobId: 'alice-hr' }));
+  assert.equal(outside.isError, true);
+  assert.match(textOf(outside), /Access to job alice-hr refused/);
+});
+
+test('bq-list-jobs shows scoped tokens only the jobs they started', async () => {
+  const listed = await asCaller('bob', () => bqListJobs({ projectId: 'proj' }));
+  assert.match(textOf(listed), /Found 1 jobs/);
+  assert.match(textOf(listed), /bob-sales/);
+  assert.doesNotMatch(textOf(listed), /alice/);
+
+  const all = await asCaller('bob', () => bqListJobs({ projectId: 'proj' }), { name: 'admin', tools: ['*'] });
+  assert.match(textOf(all), /Found 3 jobs/);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigQueryTimestamp } from '@google-cloud/bigquery';
+
+import {
+  parseParameterType,
+  formatParameterType,
+  validateQueryParameters,
+  buildQueryParameters,
+  QueryParameterError
+} from '../bigquery-params.js';
+
+test('parseParameterType parses scalars, arrays and structs and formats them back', () => {
+  assert.equal(parseParameterType('integer'), 'INT64');
+  assert.deepEqual(parseParameterType('ARRAY<STRING>'), ['STRING']);
+
+  const struct = parseParameterType('STRUCT<id INT64, tags ARRAY<STRING>, at STRUCT<ts TIMESTAMP>>');
+  assert.deepEqual(struct, { id: 'INT64', tags: ['STRING'], at: { ts: 'TIMESTAMP' } });
+  assert.equal(formatParameterType(struct), 'STRUCT<id INT64, tags ARRAY<STRING>, at STRUCT<ts TIMESTAMP>>');
+});
+
+test('parseParameterType refuses unknown, nested array and malformed types', () => {
+  assert.throws(() => parseParameterType('VARCHAR'), /Unsupported parameter type: VARCHAR/);
+  assert.throws(() => parseParameterType('ARRAY<ARRAY<INT64>>'), /Nested arrays are not supported/);
+  assert.throws(() => parseParameterType('STRUCT<INT64>'), /must be written as 'name TYPE'/);
+  assert.throws(() => parseParameterType('STRUCT<a ARRAY<INT64>'), QueryParameterError);
+});
+
+test('validateQueryParameters reports shape, name and missing type problems', () => {
+  assert.deepEqual(validateQueryParameters(undefined, { a: 'INT64' }), [{ path: ['types'], message: "'types' requires 'params'" }]);
+  assert.match(validateQueryParameters([1], { a: 'INT64' })[0].message, /Positional params need types as an array/);
+  assert.match(validateQueryParameters([1, 2], ['INT64'])[0].message, /Expected 2 types/);
+  assert.deepEqual(validateQueryParameters({ 'bad-name': 1 }, undefined)[0].path, ['params', 'bad-name']);
+  assert.deepEqual(validateQueryParameters({ ids: [] }, undefined)[0].path, ['params', 'ids']);
+  assert.deepEqual(validateQueryParameters({ ids: [] }, { ids: 'ARRAY<INT64>' }), []);
+});
+
+test('buildQueryParameters wraps typed values and leaves untyped ones to the client', () => {
+  const named = buildQueryParameters({ since: '2024-01-01T00:00:00Z', n: 3, doc: { a: 1 } }, { since: 'TIMESTAMP', doc: 'JSON' });
+  assert.ok(named.params.since instanceof BigQueryTimestamp);
+  assert.equal(named.params.n, 3);
+  assert.equal(named.params.doc, '{"a":1}');
+  assert.deepEqual(named.types, { since: 'TIMESTAMP', doc: 'JSON' });
+
+  assert.deepEqual(buildQueryParameters([1, 'a']), { params: [1, 'a'], types: undefined });
+  assert.throws(() => buildQueryParameters({ n: null }), /params\.n: A type is required/);
+});
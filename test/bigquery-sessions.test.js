@@ -0,0 +1,108 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigQuery } from '@google-cloud/bigquery';
+
+import { runWithRequestContext } from '../request-context.js';
+import { bqCreateSession, bqQueryWithSession, bqTerminateSession, bqExecuteScript, bqExecuteProcedure } from '../bigquery-enhanced.js';
+
+const policy = { name: 'test', tools: ['*'] };
+const asCaller = (callerKey, fn) => runWithRequestContext({ policy, callerKey }, fn);
+
+// Every query job completes at once; session creation reports session-1.
+// Scripts report no child jobs.
+const queries = [];
+mock.method(BigQuery.prototype, 'createQueryJob', async function (options) {
+  queries.push({ ...options, projectId: this.projectId });
+  return [{
+    id: `job-${queries.length}`,
+    location: options.location,
+    getQueryResults: async () => [[{ ok: 1 }], null, { jobComplete: true }],
+    getMetadata: async () => [{ statistics: { sessionInfo: { sessionId: 'session-1' } } }]
+  }];
+});
+
+mock.method(BigQuery.prototype, 'getJobs', async () => [[], null]);
+
+const textOf = (response) => response.content[0].text;
+
+test('sessions can only be used and terminated by the caller that created them', async () => {
+  const created = await asCaller('alice', () => bqCreateSession({ projectId: 'proj' }));
+  assert.match(textOf(created), /Session ID: session-1/);
+
+  const foreignQuery = await asCaller('bob', () => bqQueryWithSession({ sessionId: 'session-1', query: 'SELECT 1' }));
+  assert.equal(foreignQuery.isError, true);
+  assert.match(textOf(foreignQuery), /Session not found: session-1/);
+
+  const foreignTerminate = await asCaller('bob', () => bqTerminateSession({ sessionId: 'session-1' }));
+  assert.equal(foreignTerminate.isError, true);
+  assert.ok(!queries.some(options => options.query === 'CALL BQ.ABORT_SESSION()'));
+
+  const ownQuery = await asCaller('alice', () => bqQueryWithSession({ sessionId: 'session-1', query: 'SELECT 1' }));
+  assert.equal(ownQuery.isError, undefined);
+  assert.deepEqual(queries.at(-1).connectionProperties, [{ key: 'session_id', value: 'session-1' }]);
+
+  const terminated = await asCaller('alice', () => bqTerminateSession({ sessionId: 'session-1' }));
+  assert.equal(textOf(terminated), 'Terminated session session-1');
+
+  const afterTerminate = await asCaller('alice', () => bqQueryWithSession({ sessionId: 'session-1', query: 'SELECT 1' }));
+  assert.equal(afterTerminate.isError, true);
+});
+
+test('session IDs not created through the server are refused', async () => {
+  const response = await asCaller('alice', () => bqQueryWithSession({ sessionId: 'external', query: 'SELECT 1' }));
+  assert.equal(response.isError, true);
+  assert.match(textOf(response), /Session not found: external/);
+});
+
+test('scripts in a session run in its project and location and refuse conflicting ones', async () => {
+  await asCaller('alice', () => bqCreateSession({ projectId: 'proj', location: 'EU' }));
+  const run = (args) => asCaller('alice', () => bqExecuteScript({ sessionId: 'session-1', statements: ['SELECT 1'], ...args }));
+
+  const inSession = await run({ projectId: 'proj' });
+  assert.match(textOf(inSession), /Script completed/);
+  assert.equal(queries.at(-1).projectId, 'proj');
+  assert.equal(queries.at(-1).location, 'EU');
+  assert.deepEqual(queries.at(-1).connectionProperties, [{ key: 'session_id', value: 'session-1' }]);
+
+  const queryCount = queries.length;
+  const otherProject = await run({ projectId: 'other' });
+  assert.equal(otherProject.isError, true);
+  assert.match(textOf(otherProject), /belongs to project proj, not other/);
+
+  const otherLocation = await run({ projectId: 'proj', location: 'US' });
+  assert.equal(otherLocation.isError, true);
+  assert.match(textOf(otherLocation), /is in location EU, not US/);
+  assert.equal(queries.length, queryCount);
+
+  await asCaller('alice', () => bqTerminateSession({ sessionId: 'session-1' }));
+});
+
+test('script statements ending in a line comment keep their terminator', async () => {
+  await asCaller('alice', () => bqExecuteScript({
+    projectId: 'proj',
+    statements: ['DECLARE n INT64 DEFAULT 1 -- counter', '  SELECT n;;  ', '']
+  }));
+  assert.equal(queries.at(-1).query, 'DECLARE n INT64 DEFAULT 1 -- counter\n;\nSELECT n\n;');
+});
+
+test('procedures bind IN values and read OUT values through script variables', async () => {
+  const response = await asCaller('alice', () => bqExecuteProcedure({
+    projectId: 'proj-1',
+    datasetId: 'ds',
+    procedureName: 'refresh',
+    parameters: [
+      { name: 'n', type: 'INT64', value: 1 },
+      { name: 'total', type: 'STRUCT<a INT64>', mode: 'OUT' }
+    ]
+  }));
+
+  assert.match(textOf(response), /Procedure `proj-1\.ds\.refresh` completed/);
+  assert.equal(queries.at(-1).query, 'DECLARE total STRUCT<a INT64>;\nCALL `proj-1.ds.refresh`(@n, total);\nSELECT total;');
+  assert.deepEqual(queries.at(-1).params, { n: 1 });
+
+  const queryCount = queries.length;
+  const escaped = await asCaller('alice', () => bqExecuteProcedure({ projectId: 'proj-1', datasetId: 'ds', procedureName: 'refresh`; DROP TABLE x; --' }));
+  assert.equal(escaped.isError, true);
+  assert.match(textOf(escaped), /Invalid procedure name/);
+  assert.equal(queries.length, queryCount);
+});
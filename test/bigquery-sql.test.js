@@ -0,0 +1,111 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigQuery, Dataset } from '@google-cloud/bigquery';
+
+import { gcpSQL } from '../bigquery-sql.js';
+import { runWithRequestContext } from '../request-context.js';
+
+const policy = { name: 'test', tools: ['*'] };
+const sql = (args) => runWithRequestContext({ policy }, () => gcpSQL({ projectId: 'proj-1', ...args }));
+
+// The project has datasets in US and EU; queries in failingRegions fail.
+// Each query returns one row naming the location it ran in.
+const failingRegions = new Set();
+const queries = [];
+mock.method(BigQuery.prototype, 'getDatasets', async () => [[
+  { id: 'sales', metadata: { location: 'US' } },
+  { id: 'hr', metadata: { location: 'EU' } },
+  { id: 'logs', metadata: { location: 'US' } }
+]]);
+mock.method(Dataset.prototype, 'getMetadata', async () => [{ location: 'asia-northeast1' }]);
+mock.method(BigQuery.prototype, 'createQueryJob', async (options) => {
+  queries.push(options);
+  if (failingRegions.has(options.location)) {
+    throw new Error(`Region ${options.location} is unavailable`);
+  }
+  return [{
+    id: `job-${queries.length}`,
+    location: options.location,
+    getQueryResults: async () => [[{ dataset_id: `${options.location}_dataset` }], null, { jobComplete: true }]
+  }];
+});
+
+test('allRegions runs the operation once per project region and merges the rows', async () => {
+  queries.length = 0;
+  const result = await sql({ operation: 'list-datasets', allRegions: true });
+
+  assert.deepEqual(queries.map(({ location }) => location), ['eu', 'us']);
+  assert.match(queries[0].query, /`proj-1\.region-eu\.INFORMATION_SCHEMA\.SCHEMATA`/);
+  assert.deepEqual(result.metadata.regions, ['eu', 'us']);
+  assert.deepEqual(result.data.map(({ region, dataset_id }) => [region, dataset_id]), [
+    ['eu', 'eu_dataset'],
+    ['us', 'us_dataset']
+  ]);
+});
+
+test('regions that fail are reported next to the rows of the others', async () => {
+  failingRegions.add('eu');
+  try {
+    const result = await sql({ operation: 'list-datasets', allRegions: true });
+    assert.deepEqual(result.metadata.regionErrors, [{ region: 'eu', message: 'Region eu is unavailable' }]);
+    assert.deepEqual(result.data.map(({ region }) => region), ['us']);
+    assert.match(result.content[0].text, /Some regions could not be queried:\n- eu: Region eu is unavailable/);
+
+    failingRegions.add('us');
+    const allFailed = await sql({ operation: 'list-datasets', allRegions: true });
+    assert.equal(allFailed.success, false);
+    assert.match(allFailed.error.message, /Region eu is unavailable/);
+  } finally {
+    failingRegions.clear();
+  }
+});
+
+test('allRegions is refused for operations that are not multi-region', async () => {
+  const result = await sql({ operation: 'list-tables', dataset: 'sales', allRegions: true });
+  assert.equal(result.success, false);
+  assert.match(result.error.message, /allRegions is only supported for: list-datasets, job-history/);
+});
+
+test('regional operations run in the dataset location unless a location is given', async () => {
+  await sql({ operation: 'dataset-info', dataset: 'sales' });
+  assert.equal(queries.at(-1).location, 'asia-northeast1');
+  assert.match(queries.at(-1).query, /region-asia-northeast1\.INFORMATION_SCHEMA/);
+
+  await sql({ operation: 'dataset-info', dataset: 'sales', location: 'EU' });
+  assert.equal(queries.at(-1).location, 'eu');
+});
+
+test('operation identifiers are validated and values are bound as parameters', async () => {
+  await sql({ operation: 'describe-table', dataset: 'sales', table: 'daily orders' });
+  assert.match(queries.at(-1).query, /`proj-1\.sales\.INFORMATION_SCHEMA\.COLUMNS`/);
+  assert.doesNotMatch(queries.at(-1).query, /daily orders/);
+  assert.deepEqual(queries.at(-1).params, { table: 'daily orders' });
+  assert.deepEqual(queries.at(-1).types, { table: 'STRING' });
+
+  const queryCount = queries.length;
+  const quoted = await sql({ operation: 'describe-table', dataset: 'sales', table: "orders' OR '1'='1" });
+  assert.match(quoted.error.message, /Invalid table name/);
+
+  const escaped = await sql({ operation: 'list-tables', dataset: 'sales`; DROP TABLE x; --' });
+  assert.equal(escaped.success, false);
+  assert.match(escaped.error.message, /Invalid dataset ID/);
+
+  const badProject = await sql({ projectId: 'proj`.x', operation: 'list-datasets' });
+  assert.match(badProject.error.message, /Invalid project ID/);
+
+  const badRegion = await sql({ operation: 'list-datasets', location: 'us`.x' });
+  assert.match(badRegion.error.message, /Invalid region/);
+  assert.equal(queries.length, queryCount);
+});
+
+test('direct queries bind params and refuse invalid ones before running', async () => {
+  await sql({ query: 'SELECT * FROM ds.t WHERE n > @min AND tag IN UNNEST(@tags)', params: { min: 10, tags: ['a'] }, types: { tags: 'ARRAY<STRING>' } });
+  assert.deepEqual(queries.at(-1).params, { min: 10, tags: ['a'] });
+  assert.deepEqual(queries.at(-1).types, { tags: ['STRING'] });
+
+  const queryCount = queries.length;
+  const invalid = await sql({ query: 'SELECT @n', params: { n: null } });
+  assert.equal(invalid.success, false);
+  assert.match(invalid.error.message, /A type is required for null values/);
+  assert.equal(queries.length, queryCount);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyStatements } from '../bigquery-statements.js';
+
+test('classifyStatements names queries, DML and DDL the way BigQuery does', () => {
+  assert.deepEqual(classifyStatements('WITH t AS (SELECT 1) SELECT * FROM t'), ['SELECT']);
+  assert.deepEqual(classifyStatements('(SELECT 1) UNION ALL (SELECT 2)'), ['SELECT']);
+  assert.deepEqual(classifyStatements('delete from ds.t where true'), ['DELETE']);
+  assert.deepEqual(classifyStatements('CREATE OR REPLACE TEMP TABLE t AS SELECT 1'), ['CREATE_TABLE_AS_SELECT']);
+  assert.deepEqual(classifyStatements('CREATE MATERIALIZED VIEW ds.v AS SELECT 1'), ['CREATE_MATERIALIZED_VIEW']);
+  assert.deepEqual(classifyStatements('DROP SCHEMA ds CASCADE'), ['DROP_SCHEMA']);
+  assert.deepEqual(classifyStatements('TRUNCATE TABLE ds.t'), ['TRUNCATE_TABLE']);
+  assert.deepEqual(classifyStatements("EXPORT DATA OPTIONS(uri='gs://b/*') AS SELECT 1"), ['EXPORT_DATA']);
+  assert.deepEqual(classifyStatements("EXECUTE IMMEDIATE 'DROP TABLE ds.t'"), ['EXECUTE_IMMEDIATE']);
+});
+
+test('classifyStatements ignores keywords in strings, quoted identifiers and comments', () => {
+  const sql = `
+    -- DELETE FROM ds.t;
+    /* DROP TABLE ds.t; */
+    # UPDATE ds.t SET x = 1;
+    SELECT 'a; DROP TABLE ds.t', """; DELETE FROM ds.t""", \`weird;INSERT\` FROM ds.t
+  `;
+  assert.deepEqual(classifyStatements(sql), ['SELECT']);
+});
+
+test('classifyStatements finds statements inside script blocks', () => {
+  const script = `
+    DECLARE n INT64 DEFAULT 0;
+    BEGIN
+      IF n = 0 THEN
+        DELETE FROM ds.t WHERE true;
+      ELSEIF (SELECT 1) = 1 THEN
+        SELECT 1;
+      ELSE
+        INSERT INTO ds.t VALUES (1);
+      END IF;
+    EXCEPTION WHEN ERROR THEN
+      SELECT @@error.message;
+    END;
+    outer: LOOP
+      MERGE ds.t USING ds.s ON false WHEN NOT MATCHED THEN INSERT ROW;
+      LEAVE outer;
+    END LOOP outer;
+    WHILE n < 3 DO
+      UPDATE ds.t SET x = 1 WHERE true;
+    END WHILE;
+  `;
+  assert.deepEqual(classifyStatements(script), [
+    'DECLARE', 'DELETE', 'SELECT', 'INSERT', 'SELECT', 'MERGE', 'LEAVE', 'UPDATE'
+  ]);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenizeCommand, assertCommandAllowed, findCommandTargets, getFlagValue, getFlagValues, GcloudCommandError } from '../gcloud-policy.js';
+
+const check = (command) => assertCommandAllowed(tokenizeCommand(command));
+
+test('assertCommandAllowed accepts allowlisted commands and returns their path', () => {
+  assert.equal(check('gcloud compute instances list --zone us-central1-a'), 'compute instances list');
+  assert.equal(check('projects describe my-proj'), 'projects describe');
+  assert.equal(check('config get-value project'), 'config get-value');
+});
+
+test('assertCommandAllowed refuses verbs and groups outside the allowlist', () => {
+  assert.throws(() => check('compute instances delete vm-1'), GcloudCommandError);
+  assert.throws(() => check('compute instances delete list'), GcloudCommandError);
+  assert.throws(() => check('iam service-accounts keys create key.json'), GcloudCommandError);
+  // The path ends at the first flag, so a verb after a flag does not count
+  assert.throws(() => check('compute instances --zone a list'), GcloudCommandError);
+});
+
+test('assertCommandAllowed refuses credential and identity flags in either form', () => {
+  assert.throws(() => check('projects list --log-http'), /Flag --log-http is not allowed/);
+  assert.throws(() => check('projects list --impersonate-service-account=sa@p.iam.gserviceaccount.com'), /--impersonate-service-account/);
+  assert.throws(() => check('projects list --flags-file flags.yaml'), /--flags-file/);
+});
+
+test('tokenizeCommand refuses unquoted shell operators but keeps quoted ones', () => {
+  assert.throws(() => tokenizeCommand('projects list; rm -rf /'), GcloudCommandError);
+  assert.throws(() => tokenizeCommand('projects list $(whoami)'), GcloudCommandError);
+  assert.throws(() => tokenizeCommand('projects list | sh'), GcloudCommandError);
+  assert.deepEqual(tokenizeCommand('gcloud projects list --filter="name:a;b" \'c d\''), ['projects', 'list', '--filter=name:a;b', 'c d']);
+  assert.throws(() => tokenizeCommand('projects list "unterminated'), /Unterminated double quote/);
+});
+
+const targetsOf = (command) => {
+  const args = tokenizeCommand(command);
+  return findCommandTargets(args, assertCommandAllowed(args));
+};
+
+test('findCommandTargets treats positional arguments of projects commands as projects', () => {
+  assert.deepEqual(targetsOf('gcloud projects describe other-proj --format=json'), {
+    projects: ['other-proj'],
+    buckets: []
+  });
+});
+
+test('findCommandTargets finds projects/ID resource paths in arguments and flag values', () => {
+  const { projects } = targetsOf('compute instances describe vm-1 --zone=projects/other-proj/zones/us-central1-a');
+  assert.deepEqual(projects, ['other-proj']);
+});
+
+test('findCommandTargets finds gs:// buckets', () => {
+  assert.deepEqual(targetsOf('storage objects list gs://other-bucket/logs/*'), {
+    projects: [],
+    buckets: ['other-bucket']
+  });
+});
+
+test('findCommandTargets finds nothing in commands without explicit targets', () => {
+  assert.deepEqual(targetsOf('compute instances list --zone us-central1-a'), { projects: [], buckets: [] });
+});
+
+test('getFlagValues returns every occurrence of a repeated flag, in either form', () => {
+  const args = tokenizeCommand('compute instances list --project=allowed --zone a --project other');
+  assert.deepEqual(getFlagValues(args, '--project'), ['allowed', 'other']);
+  assert.equal(getFlagValue(args, '--project'), 'other');
+  assert.deepEqual(getFlagValues(args, '--format'), []);
+});
@@ -0,0 +1,46 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Bucket } from '@google-cloud/storage';
+
+import { handleGCPTool } from '../gcp-handlers.js';
+import { callTool } from '../tool-registry.js';
+import { runWithRequestContext } from '../request-context.js';
+
+const listings = [];
+mock.method(Bucket.prototype, 'getFiles', async function (options) {
+  listings.push({ bucket: this.name, ...options });
+  return [[{ name: 'logs/a.txt', metadata: { size: '2048', contentType: 'text/plain' } }]];
+});
+
+const textOf = (response) => response.content[0].text;
+
+test('GCP tools are called through the tool registry', async () => {
+  const response = await callTool('gcs_list_files', { bucketName: 'landing', prefix: 'logs/', limit: 5 });
+  assert.equal(textOf(response), 'Found 1 files in gs://landing:\n- logs/a.txt (2.00KB, text/plain)');
+  assert.deepEqual(listings, [{ bucket: 'landing', prefix: 'logs/', maxResults: 5 }]);
+});
+
+test('unknown GCP tools are refused', async () => {
+  await assert.rejects(handleGCPTool('gcs_delete_bucket', {}), /Unknown GCP tool: gcs_delete_bucket/);
+});
+
+test('gcloud commands outside the allowlist are blocked before they run', async () => {
+  const response = await callTool('gcloud_command', { command: 'compute instances delete vm-1' });
+  assert.equal(response.isError, true);
+  assert.match(textOf(response), /This command has been blocked/);
+});
+
+test('gcloud commands of scoped tokens are checked against every --project flag', async () => {
+  const policy = { name: 'scoped', tools: ['*'], projects: ['allowed'] };
+  const run = (command) => runWithRequestContext({ policy }, () => callTool('gcloud_command', { command }));
+
+  for (const command of [
+    'compute instances list --project=allowed --project=other',
+    'compute instances list --project other --project allowed',
+    'compute instances list --project=allowed --zone a --project other'
+  ]) {
+    const response = await run(command);
+    assert.equal(response.isError, true, command);
+    assert.match(textOf(response), /token 'scoped' may not access project other/);
+  }
+});
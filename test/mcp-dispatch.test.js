@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { processPayload, callerContext } from '../mcp-dispatch.js';
+import { runWithRequestContext } from '../request-context.js';
+import { DEFAULT_POLICY } from '../token-store.js';
+
+const dispatch = (payload) => runWithRequestContext(callerContext({ policy: DEFAULT_POLICY }), () => processPayload(payload));
+
+test('initialize is answered on its own but refused inside a batch', async () => {
+  const single = await dispatch({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+  assert.ok(single.response.result.serverInfo);
+
+  const { response } = await dispatch([
+    { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+    { jsonrpc: '2.0', id: 2, method: 'ping' }
+  ]);
+  assert.deepEqual(response.map(({ id }) => id), [1, 2]);
+  assert.equal(response[0].error.code, -32600);
+  assert.match(response[0].error.message, /initialize must not be part of a batch/);
+  assert.deepEqual(response[1].result, {});
+});
+
+test('prompts/get treats null arguments as none and refuses non-object arguments', async () => {
+  const { response: list } = await dispatch({ jsonrpc: '2.0', id: 1, method: 'prompts/list' });
+  const name = list.result.prompts[0].name;
+
+  const { response: withNull } = await dispatch({ jsonrpc: '2.0', id: 2, method: 'prompts/get', params: { name, arguments: null } });
+  assert.equal(withNull.error.code, -32602);
+  assert.match(withNull.error.message, /Invalid arguments for prompt/);
+
+  const { response: withArray } = await dispatch({ jsonrpc: '2.0', id: 3, method: 'prompts/get', params: { name, arguments: ['orders'] } });
+  assert.equal(withArray.error.code, -32602);
+  assert.match(withArray.error.message, /must be an object/);
+});
+
+test('batches answer invalid members in place and stay silent for notifications only', async () => {
+  const { response: empty } = await dispatch([]);
+  assert.equal(empty.error.code, -32600);
+
+  const { response: notifications } = await dispatch([
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 99 } }
+  ]);
+  assert.equal(notifications, null);
+
+  const { response } = await dispatch([
+    { jsonrpc: '2.0', id: 'a', method: 'ping' },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '1.0', id: 'b', method: 'ping' },
+    { jsonrpc: '2.0', id: { nested: true }, method: 'ping' },
+    42
+  ]);
+  assert.deepEqual(response.map(({ id }) => id), ['a', 'b', null, null]);
+  assert.deepEqual(response[0].result, {});
+  assert.match(response[1].error.message, /jsonrpc must be "2.0"/);
+  assert.match(response[2].error.message, /id must be a string, number or null/);
+  assert.match(response[3].error.message, /expected a JSON-RPC message object/);
+});
+
+test('tools/call answers invalid arguments with per-field errors', async () => {
+  const { response } = await dispatch({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'echo', arguments: { message: 5 } } });
+  assert.equal(response.error.code, -32602);
+  assert.match(response.error.message, /Invalid arguments for tool echo/);
+  assert.deepEqual(response.error.data.errors.map(({ path, code }) => [path, code]), [['message', 'invalid_type']]);
+});
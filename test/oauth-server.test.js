@@ -0,0 +1,80 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+import { createOAuthServer } from '../oauth-server.js';
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oauth-test-'));
+const oauth = createOAuthServer({ adminSecret: 'right-secret', stateFile: path.join(stateDir, 'state.json') });
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use(oauth.router);
+const server = app.listen(0, '127.0.0.1');
+await new Promise(resolve => server.once('listening', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+after(() => {
+  server.close();
+  fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+const register = () => fetch(`${base}/register`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ redirect_uris: ['http://localhost/callback'], token_endpoint_auth_method: 'none' })
+});
+
+const approve = (clientId, secret) => fetch(`${base}/authorize`, {
+  method: 'POST',
+  redirect: 'manual',
+  body: new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: 'http://localhost/callback',
+    code_challenge: 'challenge',
+    code_challenge_method: 'S256',
+    decision: 'approve',
+    secret
+  })
+});
+
+test('registration and consent attempts are rate limited per address', async () => {
+  const { client_id: clientId } = await (await register()).json();
+
+  for (let attempt = 1; attempt < 10; attempt++) {
+    assert.equal((await register()).status, 201);
+  }
+  const refused = await register();
+  assert.equal(refused.status, 429);
+  assert.ok(parseInt(refused.headers.get('retry-after')) > 0);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await approve(clientId, 'wrong-secret')).status, 401);
+  }
+  // Once the attempts are used up even the right secret is refused
+  const limited = await approve(clientId, 'right-secret');
+  assert.equal(limited.status, 429);
+  assert.match(await limited.text(), /Too many attempts/);
+});
+
+test('client IDs naming prototype members are unknown clients, not crashes', async () => {
+  for (const clientId of ['constructor', '__proto__', 'toString']) {
+    const response = await fetch(`${base}/authorize`, {
+      method: 'POST',
+      body: new URLSearchParams({ client_id: clientId, redirect_uri: 'http://localhost/callback', decision: 'approve' })
+    });
+    assert.equal(response.status, 400);
+    assert.match(await response.text(), /Unknown client_id/);
+
+    const token = await fetch(`${base}/token`, {
+      method: 'POST',
+      body: new URLSearchParams({ client_id: clientId, grant_type: 'refresh_token', refresh_token: 'x' })
+    });
+    assert.equal(token.status, 401);
+  }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { withJobSlot, holdJobSlot, checkRateLimit, RateLimitError } from '../rate-limits.js';
+
+const policy = { name: 'test', maxConcurrentJobs: 1 };
+
+// Stand-in for a BigQuery Job whose state can be changed by the test
+function fakeJob(id) {
+  const job = {
+    id,
+    state: 'RUNNING',
+    metadata: { status: { state: 'RUNNING' } },
+    getMetadata: async () => [{ status: { state: job.state } }]
+  };
+  return job;
+}
+
+test('a call holds its job slot only while it runs', async () => {
+  await withJobSlot('calls', policy, async () => {
+    await assert.rejects(withJobSlot('calls', policy, async () => {}), RateLimitError);
+  });
+  await withJobSlot('calls', policy, async () => {});
+});
+
+test('a job left running keeps the slot until it is done', async () => {
+  const job = fakeJob('job-1');
+  await withJobSlot('jobs', policy, async () => holdJobSlot(job));
+
+  await assert.rejects(withJobSlot('jobs', policy, async () => {}), error =>
+    error instanceof RateLimitError && error.data.limit.maxConcurrentJobs === 1
+  );
+
+  job.state = 'DONE';
+  await withJobSlot('jobs', policy, async () => {});
+});
+
+test('jobs already done when started hold no slot', async () => {
+  const job = fakeJob('job-2');
+  job.metadata.status.state = 'DONE';
+  await withJobSlot('done', policy, async () => holdJobSlot(job));
+  await withJobSlot('done', policy, async () => {});
+});
+
+test('each job left running takes a slot', async () => {
+  const policyOfTwo = { name: 'test', maxConcurrentJobs: 2 };
+  const jobs = [fakeJob('job-3'), fakeJob('job-4')];
+  await withJobSlot('several', policyOfTwo, async () => jobs.forEach(holdJobSlot));
+
+  await assert.rejects(withJobSlot('several', policyOfTwo, async () => {}), RateLimitError);
+  jobs[0].state = 'DONE';
+  await withJobSlot('several', policyOfTwo, async () => {
+    await assert.rejects(withJobSlot('several', policyOfTwo, async () => {}), RateLimitError);
+  });
+});
+
+test('callers have separate slots', async () => {
+  await withJobSlot('first', policy, () => withJobSlot('second', policy, async () => {}));
+});
+
+test('without a limit calls are not counted', async () => {
+  await withJobSlot('unlimited', { name: 'test' }, () => withJobSlot('unlimited', { name: 'test' }, async () => {}));
+});
+
+test('requests beyond the burst are refused with a retry hint', async () => {
+  const limited = { name: 'test', rateLimits: { 'gcp-sql': { requestsPerMinute: 60, burst: 2 } } };
+  await checkRateLimit('burst', limited, 'gcp-sql');
+  await checkRateLimit('burst', limited, 'gcp-sql');
+  await assert.rejects(checkRateLimit('burst', limited, 'gcp-sql'), error =>
+    error instanceof RateLimitError && error.retryAfterSeconds === 1
+  );
+  // Other tools are not covered by the pattern
+  await checkRateLimit('burst', limited, 'bq-list-jobs');
+});
@@ -0,0 +1,55 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigQuery, Dataset } from '@google-cloud/bigquery';
+import { Bucket, File } from '@google-cloud/storage';
+import { ProjectsClient } from '@google-cloud/resource-manager';
+
+import { listResources, readResource } from '../resource-registry.js';
+import { runWithRequestContext } from '../request-context.js';
+import { TokenPolicyError } from '../token-store.js';
+
+// Buckets named <project>-bucket belong to <project>, numbered by the project ID
+mock.method(Bucket.prototype, 'getMetadata', async function () {
+  return [{ projectNumber: this.name.replace(/-bucket$/, '') }];
+});
+mock.method(ProjectsClient.prototype, 'getProject', async ({ name }) => [{ projectId: name.split('/')[1] }]);
+mock.method(File.prototype, 'exists', async () => [true]);
+mock.method(File.prototype, 'getMetadata', async () => [{ size: '5', contentType: 'text/plain' }]);
+mock.method(File.prototype, 'download', async () => [Buffer.from('hello')]);
+
+// Metadata API listings; no query jobs may run
+const listedProjects = [];
+mock.method(BigQuery.prototype, 'getDatasets', async ({ projectId }) => {
+  listedProjects.push(projectId);
+  return [['sales', 'hr'].map(id => ({ id }))];
+});
+mock.method(Dataset.prototype, 'getTables', async () => [[{ id: 'orders', metadata: { type: 'TABLE' } }]]);
+mock.method(Dataset.prototype, 'getRoutines', async () => [[{ id: 'refresh', metadata: { routineType: 'PROCEDURE' } }]]);
+mock.method(BigQuery.prototype, 'createQueryJob', async () => {
+  throw new Error('resources/list ran a query job');
+});
+
+const policy = { name: 'scoped', tools: ['gcs_read_file'], projects: ['allowed'] };
+const read = (uri) => runWithRequestContext({ policy }, () => readResource(uri));
+
+test('gs:// resources are read only from buckets in the token projects', async () => {
+  const { contents } = await read('gs://allowed-bucket/file.txt');
+  assert.equal(contents[0].text, 'hello');
+
+  await assert.rejects(read('gs://other-bucket/file.txt'), error =>
+    error instanceof TokenPolicyError && /may not access bucket other-bucket/.test(error.message));
+});
+
+test('resources/list uses the metadata API and the token dataset scope', async () => {
+  process.env.GOOGLE_CLOUD_PROJECT = 'allowed';
+  const datasetPolicy = { name: 'sales', tools: ['*'], projects: ['allowed'], datasets: ['sales'] };
+  const { resources, nextCursor } = await runWithRequestContext({ policy: datasetPolicy }, () => listResources());
+
+  assert.deepEqual(listedProjects, ['allowed']);
+  assert.equal(nextCursor, undefined);
+  assert.deepEqual(resources.map(({ uri, description }) => [uri, description]), [
+    ['bigquery://allowed/sales', 'BigQuery dataset (1 tables, 1 routines)'],
+    ['bigquery://allowed/sales/orders', 'BigQuery table'],
+    ['bigquery://allowed/sales/routines/refresh', 'BigQuery procedure']
+  ]);
+});
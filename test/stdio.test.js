@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const serverPath = fileURLToPath(new URL('../stdio.js', import.meta.url));
+
+// Send lines to a stdio server, close stdin and collect what it wrote to stdout
+function runStdio(lines) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [serverPath], {
+      env: { ...process.env, GOOGLE_CLOUD_PROJECT: 'stdio-test' },
+      stdio: ['pipe', 'pipe', 'ignore'],
+      timeout: 30000
+    });
+    let stdout = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, messages: stdout.split('\n').filter(Boolean).map(line => JSON.parse(line)) }));
+    child.stdin.end(lines.map(line => `${line}\n`).join(''));
+  });
+}
+
+test('stdio answers requests one JSON message per line and nothing else on stdout', async () => {
+  const { code, messages } = await runStdio([
+    '{"jsonrpc":"2.0","id":1,"method":"initialize","params":{}}',
+    '{"jsonrpc":"2.0","method":"notifications/initialized"}',
+    '',
+    'not json',
+    '[{"jsonrpc":"2.0","id":2,"method":"ping"},{"jsonrpc":"2.0","id":3,"method":"tools/list"}]'
+  ]);
+
+  assert.equal(code, 0);
+  assert.equal(messages.length, 3);
+
+  const byId = (id) => messages.find(message => !Array.isArray(message) && message.id === id);
+  assert.ok(byId(1).result.serverInfo);
+  assert.equal(byId(null).error.code, -32700);
+
+  const batch = messages.find(Array.isArray);
+  assert.deepEqual(batch.map(({ id }) => id), [2, 3]);
+  assert.ok(batch[1].result.tools.some(({ name }) => name === 'gcp-sql'));
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  canCallTool,
+  isProjectAllowed,
+  isDatasetAllowed,
+  collectReferences,
+  assertToolCallAllowed,
+  TokenPolicyError
+} from '../token-store.js';
+import { getTool } from '../tool-registry.js';
+
+process.env.GOOGLE_CLOUD_PROJECT = 'default-proj';
+
+const references = (args) => {
+  const found = [];
+  collectReferences(args, undefined, found);
+  return found;
+};
+
+test('tool patterns match whole names, with * matching any run of characters', () => {
+  const policy = { name: 'bq', tools: ['bq-*', 'echo'] };
+  assert.equal(canCallTool(policy, { name: 'bq-list-tables' }), true);
+  assert.equal(canCallTool(policy, { name: 'echo' }), true);
+  assert.equal(canCallTool(policy, { name: 'gcp-sql' }), false);
+  assert.equal(canCallTool(policy, { name: 'echo-all' }), false);
+  assert.equal(canCallTool({ ...policy, readOnly: true }, { name: 'bq-delete', mutating: true }), false);
+});
+
+test('project and dataset patterns treat dots and other characters literally', () => {
+  const policy = { name: 'scoped', projects: ['proj-*', 'exact'], datasets: ['sales_*', 'proj-a.hr'] };
+  assert.equal(isProjectAllowed(policy, 'proj-a'), true);
+  assert.equal(isProjectAllowed(policy, 'exactly'), false);
+  assert.equal(isProjectAllowed({ name: 'all' }, 'anything'), true);
+
+  assert.equal(isDatasetAllowed(policy, 'proj-b', 'sales_eu'), true);
+  assert.equal(isDatasetAllowed(policy, 'proj-a', 'hr'), true);
+  assert.equal(isDatasetAllowed(policy, 'proj-b', 'hr'), false);
+  assert.equal(isDatasetAllowed(policy, 'other', 'sales_eu'), false);
+  assert.equal(isProjectAllowed({ name: 'dots', projects: ['example.com:proj'] }, 'exampleXcom:proj'), false);
+});
+
+test('collectReferences finds projects, qualified datasets, buckets and gs:// URIs', () => {
+  assert.deepEqual(references({
+    projectId: 'p1',
+    datasetId: 'sales',
+    sourceDataset: 'p2.hr',
+    destination: { projectId: 'p3', datasetId: 'out' },
+    allowedDatasets: ['a', 'p4.b'],
+    bucketName: 'logs',
+    sourceUri: 'gs://landing/file.csv',
+    projection: 'full'
+  }), [
+    { projectId: 'p1' },
+    { projectId: 'p1', datasetId: 'sales' },
+    { projectId: 'p2', datasetId: 'hr' },
+    { projectId: 'p3' },
+    { projectId: 'p3', datasetId: 'out' },
+    { projectId: 'p1', datasetId: 'a' },
+    { projectId: 'p4', datasetId: 'b' },
+    { bucket: 'logs' },
+    { bucket: 'landing' }
+  ]);
+});
+
+test('assertToolCallAllowed checks tool, project and dataset scopes', async () => {
+  const policy = { name: 'sales', tools: ['bq-*'], projects: ['default-proj'], datasets: ['sales'] };
+  const listTables = getTool('bq-list-tables');
+
+  await assertToolCallAllowed(policy, listTables, { datasetId: 'sales' });
+  await assert.rejects(assertToolCallAllowed(policy, listTables, { datasetId: 'hr' }), /may not access dataset default-proj\.hr/);
+  await assert.rejects(assertToolCallAllowed(policy, listTables, { datasetId: 'sales', projectId: 'other' }), /may not access project other/);
+  await assert.rejects(assertToolCallAllowed(policy, getTool('gcp-sql'), {}), TokenPolicyError);
+});
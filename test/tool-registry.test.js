@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runWithRequestContext } from '../request-context.js';
+import {
+  verifyToolRegistry,
+  getToolNames,
+  getTool,
+  hasTool,
+  isBigQueryTool,
+  callTool,
+  listTools,
+  getInputJsonSchema,
+  validateToolArguments,
+  ToolValidationError,
+  TOOL_COUNT
+} from '../tool-registry.js';
+
+test('every declared tool is complete and uniquely named', () => {
+  const { success, issues, toolCount } = verifyToolRegistry();
+  assert.deepEqual(issues, []);
+  assert.equal(success, true);
+  assert.equal(toolCount, TOOL_COUNT);
+  assert.equal(new Set(getToolNames()).size, TOOL_COUNT);
+});
+
+test('callTool dispatches to the declared handler and refuses unknown tools', async () => {
+  assert.deepEqual(await callTool('echo', { message: 'hi' }), { content: [{ type: 'text', text: 'Echo: hi' }] });
+  await assert.rejects(callTool('no-such-tool', {}), /Unknown tool: no-such-tool/);
+});
+
+test('mutating tools are refused in read-only mode before their handler runs', async () => {
+  const tool = getTool('bq-create-dataset');
+  assert.equal(tool.mutating, true);
+
+  const response = await runWithRequestContext({ readOnly: true }, () => callTool('bq-create-dataset', { datasetId: 'ds' }));
+  assert.equal(response.isError, true);
+  assert.match(response.content[0].text, /disabled in read-only mode/);
+});
+
+test('the complex query tools are registered as BigQuery tools', async () => {
+  const complexTools = [
+    'bq-build-query', 'bq-validate-query', 'bq-optimize-query', 'bq-cost-estimate',
+    'bq-analyze-schema', 'bq-generate-sql', 'bq-smart-suggest', 'bq-pattern-detector',
+    'bq-cross-dataset-join', 'bq-partition-analysis', 'bq-performance-profile', 'bq-trend-analysis',
+    'bq-template-library', 'bq-query-composer', 'bq-auto-index'
+  ];
+  for (const name of complexTools) {
+    assert.ok(hasTool(name), `${name} is registered`);
+    assert.equal(isBigQueryTool(name), true);
+  }
+
+  const response = await callTool('bq-template-library', { templateCategory: 'reporting', useCase: 'nope' });
+  assert.equal(response.isError, true);
+  assert.match(response.content[0].text, /Unknown use case 'nope' for category 'reporting'/);
+});
+
+test('advertised input schemas are inline JSON Schemas generated from the Zod schemas', () => {
+  for (const name of getToolNames()) {
+    const schema = getInputJsonSchema(name);
+    assert.equal(schema.type, 'object', name);
+    assert.ok(!JSON.stringify(schema).includes('$ref'), `${name} has no $ref`);
+    assert.equal(schema.$schema, undefined);
+  }
+
+  const streamInsert = getInputJsonSchema('bq-stream-insert');
+  assert.deepEqual(streamInsert.required, ['datasetId', 'tableId', 'rows']);
+  assert.equal(streamInsert.properties.rows.minItems, 1);
+  assert.equal(streamInsert.properties.datasetId.description, 'Dataset ID');
+  assert.deepEqual(listTools().find(tool => tool.name === 'bq-stream-insert').inputSchema, streamInsert);
+});
+
+test('validateToolArguments applies defaults and reports every invalid field', () => {
+  assert.deepEqual(validateToolArguments('gcs_list_files', { bucketName: 'landing' }), { bucketName: 'landing', limit: 100 });
+
+  assert.throws(() => validateToolArguments('gcs_list_files', { bucketName: '', limit: -1 }), error => {
+    assert.ok(error instanceof ToolValidationError);
+    assert.equal(error.code, -32602);
+    assert.deepEqual(error.data.errors.map(({ path }) => path), ['bucketName', 'limit']);
+    return true;
+  });
+  assert.throws(() => validateToolArguments('echo', 'hi'), error => error.data.errors[0].path === '(root)');
+});
@@ -0,0 +1,267 @@
+import { z } from 'zod';
+import { createHash } from 'crypto';
+import fs from 'fs';
+
+import { isReadOnly } from './request-context.js';
+import { getProjectId, getBucketProjectId } from './gcp-project.js';
+import { getInputJsonSchema } from './tool-registry.js';
+import { matchesPattern } from './glob-pattern.js';
+import { RateLimitsSchema } from './rate-limits.js';
+
+// Named API tokens with per-token scopes.
+//
+// Tokens come from a JSON file (MCP_TOKENS_FILE, re-read when it changes) or
+// from JSON in MCP_TOKENS:
+//
+//   { "tokens": [{
+//       "name": "analyst-bot",
+//       "token": "<secret>",                 (or "tokenSha256": "<hex digest>")
+//       "tools": ["gcp-sql", "bq-*"],        glob patterns, default: all tools
+//       "projects": ["my-project"],          default: any project
+//       "datasets": ["my-project.sales", "analytics"],
+//       "readOnly": true,
+//       "expiresAt": "2026-12-31T00:00:00Z",
+//       "maximumBytesBilled": 10000000000,
+//       "rateLimits": { "*": { "requestsPerMinute": 60 } },   see rate-limits.js
+//       "maxConcurrentJobs": 2
+//   }] }
+//
+// A dataset pattern without a dot matches that dataset in any allowed
+// project. MCP_SECRET and OAuth access tokens keep full access under the
+// name "default".
+
+const DEBUG = process.env.DEBUG_GCP_MCP === 'true';
+const log = (message, ...args) => {
+  if (DEBUG) {
+    console.log(`[Tokens] ${message}`, ...args);
+  }
+};
+
+const TOKENS_FILE = process.env.MCP_TOKENS_FILE;
+
+const TokenEntrySchema = z.object({
+  name: z.string().min(1),
+  token: z.string().min(16, 'Tokens must be at least 16 characters').optional(),
+  tokenSha256: z.string().regex(/^[a-f0-9]{64}$/, 'Expected a lowercase hex SHA-256 digest').optional(),
+  tools: z.array(z.string().min(1)).default(['*']),
+  projects: z.array(z.string().min(1)).optional(),
+  datasets: z.array(z.string().min(1)).optional(),
+  readOnly: z.boolean().default(false),
+  expiresAt: z.string().datetime({ offset: true }).optional(),
+  maximumBytesBilled: z.number().int().positive().optional(),
+  rateLimits: RateLimitsSchema.optional(),
+  maxConcurrentJobs: z.number().int().positive().optional()
+}).refine(entry => Boolean(entry.token) !== Boolean(entry.tokenSha256), {
+  message: "Each token needs exactly one of 'token' or 'tokenSha256'"
+});
+
+const TokenStoreSchema = z.union([
+  z.object({ tokens: z.array(TokenEntrySchema) }),
+  z.array(TokenEntrySchema).transform(tokens => ({ tokens }))
+]).superRefine(({ tokens }, ctx) => {
+  const names = new Set();
+  tokens.forEach((entry, index) => {
+    if (names.has(entry.name)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['tokens', index, 'name'], message: `Duplicate token name: ${entry.name}` });
+    }
+    names.add(entry.name);
+  });
+});
+
+// Full access, used for MCP_SECRET and OAuth access tokens
+export const DEFAULT_POLICY = Object.freeze({ name: 'default', tools: ['*'], readOnly: false });
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+export class TokenPolicyError extends Error {
+  constructor(policyName, message) {
+    super(message);
+    this.name = 'TokenPolicyError';
+    this.code = -32001;
+    this.data = { token: policyName };
+  }
+}
+
+// Policies keyed by token digest, plus the file modification time they were read at
+let policies = new Map();
+let loadedMtime = null;
+
+// Called after the token file is reloaded, e.g. to tell clients their tool list changed
+const reloadListeners = [];
+
+export function onTokenStoreReload(listener) {
+  reloadListeners.push(listener);
+}
+
+function parseStore(json, source) {
+  const result = TokenStoreSchema.safeParse(JSON.parse(json));
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new Error(`Invalid token store in ${source} at ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  }
+
+  const byDigest = new Map();
+  for (const { token, tokenSha256, ...policy } of result.data.tokens) {
+    byDigest.set(tokenSha256 || sha256(token), Object.freeze({
+      ...policy,
+      expiresAt: policy.expiresAt ? Date.parse(policy.expiresAt) : undefined
+    }));
+  }
+  return byDigest;
+}
+
+// Load tokens at startup; throws on an invalid store so misconfiguration fails loudly
+export function loadTokenStore() {
+  if (TOKENS_FILE) {
+    loadedMtime = fs.statSync(TOKENS_FILE).mtimeMs;
+    policies = parseStore(fs.readFileSync(TOKENS_FILE, 'utf8'), TOKENS_FILE);
+  } else if (process.env.MCP_TOKENS) {
+    policies = parseStore(process.env.MCP_TOKENS, 'MCP_TOKENS');
+  }
+  return policies.size;
+}
+
+// Pick up edits to the token file, keeping the previous tokens if it is invalid
+function reloadIfChanged() {
+  if (!TOKENS_FILE) {
+    return;
+  }
+  try {
+    const mtime = fs.statSync(TOKENS_FILE).mtimeMs;
+    if (mtime !== loadedMtime) {
+      policies = parseStore(fs.readFileSync(TOKENS_FILE, 'utf8'), TOKENS_FILE);
+      loadedMtime = mtime;
+      console.log(`Reloaded ${policies.size} API tokens from ${TOKENS_FILE}`);
+      reloadListeners.forEach(listener => listener());
+    }
+  } catch (error) {
+    console.error('Could not reload token store, keeping previous tokens:', error.message);
+  }
+}
+
+// Policy for a bearer token, or null if it is unknown or expired
+export function findTokenPolicy(token) {
+  reloadIfChanged();
+  const policy = policies.get(sha256(token || ''));
+  if (!policy) {
+    return null;
+  }
+  if (policy.expiresAt !== undefined && policy.expiresAt <= Date.now()) {
+    log(`Rejected expired token ${policy.name}`);
+    return null;
+  }
+  return policy;
+}
+
+// Check whether a token may call a tool (mutating tools are hidden when read-only)
+export function canCallTool(policy, tool) {
+  if (!policy.tools.some(pattern => matchesPattern(pattern, tool.name))) {
+    return false;
+  }
+  return !(tool.mutating && (policy.readOnly || isReadOnly()));
+}
+
+export function isProjectAllowed(policy, projectId) {
+  return !policy.projects || policy.projects.some(pattern => matchesPattern(pattern, projectId));
+}
+
+export function isDatasetAllowed(policy, projectId, datasetId) {
+  if (!isProjectAllowed(policy, projectId)) {
+    return false;
+  }
+  return !policy.datasets || policy.datasets.some(pattern => pattern.includes('.')
+    ? matchesPattern(pattern, `${projectId}.${datasetId}`)
+    : matchesPattern(pattern, datasetId));
+}
+
+// Argument names that name a project, a dataset or a bucket (projection is not a project)
+const PROJECT_KEYS = new Set(['projectId', 'project']);
+const DATASET_KEY_PATTERN = /^(dataset|datasetId|[a-z]+Dataset(Id)?|[a-z]*Datasets)$/;
+const BUCKET_KEYS = new Set(['bucketName', 'bucket']);
+const GCS_URI_PATTERN = /^gs:\/\/([^/]+)/;
+
+// Collect { projectId, datasetId } and { bucket } references from tool
+// arguments. Dataset values may be qualified as project.dataset; nested
+// objects inherit the enclosing projectId. Buckets are named by bucket
+// arguments or by gs:// URIs in any argument.
+export function collectReferences(value, projectId, references) {
+  if (typeof value === 'string') {
+    const bucket = value.match(GCS_URI_PATTERN)?.[1];
+    if (bucket) {
+      references.push({ bucket });
+    }
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, projectId, references));
+    return;
+  }
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+
+  const scopeProject = typeof value.projectId === 'string' ? value.projectId : projectId;
+  for (const [key, item] of Object.entries(value)) {
+    if (PROJECT_KEYS.has(key) && typeof item === 'string') {
+      references.push({ projectId: item });
+    } else if (BUCKET_KEYS.has(key) && typeof item === 'string') {
+      references.push({ bucket: item });
+    } else if (DATASET_KEY_PATTERN.test(key) && (typeof item === 'string' || Array.isArray(item))) {
+      for (const dataset of [].concat(item).filter(entry => typeof entry === 'string')) {
+        const [qualifier, name] = dataset.includes('.') ? dataset.split('.', 2) : [scopeProject, dataset];
+        references.push({ projectId: qualifier, datasetId: name });
+      }
+    } else {
+      collectReferences(item, scopeProject, references);
+    }
+  }
+}
+
+// Throw TokenPolicyError unless the token's projects include the one that owns the bucket
+export async function assertBucketAllowed(policy, bucketName) {
+  if (!policy.projects) {
+    return;
+  }
+
+  let projectId;
+  try {
+    projectId = await getBucketProjectId(bucketName);
+  } catch (error) {
+    log(`Could not resolve the project of bucket ${bucketName}:`, error.message);
+  }
+  if (!projectId || !isProjectAllowed(policy, projectId)) {
+    throw new TokenPolicyError(policy.name, `Token '${policy.name}' may not access bucket ${bucketName}${projectId ? '' : ' (its project could not be determined)'}`);
+  }
+}
+
+// Throw TokenPolicyError unless the token may call this tool with these arguments
+export async function assertToolCallAllowed(policy, tool, args) {
+  if (!canCallTool(policy, tool)) {
+    throw new TokenPolicyError(policy.name, `Token '${policy.name}' is not allowed to call tool ${tool.name}`);
+  }
+  if (!policy.projects && !policy.datasets) {
+    return;
+  }
+
+  const references = [];
+  collectReferences(args, undefined, references);
+  // Project-aware tools called without a project use the server's default project
+  const projectAware = 'projectId' in (getInputJsonSchema(tool.name).properties || {});
+  if (projectAware && !references.some(reference => reference.projectId)) {
+    references.push({ projectId: undefined });
+  }
+
+  for (const reference of references) {
+    if (reference.bucket) {
+      await assertBucketAllowed(policy, reference.bucket);
+      continue;
+    }
+    const projectId = reference.projectId || await getProjectId();
+    if (!isProjectAllowed(policy, projectId)) {
+      throw new TokenPolicyError(policy.name, `Token '${policy.name}' may not access project ${projectId}`);
+    }
+    if (reference.datasetId && !isDatasetAllowed(policy, projectId, reference.datasetId)) {
+      throw new TokenPolicyError(policy.name, `Token '${policy.name}' may not access dataset ${projectId}.${reference.datasetId}`);
+    }
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * Central MCP tool registry
+ *
+ * Every tool is declared exactly once, in its domain module, as
+ * { name, description, category, inputSchema (Zod), handler }, plus
+ * `mutating: true` for tools that modify data or resources outside of SQL
+ * (those are refused in read-only mode; SQL is checked by the query guard).
+ * The registry collects those declarations and generates both the
+ * tools/list payload and the tools/call dispatch from them. Advertised
+ * JSON Schemas are derived from the Zod schemas, so they always match
+ * what the server validates.
+ */
+
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+import { isReadOnly } from './request-context.js';
+import { recordErrorClass } from './audit-log.js';
+
+import { allBigQueryTools } from './bigquery-tools.js';
+import { allComplexQueryTools } from './bigquery-complex-tools-integration.js';
+import { allGCPTools } from './gcp-tools.js';
+import { allAuditTools } from './audit-tools.js';
+
+// Simple round-trip tool for testing connectivity
+const echoTool = {
+  name: "echo",
+  description: "Echo a message (test tool)",
+  category: "Utilities",
+  inputSchema: z.object({
+    message: z.string().describe('Message to echo')
+  }),
+  handler: async (args) => ({
+    content: [{
+      type: "text",
+      text: `Echo: ${args?.message || "no message"}`
+    }]
+  })
+};
+
+const declaredTools = [
+  ...allBigQueryTools,
+  ...allComplexQueryTools,
+  ...allGCPTools,
+  ...allAuditTools,
+  echoTool
+];
+
+const registry = new Map();
+for (const tool of declaredTools) {
+  // Keep the first declaration; duplicates are reported by verifyToolRegistry()
+  if (tool?.name && !registry.has(tool.name)) {
+    registry.set(tool.name, tool);
+  }
+}
+
+// Convert a Zod input schema to the JSON Schema advertised in tools/list
+export function toInputJsonSchema(schema) {
+  // Inline every definition ($ref-free) so clients see the full shape of nested objects
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, {
+    target: 'jsonSchema7',
+    $refStrategy: 'none'
+  });
+  return jsonSchema;
+}
+
+// JSON Schemas are derived once per tool and reused for every tools/list call
+const advertisedSchemas = new Map();
+function getAdvertisedSchema(tool) {
+  if (!advertisedSchemas.has(tool.name)) {
+    advertisedSchemas.set(tool.name, toInputJsonSchema(tool.inputSchema));
+  }
+  return advertisedSchemas.get(tool.name);
+}
+
+// JSON Schema of a tool's arguments, as advertised in tools/list
+export function getInputJsonSchema(toolName) {
+  return getAdvertisedSchema(registry.get(toolName));
+}
+
+// Raised when tools/call arguments do not match the tool's input schema
+export class ToolValidationError extends Error {
+  constructor(toolName, issues) {
+    super(`Invalid arguments for tool ${toolName}`);
+    this.name = 'ToolValidationError';
+    this.code = -32602;
+    this.data = {
+      tool: toolName,
+      errors: issues.map(issue => ({
+        path: issue.path.length > 0 ? issue.path.join('.') : '(root)',
+        message: issue.message,
+        code: issue.code
+      }))
+    };
+  }
+}
+
+// Validate tools/call arguments against the tool's Zod schema, applying defaults
+export function validateToolArguments(toolName, args) {
+  const tool = registry.get(toolName);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${toolName}`);
+  }
+
+  const result = tool.inputSchema.safeParse(args ?? {});
+  if (!result.success) {
+    throw new ToolValidationError(toolName, result.error.issues);
+  }
+  return result.data;
+}
+
+// BigQuery tools, whose concurrent calls are capped per caller
+const bigQueryToolNames = new Set([...allBigQueryTools, ...allComplexQueryTools].map(tool => tool.name));
+export function isBigQueryTool(toolName) {
+  return bigQueryToolNames.has(toolName);
+}
+
+// Check if a tool is registered
+export function hasTool(toolName) {
+  return registry.has(toolName);
+}
+
+// Get a tool declaration by name
+export function getTool(toolName) {
+  return registry.get(toolName);
+}
+
+// Get all registered tool names
+export function getToolNames() {
+  return [...registry.keys()];
+}
+
+// Build the tools/list payload, optionally limited to tools passing `filter`
+export function listTools(filter = () => true) {
+  return [...registry.values()].filter(filter).map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: getAdvertisedSchema(tool)
+  }));
+}
+
+// Dispatch a tools/call request to the tool's handler
+export async function callTool(toolName, args) {
+  const tool = registry.get(toolName);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${toolName}`);
+  }
+
+  if (tool.mutating && isReadOnly()) {
+    return {
+      content: [{
+        type: "text",
+        text: `Tool ${toolName} modifies data and is disabled in read-only mode.`
+      }],
+      isError: true
+    };
+  }
+
+  try {
+    return await tool.handler(args || {});
+  } catch (error) {
+    console.error(`Error in tool ${toolName}:`, error);
+    recordErrorClass(error.name);
+
+    // If the error has already been formatted as an MCP response, return its content
+    if (error.content) {
+      return { content: error.content, isError: true };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Error executing ${toolName}: ${error.message}`
+      }],
+      isError: true
+    };
+  }
+}
+
+// Check that every declared tool is complete and uniquely named
+export function verifyToolRegistry() {
+  const issues = [];
+  const seen = new Set();
+
+  declaredTools.forEach((tool, index) => {
+    const label = tool?.name || `#${index}`;
+
+    if (!tool?.name || typeof tool.name !== 'string') {
+      issues.push(`Tool ${label} has no name`);
+    } else if (seen.has(tool.name)) {
+      issues.push(`Duplicate tool name: ${tool.name}`);
+    } else {
+      seen.add(tool.name);
+    }
+
+    if (typeof tool?.handler !== 'function') {
+      issues.push(`Missing handler for tool: ${label}`);
+    }
+    if (!(tool?.inputSchema instanceof z.ZodType)) {
+      issues.push(`Missing Zod input schema for tool: ${label}`);
+    }
+    if (!tool?.description) {
+      issues.push(`Missing description for tool: ${label}`);
+    }
+    if (!tool?.category) {
+      issues.push(`Missing category for tool: ${label}`);
+    }
+    if (tool?.mutating !== undefined && typeof tool.mutating !== 'boolean') {
+      issues.push(`Tool ${label} has a non-boolean mutating flag`);
+    }
+  });
+
+  return {
+    success: issues.length === 0,
+    issues,
+    toolCount: registry.size
+  };
+}
+
+// Startup self-check: throw if any declared tool is incomplete
+export function assertToolRegistry() {
+  const { success, issues } = verifyToolRegistry();
+  if (!success) {
+    throw new Error(`Tool registry check failed:\n${issues.map(issue => `- ${issue}`).join('\n')}`);
+  }
+}
+
+export const TOOL_COUNT = registry.size;